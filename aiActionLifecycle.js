@@ -0,0 +1,294 @@
+// aiActionLifecycle.js
+import { createClient } from "@supabase/supabase-js";
+import { getLiveVariant, updateVariantPrice } from "./shopify.js";
+import { selectAll } from "./db.js";
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Ids per .in() filter, to keep request URLs short
+const ID_CHUNK = 200;
+
+// 🔁 Allowed status moves for actionable suggestions
+//   suggested → approved → applying → completed | failed
+//   suggested → rejected | expired | superseded
+//   failed → rejected | expired | superseded
+//   completed → reverted (price rollback)
+// "pending" is the old Full-mode status and behaves like "approved".
+// expired/superseded are housekeeping, not user decisions: no feedback.
+export const ACTION_TRANSITIONS = {
+  suggested: ["approved", "rejected", "expired", "superseded"],
+  pending: ["applying", "rejected", "expired", "superseded"],
+  approved: ["applying", "rejected"],
+  applying: ["completed", "failed"],
+  failed: ["rejected", "expired", "superseded"],
+  completed: ["reverted"],
+  rejected: [],
+  expired: [],
+  superseded: [],
+  reverted: [],
+  skipped: [],
+};
+
+// How long a suggestion stays open before it expires on its own
+export const SUGGESTION_TTL_HOURS = parseFloat(
+  process.env.SUGGESTION_TTL_HOURS || "72"
+);
+
+// An apply takes seconds (throttle retries included); "applying" for longer
+// than this means the server died mid-apply
+const APPLYING_STALE_MS = 15 * 60 * 1000;
+
+export function canTransition(from, to) {
+  return (ACTION_TRANSITIONS[from] || []).includes(to);
+}
+
+// Statuses an action can be in for a move to `to` to be allowed
+export function allowedFrom(to) {
+  return Object.keys(ACTION_TRANSITIONS).filter((from) => canTransition(from, to));
+}
+
+// Still waiting on a decision
+export const OPEN_STATUSES = allowedFrom("superseded");
+
+export function suggestionExpiry(now = new Date()) {
+  return new Date(now.getTime() + SUGGESTION_TTL_HOURS * 3600 * 1000).toISOString();
+}
+
+export function isOverdue(action, now = new Date()) {
+  return action.expires_at != null && new Date(action.expires_at) <= now;
+}
+
+// Move an action to a new status only if its current status allows it.
+// Returns the updated row, or null when the move is not allowed.
+export async function transitionAction(id, to, extra = {}) {
+  const { data, error } = await supabase
+    .from("ai_actions")
+    .update({ status: to, ...extra, updated_at: new Date().toISOString() })
+    .eq("id", id)
+    .in("status", allowedFrom(to))
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// 💲 Execute an approved price_adjustment: check the live price still matches
+// old_price, push new_price to Shopify, and log a price_applied action.
+// Full mode and manual approval both go through here.
+// Returns { ok, status?, error?, variant?, applied_action_id? }
+export async function applyPriceAction(action, { source, reason }) {
+  const claimed = await transitionAction(action.id, "applying");
+  if (!claimed) {
+    return {
+      ok: false,
+      status: 409,
+      error: `Action ${action.id} cannot be applied from status "${action.status}"`,
+    };
+  }
+
+  const details = action.details || {};
+  const variantId = action.variant_id ?? details.variant_id ?? null;
+
+  let result;
+  try {
+    result = await updateVariantPrice({
+      shop: action.shop_domain,
+      product_id: action.product_id,
+      variant_id: variantId,
+      new_price: details.new_price,
+      expected_price: details.old_price,
+      source,
+      action_id: action.id,
+      run_id: action.run_id ?? null,
+    });
+  } catch (err) {
+    result = { ok: false, status: 500, error: err.message };
+  }
+
+  if (!result.ok) {
+    await transitionAction(action.id, "failed", { error: result.error });
+    console.error(`❌ Action ${action.id} failed: ${result.error}`);
+    return result;
+  }
+
+  const applied = await completeAppliedAction(action, variantId, reason);
+  return { ...result, applied_action_id: applied?.id ?? null };
+}
+
+// Helper: mark an action completed and log the price_applied row that
+// rollback works from
+async function completeAppliedAction(action, variantId, reason) {
+  const details = action.details || {};
+  await transitionAction(action.id, "completed", {
+    error: null,
+    applied_at: new Date().toISOString(),
+  });
+
+  const { data: applied, error } = await supabase
+    .from("ai_actions")
+    .insert([
+      {
+        shop_domain: action.shop_domain,
+        product_id: action.product_id,
+        variant_id: variantId,
+        run_id: action.run_id ?? null,
+        action: "price_applied",
+        details: { ...details, applied_from: action.id },
+        reason,
+        status: "completed",
+      },
+    ])
+    .select("id")
+    .single();
+
+  if (error) console.error("⚠️ Failed to log price_applied:", error.message);
+  return applied;
+}
+
+// 🩹 Settle actions left in "applying" by a crash: the live price tells
+// whether Shopify got the change. Price history and the local mirror follow
+// from the products/update webhook, as for any change we didn't record.
+export async function recoverStaleApplyingActions(now = new Date()) {
+  const stuck = await selectAll(() =>
+    supabase
+      .from("ai_actions")
+      .select("*")
+      .eq("status", "applying")
+      .lt("updated_at", new Date(now.getTime() - APPLYING_STALE_MS).toISOString())
+      .order("id", { ascending: true })
+  );
+
+  let recovered = 0;
+  for (const action of stuck) {
+    try {
+      await recoverApplyingAction(action);
+      recovered += 1;
+    } catch (err) {
+      console.error(`⚠️ Failed to recover action ${action.id}:`, err.message);
+    }
+  }
+  return recovered;
+}
+
+// Helper: one stuck action → completed (new price is live) or failed
+async function recoverApplyingAction(action) {
+  const details = action.details || {};
+  const variantId = action.variant_id ?? details.variant_id ?? null;
+  const live = await getLiveVariant(action.shop_domain, action.product_id, variantId);
+
+  const samePrice = (a, b) => Math.abs(parseFloat(a) - parseFloat(b)) < 0.005;
+  let error;
+  if (!live.ok) {
+    error = `Apply was interrupted and the variant can't be checked: ${live.error}`;
+  } else if (samePrice(live.variant.price, details.new_price)) {
+    await completeAppliedAction(action, live.variant.id, "Recovered after an interrupted apply");
+    console.log(`🩹 Action ${action.id} was applied before the interruption`);
+    return;
+  } else if (samePrice(live.variant.price, details.old_price)) {
+    error = "Apply was interrupted before the price changed";
+  } else {
+    error = `Apply was interrupted and the price is now £${live.variant.price}`;
+  }
+
+  await transitionAction(action.id, "failed", { error });
+  console.log(`🩹 Action ${action.id} failed: ${error}`);
+}
+
+// 🔂 New suggestions replace any open one for the same product/variant/action.
+// Takes a batch of freshly inserted actions (one shop) so a whole run costs a
+// few queries per chunk instead of one per action.
+export async function supersedeOpenActions(shop, newActions) {
+  if (!newActions.length) return 0;
+
+  const key = (a) => `${a.product_id}:${a.variant_id ?? ""}:${a.action}`;
+  const newestByKey = new Map(newActions.map((a) => [key(a), a.id]));
+  const newIds = new Set(newActions.map((a) => String(a.id)));
+
+  const open = await selectAll(() =>
+    supabase
+      .from("ai_actions")
+      .select("id, product_id, variant_id, action")
+      .eq("shop_domain", shop)
+      .in("action", [...new Set(newActions.map((a) => a.action))])
+      .in("status", OPEN_STATUSES)
+      .order("id", { ascending: true })
+  );
+  const staleIds = open
+    .filter((a) => !newIds.has(String(a.id)) && newestByKey.has(key(a)))
+    .map((a) => a.id);
+
+  let superseded = 0;
+  for (let i = 0; i < staleIds.length; i += ID_CHUNK) {
+    // Guarded on status, so anything decided in the meantime is left alone
+    const { data, error } = await supabase
+      .from("ai_actions")
+      .update({ status: "superseded", updated_at: new Date().toISOString() })
+      .in("id", staleIds.slice(i, i + ID_CHUNK))
+      .in("status", OPEN_STATUSES)
+      .select("*");
+    if (error) throw error;
+    if (!data.length) continue;
+
+    // superseded is final, so writing the full rows back can't undo anyone's change
+    const { error: linkErr } = await supabase
+      .from("ai_actions")
+      .upsert(
+        data.map((a) => ({ ...a, superseded_by: newestByKey.get(key(a)) })),
+        { onConflict: "id" }
+      );
+    if (linkErr) throw linkErr;
+    superseded += data.length;
+  }
+
+  if (superseded) console.log(`🔂 ${superseded} open actions superseded for ${shop}`);
+  return superseded;
+}
+
+// ⌛ Price or stock moved under open price suggestions: they were computed
+// from numbers that no longer hold. Product-level ones (variant_id null) go
+// too; other actions (ad boosts etc.) don't depend on the price and stay.
+export async function expireActionsForVariant(shop, productId, variantId, why) {
+  let query = supabase
+    .from("ai_actions")
+    .update({
+      status: "expired",
+      error: why,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("shop_domain", shop)
+    .eq("product_id", productId)
+    .eq("action", "price_adjustment")
+    .in("status", OPEN_STATUSES);
+  if (variantId != null) {
+    query = query.or(`variant_id.eq.${variantId},variant_id.is.null`);
+  }
+
+  const { data, error } = await query.select("id");
+  if (error) throw error;
+  if (data.length) {
+    console.log(`⌛ Expired ${data.length} open actions for ${productId}: ${why}`);
+  }
+  return data.length;
+}
+
+// ⌛ Expire everything past its expires_at (all shops)
+export async function expireOverdueActions(now = new Date()) {
+  const { data, error } = await supabase
+    .from("ai_actions")
+    .update({
+      status: "expired",
+      error: "Suggestion expired",
+      updated_at: now.toISOString(),
+    })
+    .in("status", OPEN_STATUSES)
+    .lte("expires_at", now.toISOString())
+    .select("id");
+
+  if (error) throw error;
+  if (data.length) console.log(`⌛ Expired ${data.length} overdue actions`);
+  return data.length;
+}
@@ -1,6 +1,27 @@
 // aiActions.js
 import express from "express";
 import { createClient } from "@supabase/supabase-js";
+import {
+  allowedFrom,
+  canTransition,
+  isOverdue,
+  transitionAction,
+  applyPriceAction,
+} from "./aiActionLifecycle.js";
+import { priceChangePct } from "./feedbackModel.js";
+import { enqueueJob } from "./jobQueue.js";
+import { validate } from "./validation.js";
+import {
+  DATE_TIME,
+  FEEDBACK_VALUES,
+  ID,
+  ROW,
+  ROWS,
+  SHOP,
+  SHOPIFY_ID,
+  object,
+  okResponse,
+} from "./schemas.js";
 
 const router = express.Router();
 
@@ -9,51 +30,123 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-// ✅ 1️⃣ Get all AI actions for a shop
-router.get("/list", async (req, res) => {
-  const { shop } = req.query;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+// Bulk decisions run one by one in a job (approvals hit Shopify), so keep batches sane
+const MAX_BULK_ACTIONS = 500;
+// Ids per .in() filter, so the request URL stays short
+const ID_CHUNK = 200;
 
-  if (!shop) {
-    return res.status(400).json({ ok: false, error: "Missing shop parameter" });
-  }
+// Filters shared by /list and /bulk-update (comma-separated lists allowed)
+const ACTION_FILTERS = {
+  action: { type: "string" },
+  status: { type: "string" },
+  product_id: SHOPIFY_ID,
+  run_id: ID,
+  from: DATE_TIME,
+  to: DATE_TIME,
+};
+
+const DECISION = { type: "string", enum: FEEDBACK_VALUES };
 
-  const { data, error } = await supabase
-    .from("ai_actions")
-    .select("*")
-    .eq("shop_domain", shop)
-    .order("created_at", { ascending: false });
+const DECISION_RESULT = object({
+  id: ID,
+  ok: { type: "boolean" },
+  status: { type: "integer" },
+  error: { type: "string" },
+  message: { type: "string" },
+  execution: { type: "object" },
+});
 
-  if (error) {
-    return res.status(500).json({ ok: false, error: error.message });
+// Helper: cursor = last row's (created_at, id), so pages stay stable while
+// new actions keep arriving at the top
+function encodeCursor(row) {
+  return Buffer.from(JSON.stringify([row.created_at, row.id])).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (!createdAt || id == null || isNaN(Date.parse(createdAt))) return null;
+    return { createdAt, id };
+  } catch {
+    return null;
   }
+}
 
-  res.json({ ok: true, count: data.length, actions: data });
-});
+// Helper: apply list/bulk filters to an ai_actions query.
+// Filters: action, status (comma-separated allowed), product_id, run_id, from, to
+function applyFilters(query, filters = {}) {
+  const list = (v) =>
+    (Array.isArray(v) ? v : String(v).split(","))
+      .map((s) => String(s).trim())
+      .filter(Boolean);
 
-// ✅ 2️⃣ Update AI action (approve/reject) — includes feedback
-router.post("/update", async (req, res) => {
-  const { id, status } = req.body;
+  if (filters.action) query = query.in("action", list(filters.action));
+  if (filters.status) query = query.in("status", list(filters.status));
+  if (filters.product_id) query = query.eq("product_id", filters.product_id);
+  if (filters.run_id) query = query.eq("run_id", filters.run_id);
+  if (filters.from) query = query.gte("created_at", filters.from);
+  if (filters.to) query = query.lte("created_at", filters.to);
+  return query;
+}
+
+// Helper: approve or reject one action, apply approved price changes, and
+// write feedback — for price changes only once they applied, so the model
+// doesn't learn from approvals that never reached the store.
+// Returns { id, ok, status?, error?, message?, execution? }.
+async function decideAction(current, status) {
+  const id = current.id;
+
+  // Past expires_at but not swept yet: expire it now, no feedback
+  if (isOverdue(current) && canTransition(current.status, "expired")) {
+    await transitionAction(id, "expired", { error: "Suggestion expired" });
+    return { id, ok: false, status: 409, error: `Action ${id} has expired` };
+  }
+
+  if (!canTransition(current.status, status)) {
+    return {
+      id,
+      ok: false,
+      status: 409,
+      error: `Cannot move action ${id} from ${current.status} to ${status}`,
+    };
+  }
 
-  if (!id || !status) {
-    return res.status(400).json({ ok: false, error: "Missing id or status" });
+  const actionData = await transitionAction(id, status);
+  if (!actionData) {
+    // Someone else moved it between our read and write
+    return { id, ok: false, status: 409, error: `Action ${id} changed status, try again` };
   }
 
-  const { data: actionData, error: actionError } = await supabase
-    .from("ai_actions")
-    .update({ status })
-    .eq("id", id)
-    .select()
-    .single();
+  // 💲 Approved price changes get executed now
+  let execution = null;
+  if (status === "approved" && actionData.action === "price_adjustment") {
+    execution = await applyPriceAction(actionData, {
+      source: "manual_approval",
+      reason: "Applied after manual approval.",
+    });
 
-  if (actionError) {
-    return res.status(500).json({ ok: false, error: actionError.message });
+    if (!execution.ok) {
+      return {
+        id,
+        ok: false,
+        status: execution.status || 500,
+        error: execution.error,
+        message: `Action ${id} approved but failed to apply: ${execution.error}`,
+        execution,
+      };
+    }
   }
 
   const feedback = {
     shop_domain: actionData.shop_domain,
     product_id: actionData.product_id,
+    variant_id: actionData.variant_id ?? null,
     action: actionData.action,
-    feedback: status === "approved" ? "approved" : "rejected",
+    feedback: status,
+    // Direction + size of the change, so the model can tell +5% from -20%
+    change_pct: priceChangePct(actionData.details),
     reason: actionData.reason || "user feedback"
   };
 
@@ -67,7 +160,217 @@ router.post("/update", async (req, res) => {
     console.log(`🧠 Feedback recorded: ${feedback.feedback} → ${feedback.action}`);
   }
 
-  res.json({ ok: true, message: `Action ${id} marked as ${status}` });
-});
+  return execution
+    ? { id, ok: true, message: `Action ${id} approved and applied`, execution }
+    : { id, ok: true, message: `Action ${id} marked as ${status}` };
+}
+
+/**
+ * Approve or reject a batch of actions, one by one (the ai_bulk_update job).
+ * ids that don't belong to the shop come back as 404 results.
+ * job: optional job context for progress + cancellation between actions.
+ * Returns { status, total, succeeded, failed, results }.
+ */
+export async function bulkDecideActions(shop, status, ids, { job = null } = {}) {
+  const byId = new Map();
+  for (let i = 0; i < ids.length; i += ID_CHUNK) {
+    const { data, error } = await supabase
+      .from("ai_actions")
+      .select("*")
+      .eq("shop_domain", shop)
+      .in("id", ids.slice(i, i + ID_CHUNK));
+    if (error) throw error;
+    for (const a of data || []) byId.set(String(a.id), a);
+  }
+
+  const results = [];
+  for (const id of ids) {
+    job?.throwIfCancelled();
+    await job?.progress({ phase: "deciding", done: results.length, total: ids.length });
+
+    const action = byId.get(String(id));
+    if (!action) {
+      results.push({ id, ok: false, status: 404, error: "Action not found" });
+      continue;
+    }
+    try {
+      results.push(await decideAction(action, status));
+    } catch (err) {
+      results.push({ id, ok: false, status: 500, error: err.message });
+    }
+  }
+  await job?.progress({ phase: "done", done: results.length, total: ids.length });
+
+  const succeeded = results.filter((r) => r.ok).length;
+  console.log(`📦 Bulk ${status}: ${succeeded}/${results.length} actions for ${shop}`);
+  return {
+    status,
+    total: results.length,
+    succeeded,
+    failed: results.length - succeeded,
+    results,
+  };
+}
+
+// ✅ 1️⃣ List AI actions for a shop, newest first
+// GET /api/ai/list?shop=...&action=&status=&product_id=&run_id=&from=&to=&limit=&cursor=
+router.get(
+  "/list",
+  validate({
+    summary: "List AI actions, newest first (cursor paginated)",
+    query: object({
+      shop: SHOP,
+      ...ACTION_FILTERS,
+      limit: { type: "integer", minimum: 1, maximum: MAX_PAGE_SIZE },
+      cursor: { type: "string" },
+    }),
+    response: okResponse({
+      count: { type: "integer" },
+      actions: ROWS,
+      next_cursor: { type: "string", nullable: true },
+    }),
+  }),
+  async (req, res) => {
+    const { shop, cursor } = req.query;
+    const limit = req.query.limit || DEFAULT_PAGE_SIZE;
+
+    let after = null;
+    if (cursor) {
+      after = decodeCursor(cursor);
+      if (!after) {
+        return res.status(400).json({ ok: false, error: "Invalid cursor" });
+      }
+    }
+
+    let query = applyFilters(
+      supabase.from("ai_actions").select("*").eq("shop_domain", shop),
+      req.query
+    );
+    if (after) {
+      query = query.or(
+        `created_at.lt.${after.createdAt},and(created_at.eq.${after.createdAt},id.lt.${after.id})`
+      );
+    }
+
+    // Fetch one extra row to know whether there is another page
+    const { data, error } = await query
+      .order("created_at", { ascending: false })
+      .order("id", { ascending: false })
+      .limit(limit + 1);
+
+    if (error) {
+      return res.status(500).json({ ok: false, error: error.message });
+    }
+
+    const actions = data.slice(0, limit);
+    const nextCursor =
+      data.length > limit ? encodeCursor(actions[actions.length - 1]) : null;
+
+    res.json({ ok: true, count: actions.length, actions, next_cursor: nextCursor });
+  }
+);
+
+// ✅ 2️⃣ Update AI action (approve/reject) — includes feedback.
+// Approving a price_adjustment applies it right away (same path as Full mode).
+router.post(
+  "/update",
+  validate({
+    summary: "Approve or reject one action (approving a price change applies it)",
+    body: object({ shop: SHOP, id: ID, status: DECISION }, ["id", "status"]),
+    response: DECISION_RESULT,
+  }),
+  async (req, res) => {
+    const { id, status } = req.body;
+
+    // Only the caller's own actions (another shop's id is simply "not found")
+    const { data: current, error: currentError } = await supabase
+      .from("ai_actions")
+      .select("*")
+      .eq("id", id)
+      .eq("shop_domain", req.auth.shop)
+      .maybeSingle();
+
+    if (currentError) {
+      return res.status(500).json({ ok: false, error: currentError.message });
+    }
+    if (!current) {
+      return res.status(404).json({ ok: false, error: "Action not found" });
+    }
+
+    try {
+      const { status: httpStatus, ...result } = await decideAction(current, status);
+      res.status(result.ok ? 200 : httpStatus).json(result);
+    } catch (err) {
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  }
+);
+
+// ✅ 3️⃣ Bulk approve/reject — queued as an ai_bulk_update job; the outcome
+// per action ends up in the job's result (GET /api/jobs/get)
+// POST /api/ai/bulk-update { shop, status, ids: [...] }
+//   or { shop, status, filter: { action, product_id, run_id, from, to } }
+// A filter only picks actions that can still move to `status`; the matching
+// ids are fixed when the job is queued.
+router.post(
+  "/bulk-update",
+  validate({
+    summary: "Queue approving or rejecting many actions by ids or by filter",
+    status: 202,
+    body: object(
+      {
+        shop: SHOP,
+        status: DECISION,
+        ids: { type: "array", items: ID, minItems: 1, maxItems: MAX_BULK_ACTIONS },
+        filter: object(ACTION_FILTERS),
+      },
+      ["status"]
+    ),
+    response: okResponse({ job: ROW }),
+  }),
+  async (req, res) => {
+    const { shop, status, ids, filter } = req.body;
+
+    // One or the other — the schema can't say "not both"
+    if (!ids === !filter) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Provide either ids or filter" });
+    }
+
+    try {
+      let targets = ids;
+      if (!ids) {
+        const { data: actions, error } = await applyFilters(
+          supabase.from("ai_actions").select("id").eq("shop_domain", shop),
+          { ...filter, status: allowedFrom(status) }
+        )
+          .order("created_at", { ascending: true })
+          .limit(MAX_BULK_ACTIONS + 1);
+        if (error) throw error;
+
+        if (actions.length > MAX_BULK_ACTIONS) {
+          return res.status(400).json({
+            ok: false,
+            error: `Filter matches more than ${MAX_BULK_ACTIONS} actions, narrow it down`,
+          });
+        }
+        targets = actions.map((a) => a.id);
+      }
+
+      // Approvals aren't safe to repeat blindly, so no automatic retries
+      const job = await enqueueJob(
+        shop,
+        "ai_bulk_update",
+        { status, ids: targets },
+        { maxAttempts: 1 }
+      );
+      res.status(202).json({ ok: true, job });
+    } catch (err) {
+      console.error("❌ Bulk update error:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  }
+);
 
 export default router;
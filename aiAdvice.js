@@ -1,6 +1,8 @@
 // aiAdvice.js
 import express from "express";
 import { createClient } from "@supabase/supabase-js";
+import { validate } from "./validation.js";
+import { AUTOPILOT_MODES, RISK_LEVELS, SHOP_QUERY, okResponse } from "./schemas.js";
 
 const router = express.Router();
 
@@ -10,66 +12,77 @@ const supabase = createClient(
 );
 
 // 🧠 AI config advice based on feedback
-router.get("/advice", async (req, res) => {
-  const shop = req.query.shop;
+router.get(
+  "/advice",
+  validate({
+    summary: "Recommend a mode and risk level from past feedback",
+    query: SHOP_QUERY,
+    response: okResponse({
+      total: { type: "integer" },
+      approved: { type: "integer" },
+      rejected: { type: "integer" },
+      recommended_mode: { type: "string", enum: AUTOPILOT_MODES },
+      recommended_risk: { type: "string", enum: RISK_LEVELS },
+      reason: { type: "string" },
+    }),
+  }),
+  async (req, res) => {
+    const shop = req.query.shop;
 
-  if (!shop) {
-    return res.status(400).json({ ok: false, error: "Missing shop parameter" });
-  }
-
-  try {
-    const { data, error } = await supabase
-      .from("ai_feedback")
-      .select("feedback")
-      .eq("shop_domain", shop);
-
-    if (error) throw error;
+    try {
+      const { data, error } = await supabase
+        .from("ai_feedback")
+        .select("feedback")
+        .eq("shop_domain", shop);
 
-    const total = data.length;
-    const approved = data.filter((r) => r.feedback === "approved").length;
-    const rejected = data.filter((r) => r.feedback === "rejected").length;
+      if (error) throw error;
 
-    let recommended_mode = "assist";
-    let recommended_risk = "normal";
-    let reason = "";
+      const total = data.length;
+      const approved = data.filter((r) => r.feedback === "approved").length;
+      const rejected = data.filter((r) => r.feedback === "rejected").length;
 
-    if (total < 10) {
-      reason =
-        "Not enough feedback yet — keep AI in Assist mode and Normal risk while you train it.";
-    } else {
-      const approvalRate = approved / total;
+      let recommended_mode = "assist";
+      let recommended_risk = "normal";
+      let reason = "";
 
-      if (approvalRate >= 0.7) {
-        recommended_mode = "full";
-        recommended_risk = "aggressive";
+      if (total < 10) {
         reason =
-          "You agree with most AI decisions — it's safe to let the AI run more aggressively.";
-      } else if (approvalRate <= 0.3) {
-        recommended_mode = "assist";
-        recommended_risk = "safe";
-        reason =
-          "You reject most AI decisions — stay in Assist mode with Safe risk until the AI learns your style.";
+          "Not enough feedback yet — keep AI in Assist mode and Normal risk while you train it.";
       } else {
-        recommended_mode = "assist";
-        recommended_risk = "normal";
-        reason =
-          "Mixed feedback — keep Assist mode with Normal risk for a balanced approach.";
+        const approvalRate = approved / total;
+
+        if (approvalRate >= 0.7) {
+          recommended_mode = "full";
+          recommended_risk = "aggressive";
+          reason =
+            "You agree with most AI decisions — it's safe to let the AI run more aggressively.";
+        } else if (approvalRate <= 0.3) {
+          recommended_mode = "assist";
+          recommended_risk = "safe";
+          reason =
+            "You reject most AI decisions — stay in Assist mode with Safe risk until the AI learns your style.";
+        } else {
+          recommended_mode = "assist";
+          recommended_risk = "normal";
+          reason =
+            "Mixed feedback — keep Assist mode with Normal risk for a balanced approach.";
+        }
       }
-    }
 
-    res.json({
-      ok: true,
-      total,
-      approved,
-      rejected,
-      recommended_mode,
-      recommended_risk,
-      reason,
-    });
-  } catch (err) {
-    console.error("❌ AI advice error:", err.message);
-    res.status(500).json({ ok: false, error: err.message });
+      res.json({
+        ok: true,
+        total,
+        approved,
+        rejected,
+        recommended_mode,
+        recommended_risk,
+        reason,
+      });
+    } catch (err) {
+      console.error("❌ AI advice error:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
   }
-});
+);
 
 export default router;
@@ -1,6 +1,8 @@
 // aiFeedback.js
 import express from "express";
 import { createClient } from "@supabase/supabase-js";
+import { validate } from "./validation.js";
+import { FEEDBACK_VALUES, SHOPIFY_ID, object, okResponse } from "./schemas.js";
 
 const router = express.Router();
 const supabase = createClient(
@@ -8,21 +10,36 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-// 🧩 Add feedback (approve/reject)
-router.post("/add", async (req, res) => {
-  const { shop_domain, product_id, action, feedback } = req.body;
+// 🧩 Add feedback (approve/reject) for the caller's shop
+router.post(
+  "/add",
+  validate({
+    summary: "Record approve/reject feedback for a product",
+    body: object(
+      {
+        product_id: SHOPIFY_ID,
+        action: { type: "string", minLength: 1 },
+        feedback: { type: "string", enum: FEEDBACK_VALUES },
+      },
+      ["product_id", "action", "feedback"]
+    ),
+    response: okResponse(),
+  }),
+  async (req, res) => {
+    const { product_id, action, feedback } = req.body;
 
-  try {
-    const { error } = await supabase.from("ai_feedback").insert([
-      { shop_domain, product_id, action, feedback },
-    ]);
+    try {
+      const { error } = await supabase.from("ai_feedback").insert([
+        { shop_domain: req.auth.shop, product_id, action, feedback },
+      ]);
 
-    if (error) throw error;
-    res.json({ ok: true });
-  } catch (err) {
-    console.error("❌ Feedback insert failed:", err.message);
-    res.status(500).json({ ok: false, error: err.message });
+      if (error) throw error;
+      res.json({ ok: true });
+    } catch (err) {
+      console.error("❌ Feedback insert failed:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
   }
-});
+);
 
 export default router;
\ No newline at end of file
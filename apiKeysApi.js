@@ -0,0 +1,121 @@
+// apiKeysApi.js
+import express from "express";
+import { createClient } from "@supabase/supabase-js";
+import { generateApiKey, hashApiKey } from "./auth.js";
+import { validate } from "./validation.js";
+import { ID, ROW, ROWS, object, okResponse } from "./schemas.js";
+
+const router = express.Router();
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Helper: keys are managed from the embedded app only, never with another key
+function requireSession(req, res) {
+  if (req.auth?.type === "session") return true;
+  res.status(403).json({ ok: false, error: "API keys can only be managed from the app" });
+  return false;
+}
+
+// 🔑 GET /api/keys/list
+router.get(
+  "/list",
+  validate({
+    summary: "List this shop's API keys (never the keys themselves)",
+    response: okResponse({ keys: ROWS }),
+  }),
+  async (req, res) => {
+    try {
+      const { data, error } = await supabase
+        .from("api_keys")
+        .select("id, name, key_prefix, created_at, last_used_at, revoked_at")
+        .eq("shop_domain", req.auth.shop)
+        .order("created_at", { ascending: false });
+      if (error) throw error;
+
+      res.json({ ok: true, keys: data });
+    } catch (err) {
+      console.error("❌ API key list error:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  }
+);
+
+// 🔑 POST /api/keys/create { name } — the key is only ever shown in this response
+router.post(
+  "/create",
+  validate({
+    summary: "Create an API key (session only)",
+    body: object({ name: { type: "string", minLength: 1, maxLength: 100 } }, ["name"]),
+    response: okResponse({
+      key: { type: "string", description: "shown once, store it safely" },
+      api_key: ROW,
+    }),
+  }),
+  async (req, res) => {
+    if (!requireSession(req, res)) return;
+
+    const name = req.body.name.trim();
+
+    try {
+      const key = generateApiKey();
+      const { data, error } = await supabase
+        .from("api_keys")
+        .insert([
+          {
+            shop_domain: req.auth.shop,
+            name,
+            key_hash: hashApiKey(key),
+            key_prefix: key.slice(0, 8),
+          },
+        ])
+        .select("id, name, key_prefix, created_at")
+        .single();
+      if (error) throw error;
+
+      console.log(`🔑 API key "${name}" created for ${req.auth.shop}`);
+      res.json({ ok: true, key, api_key: data });
+    } catch (err) {
+      console.error("❌ API key create error:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  }
+);
+
+// 🔑 POST /api/keys/revoke { id }
+router.post(
+  "/revoke",
+  validate({
+    summary: "Revoke an API key (session only)",
+    body: object({ id: ID }, ["id"]),
+    response: okResponse(),
+  }),
+  async (req, res) => {
+    if (!requireSession(req, res)) return;
+
+    const { id } = req.body;
+
+    try {
+      const { data, error } = await supabase
+        .from("api_keys")
+        .update({ revoked_at: new Date().toISOString() })
+        .eq("id", id)
+        .eq("shop_domain", req.auth.shop)
+        .is("revoked_at", null)
+        .select("id");
+      if (error) throw error;
+      if (!data?.length) {
+        return res.status(404).json({ ok: false, error: "API key not found" });
+      }
+
+      res.json({ ok: true });
+    } catch (err) {
+      console.error("❌ API key revoke error:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  }
+);
+
+export default router;
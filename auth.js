@@ -0,0 +1,248 @@
+// auth.js
+// Who is calling, and may they touch this shop?
+//   • Shopify App Bridge session tokens: Authorization: Bearer <JWT>, HS256
+//     signed with SHOPIFY_API_SECRET, aud = SHOPIFY_API_KEY, dest = the shop
+//   • API keys for server-to-server calls: X-Api-Key: ak_... (stored hashed in api_keys)
+//   • Stream tokens for EventSource, which can't send headers: ?token=...,
+//     short-lived, HMAC signed, good for one run's event stream only
+import crypto from "crypto";
+import { createClient } from "@supabase/supabase-js";
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Shopify allows a little clock skew between its servers and ours
+const CLOCK_SKEW_SECONDS = 5;
+
+export const API_KEY_PREFIX = "ak_";
+
+const STREAM_TOKEN_TTL_SECONDS = 5 * 60;
+
+export class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = "AuthError";
+    this.status = status;
+  }
+}
+
+// Helper: base64url → Buffer / JSON
+function b64url(part) {
+  return Buffer.from(part, "base64url");
+}
+
+// Helper: "https://my-store.myshopify.com/admin" → "my-store.myshopify.com"
+function shopFromUrl(value) {
+  try {
+    const host = new URL(value).hostname.toLowerCase();
+    return host.endsWith(".myshopify.com") ? host : null;
+  } catch {
+    return null;
+  }
+}
+
+export function hashApiKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+export function generateApiKey() {
+  return API_KEY_PREFIX + crypto.randomBytes(24).toString("base64url");
+}
+
+/**
+ * Verify an App Bridge session token.
+ * Returns { shop, user_id } or throws AuthError.
+ */
+export function verifySessionToken(token, now = Date.now()) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) throw new AuthError("Malformed session token");
+
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(b64url(parts[0]).toString());
+    payload = JSON.parse(b64url(parts[1]).toString());
+  } catch {
+    throw new AuthError("Malformed session token");
+  }
+  if (header.alg !== "HS256") throw new AuthError("Unsupported token algorithm");
+
+  const expected = crypto
+    .createHmac("sha256", process.env.SHOPIFY_API_SECRET)
+    .update(`${parts[0]}.${parts[1]}`)
+    .digest();
+  const received = b64url(parts[2]);
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    throw new AuthError("Invalid session token signature");
+  }
+
+  const seconds = Math.floor(now / 1000);
+  if (payload.exp == null || seconds > payload.exp + CLOCK_SKEW_SECONDS) {
+    throw new AuthError("Session token expired");
+  }
+  if (payload.nbf != null && seconds < payload.nbf - CLOCK_SKEW_SECONDS) {
+    throw new AuthError("Session token not valid yet");
+  }
+  if (payload.aud !== process.env.SHOPIFY_API_KEY) {
+    throw new AuthError("Session token is for another app");
+  }
+
+  const shop = shopFromUrl(payload.dest);
+  if (!shop || shopFromUrl(payload.iss) !== shop) {
+    throw new AuthError("Session token has no valid shop");
+  }
+
+  return { shop, user_id: payload.sub ?? null };
+}
+
+// Helper: stream token signature ("stream:" keeps it apart from any other
+// HMAC made with the app secret)
+function streamSignature(payload) {
+  return crypto
+    .createHmac("sha256", process.env.SHOPIFY_API_SECRET)
+    .update(`stream:${payload}`)
+    .digest();
+}
+
+/**
+ * Sign a token that opens one run's event stream for a few minutes.
+ * Returns { token, expires_at }.
+ */
+export function signStreamToken({ shop, run_id }, now = Date.now()) {
+  const exp = Math.floor(now / 1000) + STREAM_TOKEN_TTL_SECONDS;
+  const payload = Buffer.from(JSON.stringify({ shop, run_id: String(run_id), exp })).toString(
+    "base64url"
+  );
+  return {
+    token: `${payload}.${streamSignature(payload).toString("base64url")}`,
+    expires_at: new Date(exp * 1000).toISOString(),
+  };
+}
+
+/**
+ * Verify a stream token for the run being opened.
+ * Returns { shop, run_id } or throws AuthError.
+ */
+export function verifyStreamToken(token, runId, now = Date.now()) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 2) throw new AuthError("Malformed stream token");
+
+  const expected = streamSignature(parts[0]);
+  const received = b64url(parts[1]);
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    throw new AuthError("Invalid stream token signature");
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(b64url(parts[0]).toString());
+  } catch {
+    throw new AuthError("Malformed stream token");
+  }
+  if (claims.exp == null || Math.floor(now / 1000) > claims.exp) {
+    throw new AuthError("Stream token expired");
+  }
+  if (String(claims.run_id) !== String(runId)) {
+    throw new AuthError("Stream token is for another run", 403);
+  }
+  return { shop: claims.shop, run_id: claims.run_id };
+}
+
+/**
+ * Look up an API key. Returns { shop, key_id } or throws AuthError.
+ */
+export async function verifyApiKey(key) {
+  if (!String(key || "").startsWith(API_KEY_PREFIX)) throw new AuthError("Invalid API key");
+
+  const { data, error } = await supabase
+    .from("api_keys")
+    .select("id, shop_domain, revoked_at")
+    .eq("key_hash", hashApiKey(key))
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data || data.revoked_at) throw new AuthError("Invalid API key");
+
+  // Best effort, never blocks the request
+  supabase
+    .from("api_keys")
+    .update({ last_used_at: new Date().toISOString() })
+    .eq("id", data.id)
+    .then(({ error: touchErr }) => {
+      if (touchErr) console.error("⚠️ Failed to touch API key:", touchErr.message);
+    });
+
+  return { shop: data.shop_domain, key_id: data.id };
+}
+
+// 🔐 Middleware: authenticate the caller; sets req.auth = { type, shop, ... }
+export async function requireAuth(req, res, next) {
+  try {
+    const apiKey = req.get("x-api-key");
+    const bearer = /^Bearer\s+(.+)$/i.exec(req.get("authorization") || "")?.[1];
+
+    if (apiKey) {
+      req.auth = { type: "api_key", ...(await verifyApiKey(apiKey)) };
+    } else if (bearer) {
+      req.auth = { type: "session", ...verifySessionToken(bearer) };
+    } else {
+      throw new AuthError("Missing session token or API key");
+    }
+    next();
+  } catch (err) {
+    if (err instanceof AuthError) {
+      return res.status(err.status).json({ ok: false, error: err.message });
+    }
+    console.error("❌ Auth error:", err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+}
+
+// 🔐 Middleware: requireAuth, or a stream token in ?token= (for ?run_id=)
+export function requireStreamAuth(req, res, next) {
+  if (req.query.token == null) return requireAuth(req, res, next);
+
+  try {
+    req.auth = { type: "stream", ...verifyStreamToken(req.query.token, req.query.run_id) };
+    next();
+  } catch (err) {
+    if (err instanceof AuthError) {
+      return res.status(err.status).json({ ok: false, error: err.message });
+    }
+    console.error("❌ Auth error:", err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+}
+
+// 🏪 Middleware: the shop being read or changed must be the caller's shop.
+// Looks at ?shop, body.shop and body.shop_domain; when none is given the
+// caller's shop is filled in so handlers can keep reading req.query/req.body.
+export function requireShopAccess(req, res, next) {
+  const shop = req.auth?.shop;
+  if (!shop) {
+    return res.status(401).json({ ok: false, error: "Not authenticated" });
+  }
+
+  const body = req.body && typeof req.body === "object" ? req.body : null;
+  const claimed = [req.query.shop, body?.shop, body?.shop_domain].filter(
+    (s) => s != null && s !== ""
+  );
+  if (claimed.some((s) => String(s).toLowerCase() !== shop.toLowerCase())) {
+    return res.status(403).json({ ok: false, error: "Not allowed for this shop" });
+  }
+
+  req.query.shop = shop;
+  if (body) {
+    body.shop = shop;
+    if ("shop_domain" in body) body.shop_domain = shop;
+  }
+  next();
+}
+
+// Both, for app.use(path, requireShop, router)
+export const requireShop = [requireAuth, requireShopAccess];
+
+// Same, also taking a stream token — for event streams only
+export const requireStreamShop = [requireStreamAuth, requireShopAccess];
@@ -1,6 +1,39 @@
 // autopilotEngine.js
 import { createClient } from "@supabase/supabase-js";
-import fetch from "node-fetch";
+import {
+  applyPriceAction,
+  supersedeOpenActions,
+  suggestionExpiry,
+} from "./aiActionLifecycle.js";
+import {
+  DEFAULT_RULES,
+  calculateOptimalPrice,
+  generateReason,
+  evaluateAdBoost,
+} from "./pricingRules.js";
+import { resolveGuardrails, applyGuardrails } from "./priceGuardrails.js";
+import { indexFeedback, priceChangePct, scoreSuggestion } from "./feedbackModel.js";
+import { getLiveEvents } from "./seasonalEvents.js";
+import { selectAll } from "./db.js";
+import { JobCancelledError } from "./jobQueue.js";
+import { createRunEvents } from "./runEvents.js";
+
+// Rolling product_performance window the pricing rules look at
+const PERFORMANCE_WINDOW_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ai_actions rows per insert request
+const INSERT_CHUNK = 500;
+
+// Shopify price updates in flight at once in Full mode
+const APPLY_CONCURRENCY = Math.max(
+  1,
+  parseInt(process.env.AUTOPILOT_APPLY_CONCURRENCY || "4", 10) || 4
+);
+
+// How often a locked run renews its run lock (well inside the lock's TTL)
+const LOCK_RENEW_MS = 60 * 1000;
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -8,111 +41,251 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-// 🧠 Learn from past AI feedback
-async function getFeedbackTrends(shop_domain, product_id, action) {
+// 🧠 Past AI feedback for the shop (scored per suggestion by feedbackModel.js)
+async function loadShopFeedback(shop_domain) {
+  try {
+    return await selectAll(() =>
+      supabase
+        .from("ai_feedback")
+        .select("product_id, variant_id, action, feedback, weight, change_pct, created_at")
+        .eq("shop_domain", shop_domain)
+        .order("created_at", { ascending: true })
+        .order("id", { ascending: true })
+    );
+  } catch (err) {
+    console.error("⚠️ Failed to fetch feedback:", err.message);
+    return [];
+  }
+}
+
+// 📊 performance rows for the whole shop, grouped by product
+async function loadPerformance(shop_domain) {
+  const byProduct = new Map();
+  let rows;
+  try {
+    rows = await selectAll(() =>
+      supabase
+        .from("product_performance")
+        .select("*")
+        .eq("shop_domain", shop_domain)
+        .eq("window_days", PERFORMANCE_WINDOW_DAYS)
+        .order("product_id", { ascending: true })
+        .order("variant_id", { ascending: true, nullsFirst: true })
+    );
+  } catch (err) {
+    console.error("⚠️ Failed to load performance:", err.message);
+    return byProduct;
+  }
+
+  for (const row of rows) {
+    const key = String(row.product_id);
+    if (!byProduct.has(key)) byProduct.set(key, []);
+    byProduct.get(key).push(row);
+  }
+  return byProduct;
+}
+
+// 📐 Shop's pricing rules (built-in defaults until it saves its own)
+async function loadShopRules(shop_domain) {
+  const { data, error } = await supabase
+    .from("pricing_rules")
+    .select("*")
+    .eq("shop_domain", shop_domain);
+
+  if (error) {
+    console.error("⚠️ Failed to load pricing rules, using defaults:", error.message);
+    return DEFAULT_RULES;
+  }
+  return data?.length ? data : DEFAULT_RULES;
+}
+
+// 🛡️ Shop-wide + per-product guardrail rows
+async function loadGuardrails(shop_domain) {
   const { data, error } = await supabase
-    .from("ai_feedback")
-    .select("feedback")
-    .eq("shop_domain", shop_domain)
-    .eq("product_id", product_id)
-    .eq("action", action);
+    .from("price_guardrails")
+    .select("*")
+    .eq("shop_domain", shop_domain);
 
   if (error) {
-    console.error("⚠️ Failed to fetch feedback trends:", error.message);
-    return { approved: 0, rejected: 0 };
+    console.error("⚠️ Failed to load guardrails, using defaults:", error.message);
+    return { shopRow: null, byProduct: new Map() };
   }
 
-  const approved = data.filter((f) => f.feedback === "approved").length;
-  const rejected = data.filter((f) => f.feedback === "rejected").length;
+  return {
+    shopRow: data.find((g) => g.product_id == null) || null,
+    byProduct: new Map(
+      data.filter((g) => g.product_id != null).map((g) => [String(g.product_id), g])
+    ),
+  };
+}
+
+// 🕰️ Price each variant had at the start of today / of the last 7 days,
+// taken from the first change recorded in price_history in that period.
+// Throws when the history can't be read — without it the change limits
+// can't hold, so the run must not go ahead.
+async function loadPeriodStartPrices(shop_domain, now = new Date()) {
+  const dayStart = new Date(now);
+  dayStart.setUTCHours(0, 0, 0, 0);
+  const weekStart = new Date(now.getTime() - 7 * DAY_MS);
+
+  const data = await selectAll(() =>
+    supabase
+      .from("price_history")
+      .select("id, product_id, variant_id, old_price, created_at")
+      .eq("shop_domain", shop_domain)
+      .gte("created_at", weekStart.toISOString())
+      .order("created_at", { ascending: true })
+      .order("id", { ascending: true })
+  );
+
+  const day = new Map();
+  const week = new Map();
+  for (const row of data) {
+    const oldPrice = parseFloat(row.old_price);
+    if (!Number.isFinite(oldPrice)) continue;
 
-  return { approved, rejected };
+    const key = `${row.product_id}:${row.variant_id ?? ""}`;
+    if (!week.has(key)) week.set(key, oldPrice);
+    if (!day.has(key) && new Date(row.created_at) >= dayStart) day.set(key, oldPrice);
+  }
+  return { day, week };
 }
 
-// 🧩 Log every AI action (price suggestions, skips, ad boosts, etc.)
-async function logAIAction(
+// 🧩 An ai_actions row (price suggestions, skips, ad boosts, etc.)
+function actionRow(
   shop_domain,
   product_id,
   action,
   details = {},
   reason = "",
-  status = "suggested"
+  status = "suggested",
+  extra = {}
 ) {
-  const { error } = await supabase.from("ai_actions").insert([
-    { shop_domain, product_id, action, details, reason, status },
-  ]);
-  if (error)
-    console.error("❌ Failed to log AI action:", error.message);
-  else
-    console.log(`🧾 Logged AI action: ${action} for product ${product_id}`);
-}
-
-// 🧠 Generate a reasoning string
-function generateReason(product, performance, newPrice, oldPrice, event) {
-  const change = newPrice > oldPrice ? "increase" : "decrease";
-  let reason = `Price ${change} from £${oldPrice} to £${newPrice}. `;
-
-  if (performance?.conversion_rate > 0.08)
-    reason += "High conversion rate suggests strong demand. ";
-  if (performance?.conversion_rate < 0.02)
-    reason += "Low conversion rate indicates price may be too high. ";
-  if (performance?.profit_margin > 0.25)
-    reason += "Good profit margin allows for small price adjustments. ";
-  if (product.inventory_quantity < 5)
-    reason += "Low inventory, increasing price slightly to protect margin. ";
-  if (
-    event &&
-    event.product_keywords?.some((k) =>
-      product.title.toLowerCase().includes(k.toLowerCase())
-    )
-  )
-    reason += `Relevant to ${event.name}, boosting price for seasonal demand. `;
-
-  return reason.trim();
+  // Open suggestions time out; Full-mode ones are applied straight away
+  const expiry = status === "suggested" ? { expires_at: suggestionExpiry() } : {};
+  return { shop_domain, product_id, action, details, reason, status, ...expiry, ...extra };
 }
 
-// 🧮 Calculate the optimal price (uses performance + event + risk)
-function calculateOptimalPrice(product, performance, event, risk_level) {
-  const price = parseFloat(product.price);
-  let newPrice = price;
-
-  // Base logic: use performance
-  if (
-    performance?.profit_margin > 0.25 &&
-    performance?.conversion_rate > 0.08
-  ) {
-    newPrice = price * 1.08;
-  }
-  if (performance?.conversion_rate < 0.02) {
-    newPrice = price * 0.95;
-  }
-  if (product.inventory_quantity < 5) {
-    newPrice = price * 1.1;
-  }
-  if (
-    event &&
-    event.product_keywords?.some((k) =>
-      product.title.toLowerCase().includes(k.toLowerCase())
-    )
-  ) {
-    newPrice = price * 1.15;
+// 🧾 Insert a run's actions in bulk; returns the rows that made it in
+async function insertActions(shop_domain, rows) {
+  const inserted = [];
+  for (let i = 0; i < rows.length; i += INSERT_CHUNK) {
+    const chunk = rows.slice(i, i + INSERT_CHUNK);
+    const { data, error } = await supabase
+      .from("ai_actions")
+      .insert(chunk)
+      .select("id, product_id, variant_id, action, status");
+    if (error) {
+      console.error(`❌ Failed to log ${chunk.length} AI actions:`, error.message);
+      continue;
+    }
+    inserted.push(...data);
   }
+  console.log(`🧾 Logged ${inserted.length}/${rows.length} AI actions`);
 
-  // Risk tuning
-  if (risk_level === "safe") {
-    // Soften moves
-    newPrice = price + (newPrice - price) * 0.5;
-  } else if (risk_level === "aggressive") {
-    // Amplify moves
-    newPrice = price + (newPrice - price) * 1.5;
+  // Newest suggestion wins, so the queue holds one per product/variant/action
+  try {
+    await supersedeOpenActions(
+      shop_domain,
+      inserted.filter((a) => a.status === "suggested" || a.status === "approved")
+    );
+  } catch (err) {
+    console.error("⚠️ Failed to supersede old actions:", err.message);
   }
+  return inserted;
+}
+
+// Helper: run fn over items with at most `limit` calls in flight
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
 
-  // Round to 2 decimals
-  return Math.round(newPrice * 100) / 100;
+// 📝 Open the autopilot_runs row up front so actions and price changes can point at it
+async function startRun(shop_domain, mode, risk, job_id) {
+  const { data, error } = await supabase
+    .from("autopilot_runs")
+    .insert([{ shop_domain, mode, risk_level: risk, status: "running", job_id }])
+    .select("id")
+    .single();
+  if (error) {
+    console.error("⚠️ Failed to open autopilot run:", error.message);
+    return null;
+  }
+  return data.id;
 }
 
 // 🧠 Main Autopilot Brain
-export async function runAutopilot(shop) {
-  console.log(`🤖 Running autopilot for ${shop}...`);
+// options.preview = true runs the same logic but writes nothing and returns
+// every decision; preview may also override risk / mode to try them out.
+// options.job is the job context when the worker runs it (see jobQueue.js):
+// the run is tied to the job, reports progress, and can be cancelled until
+// its actions are written — after that it finishes, so a cancel never leaves
+// half of a run applied.
+// Real runs stream their progress as run events (see runEvents.js).
+// options.renewLock is set by runAutopilotLocked; the run calls it as it goes.
+export async function runAutopilot(shop, options = {}) {
+  const events = createRunEvents(shop);
+  try {
+    return await autopilotRun(shop, options, events);
+  } catch (err) {
+    // Close the run so its row and its event stream don't stay "running"
+    const status = err instanceof JobCancelledError ? "cancelled" : "failed";
+    if (events.runId) {
+      const { error } = await supabase
+        .from("autopilot_runs")
+        .update({ status, finished_at: new Date().toISOString() })
+        .eq("id", events.runId);
+      if (error) console.error(`⚠️ Failed to mark run ${status}:`, error.message);
+    }
+    await events.close(`run_${status}`, { run_id: events.runId, status, error: err.message });
+    throw err;
+  }
+}
+
+async function autopilotRun(shop, options, events) {
+  const { preview = false, job = null } = options;
+  const jobId = job?.job.id ?? null;
+  console.log(`🤖 Running autopilot for ${shop}${preview ? " (preview)" : ""}...`);
+
+  // ⏱️ Per-phase timings, saved on the run so slow runs are easy to spot
+  const startedAt = Date.now();
+  const timings = {};
+  let phaseStart = startedAt;
+  const endPhase = (name) => {
+    const now = Date.now();
+    timings[`${name}_ms`] = now - phaseStart;
+    phaseStart = now;
+  };
+
+  // Preview never touches ai_actions; real runs collect rows tagged with the
+  // run and insert them in bulk once every product has been evaluated
+  let runId = null;
+  const actionRows = [];
+  const toApply = [];
+  const log = preview
+    ? () => {}
+    : (shop_domain, product_id, action, details, reason, status, extra = {}) =>
+        actionRows.push(
+          actionRow(shop_domain, product_id, action, details, reason, status, {
+            run_id: runId,
+            ...extra,
+          })
+        );
+  const decisions = [];
+  // Every decision also goes out as a run event
+  const decide = (type, decision) => {
+    decisions.push(decision);
+    events.emit(type, decision);
+  };
 
   // Counters for summary + autopilot_runs table
   let analyzedCount = 0;
@@ -121,181 +294,296 @@ export async function runAutopilot(shop) {
   let skippedDueToFeedback = 0;
   let marketingSuggestions = 0;
 
-  // 1️⃣ Seasonal event
-  const { data: events } = await supabase
-    .from("seasonal_events")
-    .select("*")
-    .eq("active", true);
-
-  const activeEvent = events?.[0] || null;
-  if (activeEvent) {
-    console.log(`🗓️ Active event: ${activeEvent.name}`);
+  // 1️⃣ Seasonal events running today (several may overlap) + shop mode / risk
+  const runDate = new Date();
+  const [liveEvents, { data: shopInfo }] = await Promise.all([
+    getLiveEvents(runDate, shop),
+    supabase
+      .from("shops")
+      .select("autopilot_mode, risk_level, event_overlap")
+      .eq("shop_domain", shop)
+      .single(),
+  ]);
+  if (liveEvents.length) {
+    console.log(`🗓️ Live events: ${liveEvents.map((e) => e.name).join(", ")}`);
   }
 
-  // 2️⃣ Shop mode + risk
-  const { data: shopInfo } = await supabase
-    .from("shops")
-    .select("autopilot_mode, risk_level")
-    .eq("shop_domain", shop)
-    .single();
-
-  const mode = shopInfo?.autopilot_mode || "manual";
-  const risk = shopInfo?.risk_level || "normal";
+  const mode =
+    (preview && options.mode) || shopInfo?.autopilot_mode || "manual";
+  const risk = (preview && options.risk) || shopInfo?.risk_level || "normal";
   console.log(`🧭 Mode: ${mode} (risk: ${risk})`);
 
-  // 3️⃣ Get products
-  const { data: products, error } = await supabase
-    .from("products")
-    .select("*")
-    .eq("shop_domain", shop);
-
-  if (error) throw new Error(error.message);
-  if (!products?.length) throw new Error("No products found.");
+  // 2️⃣ Everything the rules need, one batch per table for the whole shop
+  const [products, variantRows, rules, feedback, guardrailRows, periodStart, perfByProduct] =
+    await Promise.all([
+      selectAll(() =>
+        supabase
+          .from("products")
+          .select("*")
+          .eq("shop_domain", shop)
+          .neq("status", "archived")
+          .order("shopify_product_id", { ascending: true })
+      ),
+      // Variants per product (products synced before variant storage have none)
+      selectAll(() =>
+        supabase
+          .from("product_variants")
+          .select("*")
+          .eq("shop_domain", shop)
+          .order("position", { ascending: true })
+          .order("shopify_variant_id", { ascending: true })
+      ),
+      loadShopRules(shop),
+      loadShopFeedback(shop),
+      loadGuardrails(shop),
+      loadPeriodStartPrices(shop),
+      loadPerformance(shop),
+    ]).catch((err) => {
+      // Supabase errors are plain objects
+      throw new Error(err.message);
+    });
+
+  if (!products.length) throw new Error("No products found.");
+
+  // Feedback on one product informs similar ones (type / vendor / tags);
+  // grouped once here rather than rescanned for every variant
+  const productsById = new Map(products.map((p) => [String(p.shopify_product_id), p]));
+  const feedbackIndex = indexFeedback(feedback, productsById);
+
+  const variantsByProduct = new Map();
+  for (const v of variantRows) {
+    const key = String(v.shopify_product_id);
+    if (!variantsByProduct.has(key)) variantsByProduct.set(key, []);
+    variantsByProduct.get(key).push(v);
+  }
+  endPhase("load");
+
+  if (!preview) {
+    runId = await startRun(shop, mode, risk, jobId);
+    events.open(runId, {
+      job_id: jobId,
+      mode,
+      risk,
+      products: products.length,
+      live_events: liveEvents.map((e) => e.name),
+    });
+  }
 
-  // 4️⃣ Evaluate each product
-  for (const p of products) {
-    analyzedCount += 1;
+  // 🔒 Keep the run lock; losing it before anything is written stops the run,
+  // after that (applying prices) we finish what we started and say so
+  let lockRenewedAt = Date.now();
+  const keepLock = async ({ required = true } = {}) => {
+    if (!options.renewLock || Date.now() - lockRenewedAt < LOCK_RENEW_MS) return;
+    lockRenewedAt = Date.now();
+    if (await options.renewLock()) return;
+    if (required) throw new Error(`Lost the autopilot run lock for ${shop}`);
+    console.error(`⚠️ Lost the autopilot run lock for ${shop} while applying prices`);
+  };
 
-    const { data: perf } = await supabase
-      .from("product_performance")
-      .select("*")
-      .eq("shop_domain", shop)
-      .eq("product_id", p.shopify_product_id)
-      .maybeSingle();
-
-    const currentPrice = parseFloat(p.price);
-    const newPrice = calculateOptimalPrice(
-      p,
-      perf,
-      activeEvent,
-      risk
-    );
-    const priceChanged = newPrice !== currentPrice;
+  // 🛑 Checkpoint: keep the lock, report job progress, and stop here if the
+  // job was cancelled
+  const checkpoint = async (done) => {
+    await keepLock();
+    if (!job) return;
+    await job.progress({ phase: "evaluate", done, total: products.length, run_id: runId });
+    job.throwIfCancelled();
+  };
 
-    // 🧩 Check AI feedback before deciding
-    const trend = await getFeedbackTrends(
-      shop,
-      p.shopify_product_id,
-      "price_adjustment"
-    );
+  // 3️⃣ Evaluate each product, one pricing decision per variant
+  let evaluated = 0;
+  for (const p of products) {
+    await checkpoint(evaluated);
+    evaluated += 1;
+    const perfRows = perfByProduct.get(String(p.shopify_product_id)) || [];
+
+    // Product-level row (no variant_id) drives ad boosts and variant fallback
+    const productPerf =
+      perfRows.find((r) => r.variant_id == null) || perfRows[0] || null;
+
+    const variants = variantsByProduct.get(String(p.shopify_product_id)) || [
+      {
+        shopify_variant_id: null,
+        title: null,
+        price: p.price,
+        inventory_quantity: p.inventory_quantity,
+      },
+    ];
+
+    for (const v of variants) {
+      analyzedCount += 1;
+
+      const variantId = v.shopify_variant_id;
+      const label =
+        v.title && v.title !== "Default Title" ? `${p.title} (${v.title})` : p.title;
+      const perf =
+        (variantId &&
+          perfRows.find((r) => String(r.variant_id) === String(variantId))) ||
+        productPerf;
+
+      // Price + stock come from the variant, title/event matching from the product
+      const item = {
+        ...p,
+        price: v.price,
+        inventory_quantity: v.inventory_quantity,
+      };
+
+      const currentPrice = parseFloat(item.price);
+      const {
+        price: rulePrice,
+        rule,
+        matched,
+        ctx,
+      } = calculateOptimalPrice(item, perf, liveEvents, risk, rules, {
+        on: runDate,
+        overlap: shopInfo?.event_overlap || "strongest",
+      });
+
+      // 🧩 How past feedback on this and similar products rates this change
+      const changePct = priceChangePct({ old_price: currentPrice, new_price: rulePrice });
+      const score = changePct
+        ? scoreSuggestion(feedbackIndex, p, changePct)
+        : null;
+
+      if (score?.suppressed) {
+        const skipReason = `Skipped: similar changes were rejected before (confidence ${score.confidence}).`;
+        console.log(`⚖️ Skipping price change for ${label} — user disagreed before`);
+        skippedDueToFeedback += 1;
+        decide("feedback_skip", {
+          product_id: p.shopify_product_id,
+          variant_id: variantId,
+          title: label,
+          action: "price_skipped_due_to_feedback",
+          rule: "feedback_skip",
+          proposed_price: rulePrice,
+          confidence: score.confidence,
+          reason: skipReason,
+        });
+        log(
+          shop,
+          p.shopify_product_id,
+          "price_skipped_due_to_feedback",
+          { variant_id: variantId, proposed_price: rulePrice, feedback: score, mode, risk },
+          skipReason,
+          "skipped",
+          { variant_id: variantId, confidence: score.confidence }
+        );
+        continue;
+      }
 
-    if (trend.rejected > trend.approved * 2) {
-      console.log(
-        `⚖️ Skipping price change for ${p.title} — user disagreed before`
-      );
-      skippedDueToFeedback += 1;
-      await logAIAction(
-        shop,
-        p.shopify_product_id,
-        "price_skipped_due_to_feedback",
-        { mode, risk },
-        "Skipped due to repeated user rejection.",
-        "skipped"
-      );
-    } else if (priceChanged) {
-      const reason = generateReason(
-        p,
-        perf,
-        newPrice,
-        currentPrice,
-        activeEvent
+      // Less confident = smaller step in the same direction
+      const proposedPrice = score
+        ? Math.round((currentPrice + (rulePrice - currentPrice) * score.scale) * 100) / 100
+        : rulePrice;
+
+      // 🛡️ Clamp to cost, floor/ceiling and max change per day/week
+      const periodKey = `${p.shopify_product_id}:${variantId ?? ""}`;
+      const guard = applyGuardrails(
+        proposedPrice,
+        resolveGuardrails(
+          guardrailRows.shopRow,
+          guardrailRows.byProduct.get(String(p.shopify_product_id))
+        ),
+        {
+          unitCost: v.unit_cost != null ? parseFloat(v.unit_cost) : null,
+          dayStartPrice: periodStart.day.get(periodKey) ?? currentPrice,
+          weekStartPrice: periodStart.week.get(periodKey) ?? currentPrice,
+        }
       );
+      const newPrice = guard.price;
+      if (newPrice === currentPrice) {
+        events.emit("product_evaluated", {
+          product_id: p.shopify_product_id,
+          variant_id: variantId,
+          title: label,
+          action: "no_change",
+          price: currentPrice,
+        });
+        continue;
+      }
+
+      let reason = generateReason(matched, newPrice, currentPrice, ctx);
+      if (score && score.scale < 1) {
+        reason += ` Scaled to ${Math.round(score.scale * 100)}% of £${rulePrice} after mixed past feedback.`;
+      }
+      if (guard.limited_by.length) {
+        reason += ` Limited by guardrails (${guard.limited_by.join(", ")}) from £${proposedPrice}.`;
+      }
 
       console.log(
-        `💹 ${p.title}: £${currentPrice.toFixed(
+        `💹 ${label}: £${currentPrice.toFixed(
           2
         )} → £${newPrice.toFixed(2)} (${mode} mode)`
       );
       console.log(`🧠 Reason: ${reason}`);
 
       priceSuggestions += 1;
-
-      await logAIAction(
+      decide("product_evaluated", {
+        product_id: p.shopify_product_id,
+        variant_id: variantId,
+        title: label,
+        action: "price_adjustment",
+        rule,
+        matched_rules: matched.map((r) => r.name),
+        old_price: currentPrice,
+        rule_price: rulePrice,
+        proposed_price: proposedPrice,
+        new_price: newPrice,
+        confidence: score?.confidence ?? null,
+        limited_by: guard.limited_by,
+        reason,
+        would_apply: mode === "full",
+      });
+
+      const details = {
+        old_price: currentPrice,
+        new_price: newPrice,
+        variant_id: variantId,
+        rules: matched.map((r) => r.name),
+        rule_price: rulePrice,
+        proposed_price: proposedPrice,
+        limited_by: guard.limited_by,
+        feedback: score,
+        event: ctx.event.matches
+          ? { name: ctx.event.name, uplift_pct: ctx.event.uplift_pct }
+          : null,
+        mode,
+        risk,
+      };
+
+      // Full mode approves its own suggestion, then applies it once logged
+      const actionStatus = mode === "full" ? "approved" : "suggested";
+      log(
         shop,
         p.shopify_product_id,
         "price_adjustment",
-        {
-          old_price: currentPrice,
-          new_price: newPrice,
-          mode,
-          risk,
-        },
+        details,
         reason,
-        mode === "full" ? "pending" : "suggested"
+        actionStatus,
+        { variant_id: variantId, confidence: score?.confidence ?? null }
       );
-
-      // Apply automatically in FULL mode
-      if (mode === "full") {
-        try {
-          const res = await fetch(
-            `${process.env.SHOPIFY_APP_URL}/api/shopify/update-price`,
-            {
-              method: "POST",
-              headers: { "Content-Type": "application/json" },
-              body: JSON.stringify({
-                shop,
-                product_id: p.shopify_product_id,
-                new_price: newPrice,
-              }),
-            }
-          );
-
-          if (!res.ok) {
-            throw new Error("Shopify update failed");
-          }
-
-          // Update local DB price too
-          const { error: upErr } = await supabase
-            .from("products")
-            .update({ price: newPrice })
-            .eq("shopify_product_id", p.shopify_product_id)
-            .eq("shop_domain", shop);
-
-          if (upErr) {
-            console.error(
-              "⚠️ Failed to update price in Supabase:",
-              upErr.message
-            );
-          } else {
-            console.log(
-              `💾 Supabase price updated for ${p.shopify_product_id}: £${newPrice.toFixed(
-                2
-              )}`
-            );
-          }
-
-          appliedCount += 1;
-
-          await logAIAction(
-            shop,
-            p.shopify_product_id,
-            "price_applied",
-            { new_price: newPrice, mode, risk },
-            "Applied automatically due to Full AI mode.",
-            "completed"
-          );
-
-          console.log(`✅ Price updated on Shopify: ${p.title}`);
-        } catch (err) {
-          console.error(`❌ Shopify update error: ${err.message}`);
-        }
+      if (mode === "full" && !preview) {
+        toApply.push({ product_id: p.shopify_product_id, variant_id: variantId, label, details });
       }
     }
 
     // 📣 Marketing suggestion (ad boost)
-    if (
-      perf &&
-      perf.conversion_rate > 0.05 &&
-      perf.profit_margin > 0.2
-    ) {
+    const adBoost = evaluateAdBoost(p, productPerf, rules);
+    if (adBoost) {
       marketingSuggestions += 1;
-
-      await logAIAction(
+      decide("ad_boost_suggested", {
+        product_id: p.shopify_product_id,
+        title: p.title,
+        action: "ad_boost_suggested",
+        rule: adBoost.rule,
+        reason: adBoost.reason,
+      });
+
+      log(
         shop,
         p.shopify_product_id,
         "ad_boost_suggested",
-        { mode, risk },
-        "Strong performance — recommend increasing ad budget for this product.",
+        { rule: adBoost.rule, mode, risk },
+        adBoost.reason,
         "suggested"
       );
 
@@ -305,26 +593,115 @@ export async function runAutopilot(shop) {
     }
   }
 
+  await checkpoint(evaluated);
+  endPhase("evaluate");
+
+  // 4️⃣ Write the run's actions in bulk
+  const inserted = preview ? [] : await insertActions(shop, actionRows);
+  endPhase("write");
+
+  // 5️⃣ Apply automatically in FULL mode (same path as a manual approval),
+  // a few Shopify updates at a time
+  if (toApply.length) {
+    const idsByKey = new Map(
+      inserted
+        .filter((a) => a.action === "price_adjustment")
+        .map((a) => [`${a.product_id}:${a.variant_id ?? ""}`, a.id])
+    );
+
+    let applyDone = 0;
+    const results = await mapLimit(toApply, APPLY_CONCURRENCY, async (item) => {
+      await keepLock({ required: false });
+      await job?.progress({ phase: "apply", done: applyDone++, total: toApply.length, run_id: runId });
+      const actionId = idsByKey.get(`${item.product_id}:${item.variant_id ?? ""}`);
+      const applied = {
+        action_id: actionId ?? null,
+        product_id: item.product_id,
+        variant_id: item.variant_id,
+        title: item.label,
+        old_price: item.details.old_price,
+        new_price: item.details.new_price,
+      };
+      if (!actionId) {
+        console.error(`❌ Not applying ${item.label}: action could not be logged`);
+        events.emit("price_failed", { ...applied, error: "Action could not be logged" });
+        return false;
+      }
+
+      try {
+        const result = await applyPriceAction(
+          {
+            id: actionId,
+            shop_domain: shop,
+            product_id: item.product_id,
+            variant_id: item.variant_id,
+            run_id: runId,
+            status: "approved",
+            details: item.details,
+          },
+          {
+            source: "autopilot_run",
+            reason: "Applied automatically due to Full AI mode.",
+          }
+        );
+        if (!result.ok) {
+          console.error(`❌ Shopify update error: ${result.error}`);
+          events.emit("price_failed", { ...applied, error: result.error });
+          return false;
+        }
+        console.log(`✅ Price updated on Shopify: ${item.label}`);
+        events.emit("price_applied", applied);
+        return true;
+      } catch (err) {
+        console.error(`❌ Failed to apply ${item.label}:`, err.message);
+        events.emit("price_failed", { ...applied, error: err.message });
+        return false;
+      }
+    });
+    appliedCount = results.filter(Boolean).length;
+    await job?.progress({ phase: "apply", done: toApply.length, total: toApply.length, run_id: runId });
+  }
+  endPhase("apply");
+  timings.total_ms = Date.now() - startedAt;
+
   console.log(
     `📊 Summary — analyzed: ${analyzedCount}, price_suggestions: ${priceSuggestions}, applied: ${appliedCount}, skipped_due_to_feedback: ${skippedDueToFeedback}, marketing_suggestions: ${marketingSuggestions}`
   );
+  console.log(
+    `⏱️ Timings — ${Object.entries(timings)
+      .map(([k, v]) => `${k}: ${v}`)
+      .join(", ")}`
+  );
 
-  // 📝 Log the run into autopilot_runs
+  const summary = {
+    analyzed: analyzedCount,
+    price_suggestions: priceSuggestions,
+    applied: appliedCount,
+    skipped_due_to_feedback: skippedDueToFeedback,
+    marketing_suggestions: marketingSuggestions,
+  };
+
+  if (preview) {
+    console.log(`👀 Preview finished for ${shop} — nothing was written`);
+    return { ok: true, preview: true, mode, risk, ...summary, timings, decisions };
+  }
+
+  // 📝 Close the run in autopilot_runs (insert if it could not be opened)
   try {
-    const { error: runErr } = await supabase
-      .from("autopilot_runs")
-      .insert([
-        {
-          shop_domain: shop,
-          mode,
-          risk_level: risk,
-          analyzed: analyzedCount,
-          price_suggestions: priceSuggestions,
-          applied: appliedCount,
-          skipped_due_to_feedback: skippedDueToFeedback,
-          marketing_suggestions: marketingSuggestions,
-        },
-      ]);
+    const row = {
+      shop_domain: shop,
+      mode,
+      risk_level: risk,
+      job_id: jobId,
+      ...summary,
+      timings,
+      duration_ms: timings.total_ms,
+      status: "completed",
+      finished_at: new Date().toISOString(),
+    };
+    const { error: runErr } = runId
+      ? await supabase.from("autopilot_runs").update(row).eq("id", runId)
+      : await supabase.from("autopilot_runs").insert([row]);
 
     if (runErr) {
       console.error(
@@ -338,13 +715,13 @@ export async function runAutopilot(shop) {
     console.error("⚠️ Unexpected error logging autopilot run:", e.message);
   }
 
+  await events.close("run_finished", {
+    run_id: runId,
+    status: "completed",
+    ...summary,
+    timings,
+  });
+
   console.log(`✅ Autopilot finished for ${shop}`);
-  return {
-    ok: true,
-    analyzed: analyzedCount,
-    price_suggestions: priceSuggestions,
-    applied: appliedCount,
-    skipped_due_to_feedback: skippedDueToFeedback,
-    marketing_suggestions: marketingSuggestions,
-  };
+  return { ok: true, run_id: runId, ...summary, timings };
 }
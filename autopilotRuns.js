@@ -1,42 +1,212 @@
 // autopilotRuns.js
+// Past runs, and each run's live event stream. The stream has a router of its
+// own (mounted before the header-only auth) because EventSource can't send
+// headers: it also takes a ?token= from POST /runs/stream-token.
 import express from "express";
 import { createClient } from "@supabase/supabase-js";
+import { TERMINAL_EVENTS, readRunEvents, subscribeRunEvents } from "./runEvents.js";
+import { requireStreamShop, signStreamToken } from "./auth.js";
+import { validate } from "./validation.js";
+import { DATE_TIME, ID, ROWS, SHOP, SHOP_QUERY, object, okResponse } from "./schemas.js";
 
 const router = express.Router();
+export const runEventsRouter = express.Router();
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
+// How often a stream checks the table for runs going on in another process
+const POLL_MS = 1000;
+// Comment line that keeps proxies from closing a quiet stream
+const KEEPALIVE_MS = 15 * 1000;
+
 // GET /api/autopilot/runs?shop=all-sorts-dropped.myshopify.com
-router.get("/runs", async (req, res) => {
-  const shop = req.query.shop;
+router.get(
+  "/runs",
+  validate({
+    summary: "Recent autopilot runs, newest first",
+    query: SHOP_QUERY,
+    response: okResponse({ runs: ROWS }),
+  }),
+  async (req, res) => {
+    const shop = req.query.shop;
+
+    try {
+      const { data, error } = await supabase
+        .from("autopilot_runs")
+        .select("*")
+        .eq("shop_domain", shop)
+        .order("created_at", { ascending: false })
+        .limit(20);
+
+      if (error) throw error;
+
+      res.json({
+        ok: true,
+        runs: data || [],
+      });
+    } catch (err) {
+      console.error("❌ Failed to fetch autopilot runs:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  }
+);
+
+// Helper: the shop's run (id, status), or null
+async function findRun(shop, runId) {
+  const { data, error } = await supabase
+    .from("autopilot_runs")
+    .select("id, status")
+    .eq("id", runId)
+    .eq("shop_domain", shop)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// 🎟️ POST /api/autopilot/runs/stream-token { shop, run_id }
+// A few minutes' pass to /runs/events?token=... for clients that can't set headers
+router.post(
+  "/runs/stream-token",
+  validate({
+    summary: "Short-lived token for a run's event stream (for EventSource)",
+    body: object({ shop: SHOP, run_id: ID }, ["run_id"]),
+    response: okResponse({ token: { type: "string" }, expires_at: DATE_TIME }),
+  }),
+  async (req, res) => {
+    const { shop, run_id } = req.body;
 
-  if (!shop) {
-    return res
-      .status(400)
-      .json({ ok: false, error: "Missing ?shop= parameter" });
+    try {
+      const run = await findRun(shop, run_id);
+      if (!run) return res.status(404).json({ ok: false, error: "Run not found" });
+
+      res.json({ ok: true, ...signStreamToken({ shop, run_id: run.id }) });
+    } catch (err) {
+      console.error("❌ Stream token error:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
   }
+);
 
-  try {
-    const { data, error } = await supabase
-      .from("autopilot_runs")
-      .select("*")
-      .eq("shop_domain", shop)
-      .order("created_at", { ascending: false })
-      .limit(20);
+// 📡 GET /api/autopilot/runs/events?shop=...&run_id=... — Server-Sent Events.
+// Replays what the run has emitted so far, then follows it until run_finished,
+// run_failed or run_cancelled. Reconnecting clients send Last-Event-ID (or
+// ?last_event_id=) and only get what they missed. Authenticated by header,
+// or by ?token= from /runs/stream-token.
+runEventsRouter.get(
+  "/runs/events",
+  requireStreamShop,
+  validate({
+    summary:
+      "Stream a run's events (run_started, product_evaluated, feedback_skip, " +
+      "ad_boost_suggested, price_applied, price_failed, run_finished / run_failed / run_cancelled)",
+    query: object(
+      {
+        shop: SHOP,
+        run_id: ID,
+        last_event_id: { type: "integer", minimum: 0, description: "or the Last-Event-ID header" },
+        token: { type: "string", description: "stream token, instead of the auth headers" },
+      },
+      ["run_id"]
+    ),
+    streamToken: true,
+    responseType: "text/event-stream",
+    response: { type: "string" },
+  }),
+  async (req, res) => {
+    const { shop, run_id } = req.query;
+    let lastId =
+      parseInt(req.get("last-event-id") ?? req.query.last_event_id ?? "0", 10) || 0;
 
-    if (error) throw error;
+    let run;
+    try {
+      run = await findRun(shop, run_id);
+      if (!run) return res.status(404).json({ ok: false, error: "Run not found" });
+    } catch (err) {
+      console.error("❌ Run events error:", err.message);
+      return res.status(500).json({ ok: false, error: err.message });
+    }
 
-    res.json({
-      ok: true,
-      runs: data || [],
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
     });
-  } catch (err) {
-    console.error("❌ Failed to fetch autopilot runs:", err.message);
-    res.status(500).json({ ok: false, error: err.message });
+
+    let closed = false;
+    let unsubscribe = null;
+    let poller = null;
+    const keepalive = setInterval(() => res.write(": keepalive\n\n"), KEEPALIVE_MS);
+
+    const end = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(keepalive);
+      clearInterval(poller);
+      unsubscribe?.();
+      res.end();
+    };
+    req.on("close", end);
+
+    const send = (event) => {
+      if (closed || event.id <= lastId) return;
+      lastId = event.id;
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+      if (TERMINAL_EVENTS.includes(event.type)) end();
+    };
+
+    try {
+      // Live events that arrive during the replay wait, then go out in order
+      let held = [];
+      unsubscribe = subscribeRunEvents(run.id, (event) => (held ? held.push(event) : send(event)));
+
+      for (const event of await readRunEvents(shop, run.id, lastId)) send(event);
+      const waiting = held;
+      held = null;
+      waiting.forEach(send);
+
+      // Live here: the subscription carries it to the end
+      if (closed || unsubscribe) return;
+
+      // Finished runs were replayed in full (runs from before events have none)
+      if (run.status !== "running") return end();
+
+      // Running in another process (e.g. a separate job worker): poll the table
+      let polling = false;
+      poller = setInterval(async () => {
+        if (polling) return;
+        polling = true;
+        try {
+          const fresh = await readRunEvents(shop, run.id, lastId);
+          fresh.forEach(send);
+          if (closed || fresh.length) return;
+
+          const { data, error } = await supabase
+            .from("autopilot_runs")
+            .select("status")
+            .eq("id", run.id)
+            .maybeSingle();
+          if (error) throw error;
+          // Over without a closing event (e.g. the worker died): stop following
+          if (data?.status !== "running") {
+            (await readRunEvents(shop, run.id, lastId)).forEach(send);
+            end();
+          }
+        } catch (err) {
+          console.error("❌ Run events poll error:", err.message);
+          end();
+        } finally {
+          polling = false;
+        }
+      }, POLL_MS);
+    } catch (err) {
+      console.error("❌ Run events error:", err.message);
+      end();
+    }
   }
-});
+);
 
 export default router;
@@ -0,0 +1,167 @@
+// autopilotScheduleApi.js
+import express from "express";
+import { createClient } from "@supabase/supabase-js";
+import { nextRunAfter, isValidTimezone } from "./autopilotScheduler.js";
+import { validate } from "./validation.js";
+import { ROW, SHOP_BODY, SHOP_QUERY, SHOP, object, okResponse } from "./schemas.js";
+
+const router = express.Router();
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const SCHEDULE_FIELDS =
+  "shop_domain, schedule_enabled, schedule_time, schedule_days, timezone, next_run_at, last_scheduled_run_at, autopilot_locked_until";
+
+const SCHEDULE_RESPONSE = okResponse({ schedule: ROW });
+
+// Helper: save schedule fields and return the updated row
+async function saveSchedule(shop, fields) {
+  const { data, error } = await supabase
+    .from("shops")
+    .update(fields)
+    .eq("shop_domain", shop)
+    .select(SCHEDULE_FIELDS)
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+// GET /api/autopilot/schedule?shop=...
+router.get(
+  "/schedule",
+  validate({
+    summary: "Get the autopilot schedule",
+    query: SHOP_QUERY,
+    response: SCHEDULE_RESPONSE,
+  }),
+  async (req, res) => {
+    const shop = req.query.shop;
+
+    try {
+      const { data, error } = await supabase
+        .from("shops")
+        .select(SCHEDULE_FIELDS)
+        .eq("shop_domain", shop)
+        .single();
+
+      if (error) throw error;
+      res.json({ ok: true, schedule: data });
+    } catch (err) {
+      console.error("❌ Failed to fetch schedule:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  }
+);
+
+// POST /api/autopilot/schedule { shop, time: "03:00", timezone, days?: [0-6], enabled? }
+router.post(
+  "/schedule",
+  validate({
+    summary: "Set the autopilot schedule",
+    body: object(
+      {
+        shop: SHOP,
+        time: { type: "string", pattern: "^([01]\\d|2[0-3]):[0-5]\\d$", description: "HH:MM (24h)" },
+        timezone: { type: "string", minLength: 1, description: "an IANA timezone" },
+        days: {
+          type: "array",
+          nullable: true,
+          items: { type: "integer", minimum: 0, maximum: 6 },
+          description: "weekdays 0 (Sun) – 6 (Sat); omit for every day",
+        },
+        enabled: { type: "boolean" },
+      },
+      ["time"]
+    ),
+    response: SCHEDULE_RESPONSE,
+  }),
+  async (req, res) => {
+    const { shop, time, timezone = "UTC", days = null, enabled = true } = req.body;
+
+    // The schema checks the shape; only Intl knows which zones exist
+    if (!isValidTimezone(timezone)) {
+      return res.status(400).json({ ok: false, error: `Unknown timezone: ${timezone}` });
+    }
+
+    const schedule = {
+      schedule_time: time,
+      timezone,
+      schedule_days: days?.length ? days : null,
+    };
+
+    try {
+      const data = await saveSchedule(shop, {
+        ...schedule,
+        schedule_enabled: Boolean(enabled),
+        next_run_at: enabled ? nextRunAfter(schedule).toISOString() : null,
+      });
+
+      console.log(`⏰ Schedule for ${shop} set to ${time} ${timezone}`);
+      res.json({ ok: true, schedule: data });
+    } catch (err) {
+      console.error("❌ Failed to update schedule:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  }
+);
+
+// POST /api/autopilot/schedule/pause { shop }
+router.post(
+  "/schedule/pause",
+  validate({ summary: "Pause the autopilot schedule", body: SHOP_BODY, response: SCHEDULE_RESPONSE }),
+  async (req, res) => {
+    const { shop } = req.body;
+
+    try {
+      const data = await saveSchedule(shop, {
+        schedule_enabled: false,
+        next_run_at: null,
+      });
+      console.log(`⏸️ Schedule paused for ${shop}`);
+      res.json({ ok: true, schedule: data });
+    } catch (err) {
+      console.error("❌ Failed to pause schedule:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  }
+);
+
+// POST /api/autopilot/schedule/resume { shop }
+router.post(
+  "/schedule/resume",
+  validate({ summary: "Resume the autopilot schedule from now", body: SHOP_BODY, response: SCHEDULE_RESPONSE }),
+  async (req, res) => {
+    const { shop } = req.body;
+
+    try {
+      const { data: current, error } = await supabase
+        .from("shops")
+        .select("schedule_time, schedule_days, timezone")
+        .eq("shop_domain", shop)
+        .single();
+
+      if (error) throw error;
+      if (!current.schedule_time) {
+        return res
+          .status(400)
+          .json({ ok: false, error: "No schedule set — POST /schedule first" });
+      }
+
+      const data = await saveSchedule(shop, {
+        schedule_enabled: true,
+        // Resume from now on; slots missed while paused are not caught up
+        next_run_at: nextRunAfter(current).toISOString(),
+      });
+      console.log(`▶️ Schedule resumed for ${shop}`);
+      res.json({ ok: true, schedule: data });
+    } catch (err) {
+      console.error("❌ Failed to resume schedule:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,269 @@
+// autopilotScheduler.js
+import crypto from "crypto";
+import { createClient } from "@supabase/supabase-js";
+import { runAutopilot } from "./autopilotEngine.js";
+import { expireOverdueActions, recoverStaleApplyingActions } from "./aiActionLifecycle.js";
+import { JobConflictError, enqueueJob } from "./jobQueue.js";
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const TICK_MS = 60 * 1000;
+// A run's lock lapses this long after its last renewal (covers crashes mid-run);
+// runs renew it as they go, see runAutopilotLocked
+const LOCK_TTL_MS = 30 * 60 * 1000;
+// Missed slots older than this (e.g. server was down) are skipped, not caught up
+const MISSED_RUN_GRACE_MS =
+  parseInt(process.env.SCHEDULER_MISSED_GRACE_MINUTES || "360", 10) * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ---- Timezone helpers (Intl only, no extra deps) ----
+
+export function isValidTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-GB", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Local calendar parts of an instant in a timezone
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-GB", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+
+  const get = (type) => parseInt(parts.find((p) => p.type === type).value, 10);
+  return {
+    year: get("year"),
+    month: get("month"),
+    day: get("day"),
+    hour: get("hour"),
+    minute: get("minute"),
+    second: get("second"),
+  };
+}
+
+// Offset (ms) of a timezone from UTC at a given instant
+function tzOffset(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Wall-clock time in a timezone → UTC instant (DST-aware)
+function zonedTimeToUtc(year, month, day, hour, minute, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  let utc = guess - tzOffset(new Date(guess), timeZone);
+  // Second pass settles instants right next to a DST switch
+  utc = guess - tzOffset(new Date(utc), timeZone);
+  return new Date(utc);
+}
+
+// 🗓️ Next scheduled slot strictly after `after`
+// schedule: { schedule_time: "HH:MM", timezone, schedule_days: [0-6] | null }
+export function nextRunAfter(schedule, after = new Date()) {
+  const timeZone = schedule.timezone || "UTC";
+  const [hour, minute] = schedule.schedule_time.split(":").map(Number);
+  const days = schedule.schedule_days?.length ? schedule.schedule_days : null;
+
+  const today = zonedParts(after, timeZone);
+  const base = Date.UTC(today.year, today.month - 1, today.day);
+
+  for (let i = 0; i <= 7; i += 1) {
+    const d = new Date(base + i * DAY_MS);
+    if (days && !days.includes(d.getUTCDay())) continue;
+
+    const candidate = zonedTimeToUtc(
+      d.getUTCFullYear(),
+      d.getUTCMonth() + 1,
+      d.getUTCDate(),
+      hour,
+      minute,
+      timeZone
+    );
+    if (candidate > after) return candidate;
+  }
+
+  return null;
+}
+
+// ---- Per-shop run lock ----
+
+// 🔒 Claim the shop's run lock. Returns the lock ({ shop, owner }), or null
+// when another run holds it. Only the owner can renew or release it.
+export async function acquireRunLock(shop) {
+  const now = new Date();
+  const owner = crypto.randomUUID();
+  const { data, error } = await supabase
+    .from("shops")
+    .update({
+      autopilot_locked_until: new Date(now.getTime() + LOCK_TTL_MS).toISOString(),
+      autopilot_lock_owner: owner,
+    })
+    .eq("shop_domain", shop)
+    .or(`autopilot_locked_until.is.null,autopilot_locked_until.lt.${now.toISOString()}`)
+    .select("shop_domain");
+
+  if (error) throw error;
+  return (data || []).length > 0 ? { shop, owner } : null;
+}
+
+// Push the lock's expiry out; false once someone else has taken it
+export async function renewRunLock(lock) {
+  const { data, error } = await supabase
+    .from("shops")
+    .update({
+      autopilot_locked_until: new Date(Date.now() + LOCK_TTL_MS).toISOString(),
+    })
+    .eq("shop_domain", lock.shop)
+    .eq("autopilot_lock_owner", lock.owner)
+    .select("shop_domain");
+
+  if (error) {
+    console.error("⚠️ Failed to renew autopilot lock:", error.message);
+    return false;
+  }
+  return (data || []).length > 0;
+}
+
+export async function releaseRunLock(lock) {
+  const { error } = await supabase
+    .from("shops")
+    .update({ autopilot_locked_until: null, autopilot_lock_owner: null })
+    .eq("shop_domain", lock.shop)
+    .eq("autopilot_lock_owner", lock.owner);
+  if (error) console.error("⚠️ Failed to release autopilot lock:", error.message);
+}
+
+export class AutopilotLockedError extends Error {
+  constructor(shop) {
+    super(`Autopilot is already running for ${shop}`);
+    this.name = "AutopilotLockedError";
+  }
+}
+
+// Run autopilot for a shop only if no other run holds the lock; the run
+// renews it from its loop (options.renewLock) so long runs keep it
+export async function runAutopilotLocked(shop, options = {}) {
+  const lock = await acquireRunLock(shop);
+  if (!lock) throw new AutopilotLockedError(shop);
+
+  try {
+    return await runAutopilot(shop, { ...options, renewLock: () => renewRunLock(lock) });
+  } finally {
+    await releaseRunLock(lock);
+  }
+}
+
+// ---- Scheduler loop ----
+
+let timer = null;
+let ticking = false;
+
+async function runScheduledShop(shopRow, now) {
+  const shop = shopRow.shop_domain;
+  const due = new Date(shopRow.next_run_at);
+  const next = nextRunAfter(shopRow, now);
+
+  // Move next_run_at forward first so a crash can't re-trigger the same slot.
+  // Only from the slot we saw: another server that got there first owns it.
+  const { data: moved, error } = await supabase
+    .from("shops")
+    .update({ next_run_at: next?.toISOString() || null })
+    .eq("shop_domain", shop)
+    .eq("next_run_at", shopRow.next_run_at)
+    .select("shop_domain");
+  if (error) throw error;
+  if (!moved?.length) return;
+
+  if (now - due > MISSED_RUN_GRACE_MS) {
+    console.log(
+      `⏭️ Skipping missed autopilot run for ${shop} (was due ${due.toISOString()})`
+    );
+    return;
+  }
+
+  // The job worker runs it (under the run lock), like a run started by hand
+  try {
+    await enqueueJob(shop, "autopilot_run", { source: "schedule" });
+    await supabase
+      .from("shops")
+      .update({ last_scheduled_run_at: now.toISOString() })
+      .eq("shop_domain", shop);
+  } catch (err) {
+    if (err instanceof JobConflictError) {
+      console.log(`🔒 Autopilot job ${err.job.id} is already queued for ${shop} — scheduled run skipped`);
+      return;
+    }
+    console.error(`❌ Queueing scheduled autopilot failed for ${shop}:`, err.message);
+  }
+}
+
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    const now = new Date();
+
+    // ⌛ Housekeeping: close suggestions nobody decided on in time
+    try {
+      await expireOverdueActions(now);
+    } catch (err) {
+      console.error("⚠️ Expiring overdue actions failed:", err.message);
+    }
+
+    // 🩹 …and settle price changes a crash left half-applied
+    try {
+      await recoverStaleApplyingActions(now);
+    } catch (err) {
+      console.error("⚠️ Recovering interrupted actions failed:", err.message);
+    }
+
+    const { data: dueShops, error } = await supabase
+      .from("shops")
+      .select("shop_domain, schedule_time, schedule_days, timezone, next_run_at")
+      .eq("schedule_enabled", true)
+      // Shops without a token (uninstalled) can't be run
+      .not("access_token", "is", null)
+      .lte("next_run_at", now.toISOString())
+      .order("next_run_at", { ascending: true });
+
+    if (error) throw error;
+
+    // Oldest slot first
+    for (const shopRow of dueShops || []) {
+      await runScheduledShop(shopRow, now);
+    }
+  } catch (err) {
+    console.error("❌ Scheduler tick failed:", err.message);
+  } finally {
+    ticking = false;
+  }
+}
+
+// ⏰ Start the in-process scheduler (set SCHEDULER_ENABLED=false to disable)
+export function startScheduler() {
+  if (timer || process.env.SCHEDULER_ENABLED === "false") return;
+
+  timer = setInterval(tick, TICK_MS);
+  tick();
+  console.log("⏰ Autopilot scheduler started");
+}
+
+export function stopScheduler() {
+  clearInterval(timer);
+  timer = null;
+}
@@ -0,0 +1,308 @@
+// backtest.js
+// Replays daily performance snapshots + price history through the pricing
+// rules, fully offline. Usage:
+//   node backtest.js --performance fixtures/backtest/performance.csv \
+//     --prices fixtures/backtest/prices.csv --products fixtures/backtest/products.json \
+//     [--events events.json] [--rules rules.json] --from 2026-01-01 --to 2026-01-31 \
+//     [--risk normal] [--elasticity -1.5] [--overlap strongest]
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  DEFAULT_RULES,
+  calculateOptimalPrice,
+  validateRuleSet,
+} from "./pricingRules.js";
+import { toList } from "./seasonalPricing.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_ELASTICITY = -1.5;
+
+// ---- Fixture loading (JSON array or CSV with a header row) ----
+
+function parseCsvLine(line) {
+  const out = [];
+  let cur = "";
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i += 1) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cur += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cur += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      out.push(cur);
+      cur = "";
+    } else {
+      cur += ch;
+    }
+  }
+  out.push(cur);
+  return out;
+}
+
+// Numeric-looking CSV cells become numbers, empty cells null
+function csvValue(raw) {
+  const v = raw.trim();
+  if (v === "") return null;
+  return /^-?\d+(\.\d+)?$/.test(v) ? parseFloat(v) : v;
+}
+
+export function parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter((l) => l.trim() !== "");
+  if (!lines.length) return [];
+
+  const header = parseCsvLine(lines[0]).map((h) => h.trim());
+  return lines.slice(1).map((line) => {
+    const cells = parseCsvLine(line);
+    return Object.fromEntries(header.map((h, i) => [h, csvValue(cells[i] ?? "")]));
+  });
+}
+
+export function loadFixture(file) {
+  const text = fs.readFileSync(file, "utf8");
+  return path.extname(file).toLowerCase() === ".csv"
+    ? parseCsv(text)
+    : JSON.parse(text);
+}
+
+// ---- Simulation ----
+
+function isoDay(date) {
+  return date.toISOString().split("T")[0];
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// Event lists may be arrays (JSON) or "a;b;c" (CSV)
+function normaliseEvent(e) {
+  const out = { ...e };
+  for (const key of ["product_keywords", "match_tags", "match_product_types", "match_collections"]) {
+    out[key] = toList(e[key]);
+  }
+  return out;
+}
+
+// Actual price on a day = latest price-history entry on or before it
+function actualPriceOn(history, day) {
+  let price = null;
+  for (const h of history) {
+    if (h.date > day) break;
+    price = parseFloat(h.price);
+  }
+  return price;
+}
+
+/**
+ * Run a backtest.
+ * data: { performance, prices, products?, events? } (rows as loaded from fixtures)
+ *   performance: { date, product_id, conversion_rate, profit_margin, inventory_quantity, units_sold }
+ *   prices:      { date, product_id, price }
+ *   products:    { product_id, title, unit_cost?, product_type?, tags?, collections? }
+ *   events:      seasonal_events rows (see seasonalPricing.js)
+ * options: { from, to, risk = "normal", elasticity = -1.5, rules = DEFAULT_RULES,
+ *            overlap = "strongest" }
+ */
+export function runBacktest(data, options) {
+  const {
+    from,
+    to,
+    risk = "normal",
+    elasticity = DEFAULT_ELASTICITY,
+    rules = DEFAULT_RULES,
+    overlap = "strongest",
+  } = options;
+  if (!from || !to || from > to) throw new Error("Need --from <= --to (YYYY-MM-DD)");
+
+  const problems = validateRuleSet(rules);
+  if (problems.length) {
+    throw new Error(
+      `Invalid rules: ${problems.map((p) => `${p.name ?? p.index}: ${p.errors.join(", ")}`).join("; ")}`
+    );
+  }
+
+  const events = (data.events || []).map(normaliseEvent);
+  const products = new Map(
+    (data.products || []).map((p) => [String(p.product_id), p])
+  );
+
+  const perfByProduct = new Map();
+  for (const row of data.performance || []) {
+    const key = String(row.product_id);
+    if (!perfByProduct.has(key)) perfByProduct.set(key, new Map());
+    perfByProduct.get(key).set(row.date, row);
+  }
+
+  const historyByProduct = new Map();
+  for (const row of data.prices || []) {
+    const key = String(row.product_id);
+    if (!historyByProduct.has(key)) historyByProduct.set(key, []);
+    historyByProduct.get(key).push(row);
+  }
+  for (const h of historyByProduct.values()) {
+    h.sort((a, b) => (a.date < b.date ? -1 : 1));
+  }
+
+  const days = [];
+  for (let t = Date.parse(from); t <= Date.parse(to); t += DAY_MS) {
+    days.push(isoDay(new Date(t)));
+  }
+
+  const results = [];
+  for (const [productId, history] of historyByProduct) {
+    const product = products.get(productId) || { product_id: productId, title: "" };
+    const perfByDay = perfByProduct.get(productId) || new Map();
+
+    const startPrice = actualPriceOn(history, from) ?? parseFloat(history[0].price);
+    let simPrice = startPrice;
+    let changes = 0;
+    const totals = { simRevenue: 0, simProfit: 0, actualRevenue: 0, actualProfit: 0 };
+    const pricePath = [];
+
+    for (const day of days) {
+      const actualPrice = actualPriceOn(history, day);
+      const perf = perfByDay.get(day) || null;
+
+      // Decide from that day's snapshot, starting at yesterday's simulated price
+      const { price: newPrice, rule } = calculateOptimalPrice(
+        {
+          title: product.title || "",
+          product_type: product.product_type,
+          tags: toList(product.tags),
+          collections: toList(product.collections),
+          price: simPrice,
+          inventory_quantity: perf?.inventory_quantity ?? Infinity,
+        },
+        perf,
+        events,
+        risk,
+        rules,
+        { on: day, overlap }
+      );
+
+      if (newPrice !== simPrice) changes += 1;
+      simPrice = newPrice;
+      pricePath.push({ date: day, price: simPrice, actual_price: actualPrice, rule });
+
+      if (!perf || actualPrice == null) continue;
+
+      // Unit cost: fixture value, else implied by the actual margin that day
+      const unitCost =
+        product.unit_cost != null
+          ? parseFloat(product.unit_cost)
+          : perf.profit_margin != null
+            ? actualPrice * (1 - perf.profit_margin)
+            : null;
+
+      const units = perf.units_sold || 0;
+      // Constant-elasticity demand: units scale with (simPrice / actualPrice)^e
+      const simUnits = units * Math.pow(simPrice / actualPrice, elasticity);
+
+      totals.actualRevenue += actualPrice * units;
+      totals.simRevenue += simPrice * simUnits;
+      if (unitCost != null) {
+        totals.actualProfit += (actualPrice - unitCost) * units;
+        totals.simProfit += (simPrice - unitCost) * simUnits;
+      }
+    }
+
+    results.push({
+      product_id: productId,
+      title: product.title || null,
+      price_changes: changes,
+      change_frequency: days.length ? round2(changes / days.length) : 0,
+      start_price: startPrice,
+      end_price: simPrice,
+      simulated_revenue: round2(totals.simRevenue),
+      actual_revenue: round2(totals.actualRevenue),
+      simulated_margin: totals.simRevenue
+        ? round2(totals.simProfit / totals.simRevenue)
+        : null,
+      actual_margin: totals.actualRevenue
+        ? round2(totals.actualProfit / totals.actualRevenue)
+        : null,
+      price_path: pricePath,
+    });
+  }
+
+  const sum = (key) => round2(results.reduce((acc, r) => acc + r[key], 0));
+  return {
+    from,
+    to,
+    risk,
+    elasticity,
+    days: days.length,
+    products: results.length,
+    total_price_changes: results.reduce((acc, r) => acc + r.price_changes, 0),
+    simulated_revenue: sum("simulated_revenue"),
+    actual_revenue: sum("actual_revenue"),
+    results,
+  };
+}
+
+// ---- CLI ----
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    if (!argv[i].startsWith("--")) continue;
+
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith("--")) {
+      args[argv[i].slice(2)] = true;
+    } else {
+      args[argv[i].slice(2)] = next;
+      i += 1;
+    }
+  }
+  return args;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.performance || !args.prices) {
+    console.error(
+      "Usage: node backtest.js --performance <file> --prices <file> [--products <file>] [--events <file>] [--rules <file>] --from YYYY-MM-DD --to YYYY-MM-DD [--risk safe|normal|aggressive] [--elasticity -1.5] [--overlap strongest|stack|priority] [--summary]"
+    );
+    process.exit(1);
+  }
+
+  try {
+    const report = runBacktest(
+      {
+        performance: loadFixture(args.performance),
+        prices: loadFixture(args.prices),
+        products: args.products ? loadFixture(args.products) : [],
+        events: args.events ? loadFixture(args.events) : [],
+      },
+      {
+        from: args.from,
+        to: args.to,
+        risk: args.risk,
+        elasticity: args.elasticity ? parseFloat(args.elasticity) : undefined,
+        rules: args.rules ? loadFixture(args.rules) : undefined,
+        overlap: args.overlap,
+      }
+    );
+
+    // --summary drops the per-day price paths
+    if (args.summary) {
+      report.results = report.results.map(({ price_path, ...rest }) => rest);
+    }
+    console.log(JSON.stringify(report, null, 2));
+  } catch (err) {
+    console.error("❌ Backtest failed:", err.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,594 @@
+// bulkSync.js
+// Catalog sync for very large shops: one GraphQL bulkOperationRunQuery instead
+// of paging products.json. Shopify builds a JSONL file in the background; we
+// hear it's done from the bulk_operations/finish webhook (which wakes the
+// product_sync job) or from the job checking in every BULK_POLL_INTERVAL_MS,
+// then stream the file and save products + variants the same way the REST
+// sync does. Progress lives in bulk_syncs; the job stays open — paused
+// between checks, so the worker runs other jobs meanwhile — until the import
+// is over.
+import readline from "readline";
+import fetch from "node-fetch";
+import { createClient } from "@supabase/supabase-js";
+import { ShopifyError, shopifyGraphql } from "./shopifyClient.js";
+import { archiveMissingProducts, productRow, variantRow } from "./products.js";
+import { JobCancelledError } from "./jobQueue.js";
+import { selectAll } from "./db.js";
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Products per save — one products upsert and one product_variants upsert
+// each (children usually follow their product, so a batch rarely leaves any
+// behind); late variants are upserted this many rows at a time too
+const BATCH_SIZE = 250;
+
+export const BULK_POLL_INTERVAL_MS = parseInt(process.env.BULK_POLL_INTERVAL_MS || "10000", 10);
+// Stop checking after this long (the job fails); the webhook can still finish the sync
+const POLL_TIMEOUT_MS = 2 * 60 * 60 * 1000;
+
+// Ids per .in() filter, to keep request URLs short
+const ID_CHUNK = 200;
+
+// Nested connections come out as their own JSONL lines with __parentId
+export const BULK_PRODUCTS_QUERY = `
+{
+  products {
+    edges {
+      node {
+        id
+        legacyResourceId
+        title
+        status
+        productType
+        vendor
+        tags
+        featuredMedia { preview { image { url } } }
+        collections { edges { node { id handle } } }
+        variants {
+          edges {
+            node {
+              id
+              legacyResourceId
+              title
+              sku
+              price
+              compareAtPrice
+              position
+              inventoryQuantity
+              inventoryItem { legacyResourceId }
+            }
+          }
+        }
+      }
+    }
+  }
+}`;
+
+const RUN_BULK_QUERY = `
+mutation RunBulkQuery($query: String!) {
+  bulkOperationRunQuery(query: $query) {
+    bulkOperation { id status }
+    userErrors { field message }
+  }
+}`;
+
+const BULK_OPERATION = `
+query BulkOperation($id: ID!) {
+  node(id: $id) {
+    ... on BulkOperation { id status errorCode objectCount url partialDataUrl }
+  }
+}`;
+
+const CANCEL_BULK_OPERATION = `
+mutation CancelBulkOperation($id: ID!) {
+  bulkOperationCancel(id: $id) {
+    bulkOperation { id status }
+    userErrors { field message }
+  }
+}`;
+
+// bulk_syncs statuses nobody moves on from
+const FINISHED_SYNC_STATUSES = ["completed", "failed", "cancelled"];
+
+// Helper: "gid://shopify/ProductVariant/123" → "ProductVariant"
+function gidType(gid) {
+  return /^gid:\/\/shopify\/(\w+)\//.exec(gid || "")?.[1] || null;
+}
+
+// Helper: get token for shop
+async function getToken(shop_domain) {
+  const { data, error } = await supabase
+    .from("shops")
+    .select("access_token")
+    .eq("shop_domain", shop_domain)
+    .single();
+  if (error) throw error;
+  return data.access_token;
+}
+
+// Helper: "gid://shopify/Product/123" → 123
+function gidNumber(gid) {
+  return Number(String(gid).split("/").pop());
+}
+
+// Helper: a bulk variant node in the REST shape products.js stores
+function restVariant(v) {
+  return {
+    id: Number(v.legacyResourceId),
+    title: v.title,
+    sku: v.sku,
+    price: v.price,
+    compare_at_price: v.compareAtPrice,
+    inventory_item_id: v.inventoryItem?.legacyResourceId
+      ? Number(v.inventoryItem.legacyResourceId)
+      : null,
+    inventory_quantity: v.inventoryQuantity,
+    position: v.position,
+  };
+}
+
+// Helper: a bulk product (node + children) as the REST payload products.js
+// takes, so both syncs store products the same way
+function restProduct({ node, variants }) {
+  const imageUrl = node.featuredMedia?.preview?.image?.url;
+  return {
+    id: Number(node.legacyResourceId),
+    title: node.title,
+    status: String(node.status || "").toLowerCase(),
+    product_type: node.productType,
+    vendor: node.vendor,
+    tags: (node.tags || []).join(", "),
+    image: imageUrl ? { src: imageUrl } : null,
+    variants: variants.map(restVariant).sort((a, b) => (a.position ?? 0) - (b.position ?? 0)),
+  };
+}
+
+// Helper: a batch of products (REST shape, with their collections) in one
+// products upsert and one product_variants upsert. Variants Shopify removed
+// are dropped once the whole file is in (deleteMissingVariants).
+async function saveBatch(shop, products) {
+  const { error } = await supabase
+    .from("products")
+    .upsert(
+      products.map(({ product, collections }) => productRow(shop, product, collections)),
+      { onConflict: "shop_domain,shopify_product_id" }
+    );
+  if (error) throw error;
+
+  const variants = products.flatMap(({ product }) =>
+    product.variants.map((v) => variantRow(shop, product.id, v))
+  );
+  if (!variants.length) return;
+
+  const { error: variantErr } = await supabase
+    .from("product_variants")
+    .upsert(variants, { onConflict: "shop_domain,shopify_variant_id" });
+  if (variantErr) throw variantErr;
+}
+
+// Helper: children that turned up after their product was saved — store the
+// variants, add the collections and refresh the product's price + stock
+// (late: Map of product id → { variants, collections })
+async function saveLateChildren(shop, late) {
+  const variants = [...late].flatMap(([productId, children]) =>
+    children.variants.map((v) => variantRow(shop, productId, restVariant(v)))
+  );
+  for (let i = 0; i < variants.length; i += BATCH_SIZE) {
+    const { error } = await supabase
+      .from("product_variants")
+      .upsert(variants.slice(i, i + BATCH_SIZE), {
+        onConflict: "shop_domain,shopify_variant_id",
+      });
+    if (error) throw error;
+  }
+
+  const ids = [...late.keys()];
+  for (let i = 0; i < ids.length; i += ID_CHUNK) {
+    const chunk = ids.slice(i, i + ID_CHUNK);
+    const { data: products, error } = await supabase
+      .from("products")
+      .select("shopify_product_id, collections")
+      .eq("shop_domain", shop)
+      .in("shopify_product_id", chunk);
+    if (error) throw error;
+
+    const stored = await selectAll(() =>
+      supabase
+        .from("product_variants")
+        .select("shopify_product_id, shopify_variant_id, price, inventory_quantity, position")
+        .eq("shop_domain", shop)
+        .in("shopify_product_id", chunk)
+        .order("shopify_variant_id", { ascending: true })
+    );
+
+    for (const product of products || []) {
+      const id = Number(product.shopify_product_id);
+      const own = stored
+        .filter((v) => Number(v.shopify_product_id) === id)
+        .sort((a, b) => (a.position ?? 0) - (b.position ?? 0));
+
+      const { error: upErr } = await supabase
+        .from("products")
+        .update({
+          price: own[0]?.price ?? null,
+          inventory_quantity: own.reduce((sum, v) => sum + (v.inventory_quantity || 0), 0),
+          collections: [
+            ...new Set([...(product.collections || []), ...late.get(id).collections]),
+          ],
+        })
+        .eq("shop_domain", shop)
+        .eq("shopify_product_id", id);
+      if (upErr) throw upErr;
+    }
+  }
+}
+
+// Helper: drop stored variants the bulk file no longer has
+async function deleteMissingVariants(shop, seenVariants) {
+  const existing = await selectAll(() =>
+    supabase
+      .from("product_variants")
+      .select("shopify_variant_id")
+      .eq("shop_domain", shop)
+      .order("shopify_variant_id", { ascending: true })
+  );
+  const gone = existing
+    .map((v) => String(v.shopify_variant_id))
+    .filter((id) => !seenVariants.has(id));
+
+  for (let i = 0; i < gone.length; i += ID_CHUNK) {
+    const { error } = await supabase
+      .from("product_variants")
+      .delete()
+      .eq("shop_domain", shop)
+      .in("shopify_variant_id", gone.slice(i, i + ID_CHUNK));
+    if (error) throw error;
+  }
+  return gone.length;
+}
+
+/**
+ * Stream a bulk-operation JSONL file (or any async iterable of lines) into
+ * Supabase. Shopify writes each product before its variants / collections
+ * and usually keeps them together, so products are saved (into the same
+ * columns as the REST sync) a batch at a time; children that turn up after
+ * their product was saved are stored separately at the end.
+ * Children whose product never appears mean the file is incomplete: nothing
+ * is archived or deleted then, and the result carries an error.
+ * job: optional job context — progress per batch, and a cancel stops the
+ * import before anything is archived.
+ * Returns { count, created, updated, archived, variants_removed, orphans, error }.
+ */
+export async function importBulkProducts(shop, lines, { job = null } = {}) {
+  // What we already have locally (to tell created from updated, and find deletions)
+  const existing = await selectAll(() =>
+    supabase
+      .from("products")
+      .select("shopify_product_id, status")
+      .eq("shop_domain", shop)
+      .order("shopify_product_id", { ascending: true })
+  );
+  const known = new Map(existing.map((r) => [String(r.shopify_product_id), r.status]));
+
+  const seen = new Set();
+  const seenVariants = new Set();
+  // parent gid → children that arrived when it wasn't in the batch
+  const stray = new Map();
+  let batch = new Map();
+  let created = 0;
+  let updated = 0;
+  let failed = 0;
+
+  const flush = async () => {
+    if (!batch.size) return;
+    job?.throwIfCancelled();
+
+    const products = [...batch.values()].map((entry) => ({
+      product: restProduct(entry),
+      collections: entry.collections,
+    }));
+    batch = new Map();
+
+    // Seen even when the save fails: a failed batch must not get archived
+    for (const { product } of products) {
+      seen.add(String(product.id));
+      for (const v of product.variants) seenVariants.add(String(v.id));
+    }
+
+    try {
+      await saveBatch(shop, products);
+      const existed = products.filter(({ product }) => known.has(String(product.id))).length;
+      updated += existed;
+      created += products.length - existed;
+    } catch (err) {
+      failed += products.length;
+      console.error(`❌ Supabase error for a batch of ${products.length} products:`, err.message);
+    }
+
+    // Progress writes also pick up a cancel, checked before the next batch
+    await job?.progress({ phase: "save", done: seen.size });
+  };
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    const node = JSON.parse(line);
+
+    if (!node.__parentId) {
+      if (gidType(node.id) !== "Product") continue;
+      if (batch.size >= BATCH_SIZE) await flush();
+      batch.set(node.id, { node, variants: [], collections: [] });
+      continue;
+    }
+
+    const type = gidType(node.id);
+    if (type !== "ProductVariant" && type !== "Collection") continue;
+
+    let parent = batch.get(node.__parentId);
+    if (!parent) {
+      if (!stray.has(node.__parentId)) stray.set(node.__parentId, { variants: [], collections: [] });
+      parent = stray.get(node.__parentId);
+    }
+    if (type === "ProductVariant") parent.variants.push(node);
+    else parent.collections.push(node.handle);
+  }
+  await flush();
+  // A cancelled import hasn't seen the whole file, so it must not archive
+  job?.throwIfCancelled();
+
+  const late = new Map();
+  let orphans = 0;
+  for (const [gid, children] of stray) {
+    const id = gidNumber(gid);
+    if (seen.has(String(id))) {
+      late.set(id, children);
+      for (const v of children.variants) seenVariants.add(String(v.legacyResourceId));
+    } else {
+      orphans += children.variants.length + children.collections.length;
+    }
+  }
+  if (late.size) {
+    console.log(`🧩 ${late.size} products had bulk rows after they were saved — storing those now`);
+    await saveLateChildren(shop, late);
+  }
+
+  const problems = [];
+  if (failed) problems.push(`${failed} products failed to save`);
+
+  let archived = 0;
+  let variantsRemoved = 0;
+  if (orphans) {
+    problems.push(
+      `${orphans} bulk rows belong to products missing from the file, so nothing was archived or removed`
+    );
+  } else {
+    archived = (await archiveMissingProducts(shop, known, seen)).length;
+    variantsRemoved = await deleteMissingVariants(shop, seenVariants);
+  }
+  const error = problems.length ? problems.join("; ") : null;
+  if (error) console.error(`⚠️ Bulk sync for ${shop}: ${error}`);
+
+  console.log(
+    `🔄 Bulk-synced ${seen.size} products for ${shop} — created: ${created}, updated: ${updated}, archived: ${archived}`
+  );
+  return {
+    count: seen.size,
+    created,
+    updated,
+    archived,
+    variants_removed: variantsRemoved,
+    orphans,
+    error,
+  };
+}
+
+// Helper: the result file's lines, read as they download
+async function* downloadLines(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new ShopifyError(`Bulk result download failed with ${response.status}`, {
+      status: response.status,
+    });
+  }
+  yield* readline.createInterface({ input: response.body, crlfDelay: Infinity });
+}
+
+export async function getBulkOperation(shop, token, id) {
+  const data = await shopifyGraphql(shop, token, BULK_OPERATION, { id }, { cost: 1 });
+  return data.node;
+}
+
+// Helper: update the bulk_syncs row for an operation
+async function updateSync(operationId, fields) {
+  const { error } = await supabase
+    .from("bulk_syncs")
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq("operation_id", operationId);
+  if (error) console.error("⚠️ Failed to update bulk sync:", error.message);
+}
+
+/**
+ * Finish a bulk sync once its operation is done: claims the running
+ * bulk_syncs row (so the webhook and the poller can't both import), then
+ * imports the file. Returns the finished row, or null if someone else had it.
+ * job: the product_sync job's context when the job does the import.
+ */
+export async function finishBulkSync(shop, operationId, { job = null } = {}) {
+  const { data: claimed, error } = await supabase
+    .from("bulk_syncs")
+    .update({ status: "importing", updated_at: new Date().toISOString() })
+    .eq("shop_domain", shop)
+    .eq("operation_id", operationId)
+    .eq("status", "running")
+    .select()
+    .maybeSingle();
+  if (error) throw error;
+  if (!claimed) return null;
+
+  try {
+    const token = await getToken(shop);
+    const operation = await getBulkOperation(shop, token, operationId);
+
+    if (operation?.status !== "COMPLETED") {
+      const why = operation?.errorCode || operation?.status || "not found";
+      await updateSync(operationId, {
+        status: "failed",
+        error: `Bulk operation ${why}`,
+        finished_at: new Date().toISOString(),
+      });
+      console.error(`❌ Bulk sync for ${shop} failed: ${why}`);
+      return { ...claimed, status: "failed" };
+    }
+
+    // No url = the query matched nothing: the shop has no products
+    const result = await importBulkProducts(
+      shop,
+      operation.url ? downloadLines(operation.url) : [],
+      { job }
+    );
+    const fields = {
+      status: "completed",
+      object_count: Number(operation.objectCount || 0),
+      ...result,
+      finished_at: new Date().toISOString(),
+    };
+    await updateSync(operationId, fields);
+    return { ...claimed, ...fields };
+  } catch (err) {
+    const cancelled = err instanceof JobCancelledError;
+    if (cancelled) console.log(`🛑 Bulk import for ${shop} cancelled`);
+    else console.error(`❌ Bulk import for ${shop} failed:`, err.message);
+    await updateSync(operationId, {
+      status: cancelled ? "cancelled" : "failed",
+      error: err.message,
+      finished_at: new Date().toISOString(),
+    });
+    throw err;
+  }
+}
+
+// Helper: the bulk_syncs row of an operation
+async function getSync(operationId) {
+  const { data, error } = await supabase
+    .from("bulk_syncs")
+    .select("*")
+    .eq("operation_id", operationId)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// Helper: stop the operation in Shopify (it may just have finished, so a
+// refusal is only logged) and mark the sync cancelled unless an import began
+async function cancelBulkSync(shop, token, operationId) {
+  try {
+    const data = await shopifyGraphql(
+      shop,
+      token,
+      CANCEL_BULK_OPERATION,
+      { id: operationId },
+      { cost: 10 }
+    );
+    const { userErrors } = data.bulkOperationCancel;
+    if (userErrors?.length) {
+      console.error(
+        `⚠️ Shopify didn't cancel bulk operation ${operationId}:`,
+        userErrors.map((e) => e.message).join("; ")
+      );
+    }
+  } catch (err) {
+    console.error(`⚠️ Failed to cancel bulk operation ${operationId}:`, err.message);
+  }
+
+  const now = new Date().toISOString();
+  const { error } = await supabase
+    .from("bulk_syncs")
+    .update({ status: "cancelled", finished_at: now, updated_at: now })
+    .eq("operation_id", operationId)
+    .eq("status", "running");
+  if (error) console.error("⚠️ Failed to update bulk sync:", error.message);
+  console.log(`🛑 Bulk sync ${operationId} cancelled for ${shop}`);
+}
+
+// Helper: a finished row is the job's result; failed / cancelled ones fail it
+function finishedSync(sync) {
+  if (sync.status !== "completed") {
+    throw new Error(sync.error || `Bulk sync ${sync.status}`);
+  }
+  return sync;
+}
+
+/**
+ * Check on a bulk sync for its product_sync job, without waiting: imports the
+ * file once the operation is done (unless the webhook has claimed it) and
+ * returns the finished bulk_syncs row, or null while it's still going — the
+ * job pauses and checks again. job: the job's context; it gets progress while
+ * Shopify builds the file, and cancelling it cancels the operation too.
+ */
+export async function checkBulkSync(shop, token, operationId, { job = null } = {}) {
+  if (job?.cancelled) {
+    await cancelBulkSync(shop, token, operationId);
+    job.throwIfCancelled();
+  }
+
+  const sync = await getSync(operationId);
+  if (!sync) throw new Error(`Bulk sync ${operationId} not found`);
+  if (FINISHED_SYNC_STATUSES.includes(sync.status)) return finishedSync(sync);
+  if (Date.now() - new Date(sync.created_at).getTime() > POLL_TIMEOUT_MS) {
+    throw new Error(
+      `Bulk operation ${operationId} still running after ${POLL_TIMEOUT_MS / 60000} minutes; its webhook can still finish the sync`
+    );
+  }
+  // The webhook claimed it and is importing: check back for the outcome
+  if (sync.status === "importing") {
+    await job?.progress({ phase: "import" });
+    return null;
+  }
+
+  const operation = await getBulkOperation(shop, token, operationId);
+  await job?.progress({
+    phase: "bulk",
+    status: operation?.status ?? null,
+    objects: Number(operation?.objectCount || 0),
+  });
+  if (operation && ["CREATED", "RUNNING"].includes(operation.status)) return null;
+
+  // null: someone claimed it between the two reads — next check has the outcome
+  const finished = await finishBulkSync(shop, operationId, { job });
+  return finished && finishedSync(finished);
+}
+
+/**
+ * Start a bulk product sync. Returns the new bulk_syncs row straight away;
+ * checkBulkSync follows it to the end.
+ */
+export async function startBulkSync(shop, token) {
+  const data = await shopifyGraphql(
+    shop,
+    token,
+    RUN_BULK_QUERY,
+    { query: BULK_PRODUCTS_QUERY },
+    { cost: 10 }
+  );
+  const { bulkOperation, userErrors } = data.bulkOperationRunQuery;
+  // e.g. another bulk query is already running for this shop
+  if (userErrors?.length) {
+    throw new ShopifyError(userErrors.map((e) => e.message).join("; "), {
+      status: 409,
+      shop,
+      body: userErrors,
+    });
+  }
+
+  const { data: sync, error } = await supabase
+    .from("bulk_syncs")
+    .insert([{ shop_domain: shop, operation_id: bulkOperation.id, status: "running" }])
+    .select()
+    .single();
+  if (error) throw error;
+
+  console.log(`📦 Bulk sync started for ${shop}: ${bulkOperation.id}`);
+  return sync;
+}
@@ -0,0 +1,18 @@
+// db.js
+// Small Supabase helpers shared across modules
+
+const PAGE_SIZE = 1000;
+
+// Helper: read every row of a Supabase query (PostgREST caps each response).
+// Pages are taken with .range, so the query needs an .order() on a unique key
+// (or a combination that is unique); without one rows can repeat or go missing
+// between pages.
+export async function selectAll(buildQuery) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+}
@@ -0,0 +1,196 @@
+// eventLibrary.js
+// Built-in retail events a shop can add in one click. Pure (no DB / network):
+// dates are worked out for the requested year, per country where they differ.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ---- Date helpers (all UTC, "YYYY-MM-DD") ----
+
+function day(year, month, date) {
+  return new Date(Date.UTC(year, month, date)).toISOString().split("T")[0];
+}
+
+function addDays(iso, n) {
+  return new Date(Date.parse(iso) + n * DAY_MS).toISOString().split("T")[0];
+}
+
+// nth (1-based) weekday (0 = Sunday) of a month (0 = January)
+function nthWeekday(year, month, weekday, n) {
+  const first = new Date(Date.UTC(year, month, 1)).getUTCDay();
+  return day(year, month, 1 + ((weekday - first + 7) % 7) + (n - 1) * 7);
+}
+
+function lastWeekday(year, month, weekday) {
+  const last = new Date(Date.UTC(year, month + 1, 0));
+  const back = (last.getUTCDay() - weekday + 7) % 7;
+  return day(year, month, last.getUTCDate() - back);
+}
+
+// Western Easter Sunday (anonymous Gregorian algorithm)
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const date = ((h + l - 7 * m + 114) % 31) + 1;
+  return day(year, month - 1, date);
+}
+
+// France: last Sunday of May, moved a week on when it falls on Pentecost
+function frenchMothersDay(year) {
+  const last = lastWeekday(year, 4, 0);
+  return last === addDays(easterSunday(year), 49) ? addDays(last, 7) : last;
+}
+
+// ---- The library ----
+// dates(year, country) returns the key day; the event runs lead_days before it
+// through to it (plus tail_days after). byCountry templates only exist where
+// a date is known.
+
+const GIFT_KEYWORDS = ["gift", "present"];
+
+export const EVENT_LIBRARY = [
+  {
+    key: "valentines_day",
+    name: "Valentine's Day",
+    dates: (year) => day(year, 1, 14),
+    lead_days: 13,
+    event: {
+      uplift_pct: 10,
+      ramp_up_days: 3,
+      product_keywords: ["valentine", "love", "heart", "romantic", ...GIFT_KEYWORDS],
+    },
+  },
+  {
+    key: "mothers_day",
+    name: "Mother's Day",
+    byCountry: {
+      US: (year) => nthWeekday(year, 4, 0, 2),
+      CA: (year) => nthWeekday(year, 4, 0, 2),
+      AU: (year) => nthWeekday(year, 4, 0, 2),
+      DE: (year) => nthWeekday(year, 4, 0, 2),
+      GB: (year) => addDays(easterSunday(year), -21),
+      IE: (year) => addDays(easterSunday(year), -21),
+      FR: frenchMothersDay,
+      MX: (year) => day(year, 4, 10),
+    },
+    lead_days: 10,
+    event: {
+      uplift_pct: 10,
+      ramp_up_days: 3,
+      product_keywords: ["mother", "mum", "mom", ...GIFT_KEYWORDS],
+    },
+  },
+  {
+    key: "easter",
+    name: "Easter",
+    dates: easterSunday,
+    lead_days: 10,
+    tail_days: 1,
+    event: {
+      uplift_pct: 10,
+      ramp_up_days: 3,
+      product_keywords: ["easter", "egg", "bunny", "chocolate"],
+    },
+  },
+  {
+    key: "fathers_day",
+    name: "Father's Day",
+    byCountry: {
+      US: (year) => nthWeekday(year, 5, 0, 3),
+      CA: (year) => nthWeekday(year, 5, 0, 3),
+      GB: (year) => nthWeekday(year, 5, 0, 3),
+      IE: (year) => nthWeekday(year, 5, 0, 3),
+      FR: (year) => nthWeekday(year, 5, 0, 3),
+      AU: (year) => nthWeekday(year, 8, 0, 1),
+    },
+    lead_days: 10,
+    event: {
+      uplift_pct: 10,
+      ramp_up_days: 3,
+      product_keywords: ["father", "dad", ...GIFT_KEYWORDS],
+    },
+  },
+  {
+    key: "halloween",
+    name: "Halloween",
+    dates: (year) => day(year, 9, 31),
+    lead_days: 16,
+    event: {
+      uplift_pct: 10,
+      ramp_up_days: 3,
+      product_keywords: ["halloween", "costume", "spooky", "pumpkin"],
+    },
+  },
+  {
+    // Friday after the fourth Thursday of November, through Cyber Monday
+    key: "black_friday",
+    name: "Black Friday / Cyber Monday",
+    dates: (year) => addDays(nthWeekday(year, 10, 4, 4), 1),
+    lead_days: 0,
+    tail_days: 3,
+    event: { uplift_pct: -15, match_all: true, priority: 10 },
+  },
+  {
+    key: "christmas",
+    name: "Christmas",
+    dates: (year) => day(year, 11, 24),
+    lead_days: 23,
+    event: {
+      uplift_pct: 10,
+      ramp_up_days: 5,
+      ramp_down_days: 2,
+      product_keywords: ["christmas", "xmas", "festive", ...GIFT_KEYWORDS],
+    },
+  },
+  {
+    key: "boxing_day",
+    name: "Boxing Day sales",
+    byCountry: {
+      GB: (year) => day(year, 11, 26),
+      IE: (year) => day(year, 11, 26),
+      CA: (year) => day(year, 11, 26),
+      AU: (year) => day(year, 11, 26),
+    },
+    lead_days: 0,
+    tail_days: 5,
+    event: { uplift_pct: -20, match_all: true, priority: 10 },
+  },
+];
+
+export const LIBRARY_COUNTRIES = [
+  ...new Set(EVENT_LIBRARY.flatMap((t) => Object.keys(t.byCountry || {}))),
+].sort();
+
+// Build a seasonal_events-shaped row from a template (null if the template
+// has no date for that country)
+export function libraryEvent(key, { year, country = "US" } = {}) {
+  const template = EVENT_LIBRARY.find((t) => t.key === key);
+  if (!template) return null;
+
+  const cc = String(country || "").toUpperCase();
+  const keyDay = template.byCountry ? template.byCountry[cc]?.(year) : template.dates(year);
+  if (!keyDay) return null;
+
+  return {
+    library_key: template.key,
+    name: template.byCountry ? `${template.name} (${cc})` : template.name,
+    start_date: addDays(keyDay, -(template.lead_days || 0)),
+    end_date: addDays(keyDay, template.tail_days || 0),
+    ...template.event,
+  };
+}
+
+// Every template that applies to a country, dated for the year
+export function libraryEvents({ year, country = "US" } = {}) {
+  return EVENT_LIBRARY.map((t) => libraryEvent(t.key, { year, country })).filter(Boolean);
+}
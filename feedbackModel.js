@@ -0,0 +1,201 @@
+// feedbackModel.js
+// Pure scoring (no DB / network) of how likely a price suggestion is to be
+// accepted, learned from the shop's past ai_feedback rows.
+//
+// Each feedback row counts with weight
+//   row.weight × age decay × scope × direction × size
+//   age decay  halves every FEEDBACK_HALF_LIFE_DAYS
+//   scope      same product 1, else the best of product_type / vendor / tag
+//   direction  same sign as the proposed change 1, opposite sign 0.25
+//   size       1 for the same % change, down to 0.5 for very different sizes
+// and the confidence is the (smoothed) share of weighted approvals.
+
+export const FEEDBACK_HALF_LIFE_DAYS = 90;
+
+export const SCOPE_WEIGHTS = {
+  product: 1,
+  product_type: 0.5,
+  vendor: 0.35,
+  tag: 0.2,
+};
+
+const OPPOSITE_DIRECTION_WEIGHT = 0.25;
+const UNKNOWN_DIRECTION_WEIGHT = 0.6;
+
+// Pseudo-votes on each side, so one row can't swing a product to 0 or 1
+const PRIOR = 1;
+
+// No evidence = 0.5. Below this the suggestion is scaled down...
+export const NEUTRAL_CONFIDENCE = 0.5;
+// ...and below this it is not made at all (one recent rejection of the same
+// change on the same product lands just under it, like the old 2:1 rule)
+export const SUPPRESS_BELOW = 0.35;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Signed relative change of an action's details, e.g. +0.08 for +8%
+export function priceChangePct(details) {
+  const oldPrice = parseFloat(details?.old_price);
+  const newPrice = parseFloat(details?.new_price);
+  if (!Number.isFinite(oldPrice) || !Number.isFinite(newPrice) || oldPrice <= 0) {
+    return null;
+  }
+  return Math.round(((newPrice - oldPrice) / oldPrice) * 10000) / 10000;
+}
+
+// Helper: tags arrive as an array or Shopify's "a, b, c" string
+function tagList(tags) {
+  if (Array.isArray(tags)) return tags.map((t) => String(t).toLowerCase());
+  if (typeof tags === "string") {
+    return tags
+      .split(",")
+      .map((t) => t.trim().toLowerCase())
+      .filter(Boolean);
+  }
+  return [];
+}
+
+// How much feedback on `other` says about `product` (0 = nothing)
+export function scopeWeight(product, other) {
+  if (!other) return 0;
+  if (String(other.shopify_product_id) === String(product.shopify_product_id)) {
+    return SCOPE_WEIGHTS.product;
+  }
+
+  let best = 0;
+  const same = (a, b) => a && b && String(a).toLowerCase() === String(b).toLowerCase();
+  if (same(product.product_type, other.product_type)) {
+    best = Math.max(best, SCOPE_WEIGHTS.product_type);
+  }
+  if (same(product.vendor, other.vendor)) {
+    best = Math.max(best, SCOPE_WEIGHTS.vendor);
+  }
+  const tags = new Set(tagList(product.tags));
+  if (tagList(other.tags).some((t) => tags.has(t))) {
+    best = Math.max(best, SCOPE_WEIGHTS.tag);
+  }
+  return best;
+}
+
+export function directionWeight(changePct, pastChangePct) {
+  if (changePct == null || pastChangePct == null) return UNKNOWN_DIRECTION_WEIGHT;
+  return Math.sign(changePct) === Math.sign(pastChangePct) ? 1 : OPPOSITE_DIRECTION_WEIGHT;
+}
+
+export function sizeWeight(changePct, pastChangePct) {
+  if (changePct == null || pastChangePct == null) return 1;
+  const a = Math.abs(changePct);
+  const b = Math.abs(pastChangePct);
+  if (Math.max(a, b) === 0) return 1;
+  return 0.5 + 0.5 * (Math.min(a, b) / Math.max(a, b));
+}
+
+export function ageWeight(createdAt, now = new Date()) {
+  if (!createdAt) return 1;
+  const ageDays = Math.max(0, (now - new Date(createdAt)) / DAY_MS);
+  return Math.pow(0.5, ageDays / FEEDBACK_HALF_LIFE_DAYS);
+}
+
+// Helper: case-insensitive grouping key, or null when empty
+function groupKey(value) {
+  return value ? String(value).toLowerCase() : null;
+}
+
+/**
+ * Group the shop's feedback once per run, so scoring a suggestion only looks
+ * at rows that can share a scope with its product.
+ *   feedback       ai_feedback rows ({ product_id, action, feedback, weight,
+ *                  change_pct, created_at })
+ *   productsById   Map of shopify_product_id → product row, to generalise
+ *   options        { action = "price_adjustment" }
+ * Returns { byProduct, byType, byVendor, byTag }: Maps of key → [{ row, other }]
+ * where other is the product the row was given on (null if unknown).
+ */
+export function indexFeedback(feedback, productsById, options = {}) {
+  const { action = "price_adjustment" } = options;
+  const index = {
+    byProduct: new Map(),
+    byType: new Map(),
+    byVendor: new Map(),
+    byTag: new Map(),
+  };
+  const add = (map, key, entry) => {
+    if (key == null) return;
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(entry);
+  };
+
+  for (const row of feedback || []) {
+    if (row.action !== action) continue;
+    if (row.feedback !== "approved" && row.feedback !== "rejected") continue;
+
+    const other = productsById.get(String(row.product_id)) || null;
+    const entry = { row, other };
+    add(index.byProduct, String(row.product_id), entry);
+    if (!other) continue;
+
+    add(index.byType, groupKey(other.product_type), entry);
+    add(index.byVendor, groupKey(other.vendor), entry);
+    for (const tag of new Set(tagList(other.tags))) add(index.byTag, tag, entry);
+  }
+  return index;
+}
+
+// Helper: index entries that share the product, its type, vendor or a tag (once each)
+function relatedFeedback(index, product) {
+  const lists = [
+    index.byProduct.get(String(product.shopify_product_id)),
+    index.byType.get(groupKey(product.product_type)),
+    index.byVendor.get(groupKey(product.vendor)),
+    ...tagList(product.tags).map((tag) => index.byTag.get(tag)),
+  ];
+  const entries = new Set();
+  for (const list of lists) for (const entry of list || []) entries.add(entry);
+  return entries;
+}
+
+/**
+ * Score one proposed price change.
+ *   index          feedback grouped by indexFeedback()
+ *   product        the product being priced (product_type, vendor, tags)
+ *   changePct      proposed signed relative change
+ *   options        { now }
+ * Returns { confidence, scale, suppressed, evidence, approved, rejected }.
+ */
+export function scoreSuggestion(index, product, changePct, options = {}) {
+  const { now = new Date() } = options;
+  let approved = 0;
+  let rejected = 0;
+
+  for (const { row, other } of relatedFeedback(index, product)) {
+    const scope = scopeWeight(
+      product,
+      String(row.product_id) === String(product.shopify_product_id) ? product : other
+    );
+    if (!scope) continue;
+
+    const pastChange = row.change_pct != null ? parseFloat(row.change_pct) : null;
+    const w =
+      (row.weight ?? 1) *
+      ageWeight(row.created_at, now) *
+      scope *
+      directionWeight(changePct, pastChange) *
+      sizeWeight(changePct, pastChange);
+
+    if (row.feedback === "approved") approved += w;
+    else rejected += w;
+  }
+
+  const round = (n) => Math.round(n * 1000) / 1000;
+  const confidence = (approved + PRIOR) / (approved + rejected + 2 * PRIOR);
+
+  return {
+    confidence: round(confidence),
+    // Full size from neutral upwards, shrinking towards SUPPRESS_BELOW
+    scale: round(Math.min(1, confidence / NEUTRAL_CONFIDENCE)),
+    suppressed: confidence < SUPPRESS_BELOW,
+    evidence: round(approved + rejected),
+    approved: round(approved),
+    rejected: round(rejected),
+  };
+}
@@ -0,0 +1,160 @@
+// guardrailsApi.js
+import express from "express";
+import { createClient } from "@supabase/supabase-js";
+import {
+  GUARDRAIL_FIELDS,
+  DEFAULT_GUARDRAILS,
+  validateGuardrails,
+} from "./priceGuardrails.js";
+import { validate } from "./validation.js";
+import { ROW, ROWS, SHOP, SHOPIFY_ID, SHOP_QUERY, object, okResponse } from "./schemas.js";
+
+const router = express.Router();
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Numbers (numeric strings are accepted and parsed); null clears the field
+const GUARDRAIL_VALUE = {
+  anyOf: [{ type: "number" }, { type: "string", pattern: "^-?\\d+(\\.\\d+)?$" }],
+  nullable: true,
+  description: "must be a number or null",
+};
+
+const GUARDRAIL_TARGET = object({
+  shop: SHOP,
+  product_id: { ...SHOPIFY_ID, nullable: true },
+});
+
+// ✅ GET /api/guardrails/list?shop=... (shop row has product_id = null)
+router.get(
+  "/list",
+  validate({
+    summary: "List shop-wide and per-product guardrails",
+    query: SHOP_QUERY,
+    response: okResponse({
+      defaults: { type: "object" },
+      shop_guardrails: { ...ROW, nullable: true },
+      product_guardrails: ROWS,
+    }),
+  }),
+  async (req, res) => {
+    const shop = req.query.shop;
+
+    try {
+      const { data, error } = await supabase
+        .from("price_guardrails")
+        .select("*")
+        .eq("shop_domain", shop);
+
+      if (error) throw error;
+      res.json({
+        ok: true,
+        defaults: DEFAULT_GUARDRAILS,
+        shop_guardrails: data.find((g) => g.product_id == null) || null,
+        product_guardrails: data.filter((g) => g.product_id != null),
+      });
+    } catch (err) {
+      console.error("❌ Guardrails list error:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  }
+);
+
+// 🛡️ POST /api/guardrails/set { shop, product_id?, min_margin?, floor_price?, ... }
+// Omit product_id to set the shop-wide guardrails. null clears a field.
+router.post(
+  "/set",
+  validate({
+    summary: "Set shop-wide or per-product guardrails",
+    body: object({
+      ...GUARDRAIL_TARGET.properties,
+      ...Object.fromEntries(GUARDRAIL_FIELDS.map((f) => [f, GUARDRAIL_VALUE])),
+    }),
+    response: okResponse({ guardrails: ROW }),
+  }),
+  async (req, res) => {
+    const { shop, product_id = null } = req.body;
+
+    const fields = Object.fromEntries(
+      GUARDRAIL_FIELDS.filter((f) => req.body[f] !== undefined).map((f) => [
+        f,
+        req.body[f],
+      ])
+    );
+
+    try {
+      // Upsert by hand: product_id may be null, which a unique index won't match
+      let query = supabase
+        .from("price_guardrails")
+        .select("*")
+        .eq("shop_domain", shop);
+      query = product_id == null ? query.is("product_id", null) : query.eq("product_id", product_id);
+
+      const { data: existing, error: findErr } = await query.maybeSingle();
+      if (findErr) throw findErr;
+
+      // Validate the row as it will be saved, not just the changed fields
+      const merged = { ...existing, ...fields };
+      for (const f of GUARDRAIL_FIELDS) {
+        if (merged[f] != null && typeof merged[f] === "string") merged[f] = parseFloat(merged[f]);
+      }
+      const errors = validateGuardrails(merged);
+      if (errors.length) {
+        return res.status(400).json({ ok: false, error: "Invalid guardrails", errors });
+      }
+
+      const { data, error } = existing
+        ? await supabase
+            .from("price_guardrails")
+            .update({ ...fields, updated_at: new Date().toISOString() })
+            .eq("id", existing.id)
+            .select()
+            .single()
+        : await supabase
+            .from("price_guardrails")
+            .insert([{ shop_domain: shop, product_id, ...fields }])
+            .select()
+            .single();
+
+      if (error) throw error;
+
+      console.log(
+        `🛡️ Guardrails saved for ${shop}${product_id ? ` (product ${product_id})` : ""}`
+      );
+      res.json({ ok: true, guardrails: data });
+    } catch (err) {
+      console.error("❌ Guardrails save error:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  }
+);
+
+// 🗑️ POST /api/guardrails/delete { shop, product_id? }
+router.post(
+  "/delete",
+  validate({
+    summary: "Delete shop-wide or per-product guardrails",
+    body: GUARDRAIL_TARGET,
+    response: okResponse(),
+  }),
+  async (req, res) => {
+    const { shop, product_id = null } = req.body;
+
+    try {
+      let query = supabase.from("price_guardrails").delete().eq("shop_domain", shop);
+      query = product_id == null ? query.is("product_id", null) : query.eq("product_id", product_id);
+
+      const { error } = await query;
+      if (error) throw error;
+      res.json({ ok: true });
+    } catch (err) {
+      console.error("❌ Guardrails delete error:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,104 @@
+// icsParser.js
+// Minimal iCalendar (RFC 5545) reader for importing seasonal events — enough
+// for public holiday feeds: VEVENT blocks with SUMMARY / DTSTART / DTEND.
+// Recurrence rules (RRULE) are not expanded; such feeds list each year anyway.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Helper: long lines are folded onto continuation lines starting with a space/tab
+function unfold(text) {
+  return String(text || "").replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+}
+
+// Helper: TEXT values escape , ; \ and newlines
+function unescapeText(value) {
+  return value
+    .replace(/\\n/gi, "\n")
+    .replace(/\\([,;\\])/g, "$1");
+}
+
+// "NAME;PARAM=X:value" → { name, params, value }
+function parseLine(line) {
+  const colon = line.indexOf(":");
+  if (colon === -1) return null;
+
+  const [name, ...paramParts] = line.slice(0, colon).split(";");
+  const params = Object.fromEntries(
+    paramParts.map((p) => {
+      const [k, v = ""] = p.split("=");
+      return [k.toUpperCase(), v];
+    })
+  );
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+// DATE (20251225) or DATE-TIME (20251225T090000[Z]) → "YYYY-MM-DD"
+function toDay(value) {
+  const m = /^(\d{4})(\d{2})(\d{2})/.exec(value || "");
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+}
+
+function isDateOnly(prop) {
+  return prop.params.VALUE === "DATE" || /^\d{8}$/.test(prop.value);
+}
+
+function addDays(day, n) {
+  return new Date(Date.parse(day) + n * DAY_MS).toISOString().split("T")[0];
+}
+
+/**
+ * Parse .ics text.
+ * Returns { events: [{ uid, name, description, start_date, end_date }], skipped }
+ * where end_date is inclusive (all-day DTEND is exclusive in iCalendar).
+ */
+export function parseIcs(text) {
+  const events = [];
+  let skipped = 0;
+  let current = null;
+
+  for (const raw of unfold(text)) {
+    const line = raw.trimEnd();
+    if (line === "BEGIN:VEVENT") {
+      current = {};
+      continue;
+    }
+    if (line === "END:VEVENT") {
+      if (current) {
+        const event = toEvent(current);
+        if (event) events.push(event);
+        else skipped += 1;
+      }
+      current = null;
+      continue;
+    }
+    if (!current) continue;
+
+    const prop = parseLine(line);
+    if (prop) current[prop.name] = prop;
+  }
+
+  return { events, skipped };
+}
+
+// Helper: one VEVENT's properties → event, or null when unusable
+function toEvent(props) {
+  const name = props.SUMMARY ? unescapeText(props.SUMMARY.value).trim() : "";
+  const start = props.DTSTART && toDay(props.DTSTART.value);
+  if (!name || !start) return null;
+
+  let end = start;
+  if (props.DTEND) {
+    const raw = toDay(props.DTEND.value);
+    // All-day DTEND is the day after the last day
+    end = raw && isDateOnly(props.DTEND) ? addDays(raw, -1) : raw || start;
+  }
+  if (end < start) end = start;
+
+  return {
+    uid: props.UID?.value || null,
+    name,
+    description: props.DESCRIPTION ? unescapeText(props.DESCRIPTION.value) : null,
+    start_date: start,
+    end_date: end,
+  };
+}
@@ -0,0 +1,452 @@
+// jobQueue.js
+// Persistent background jobs (autopilot runs, product syncs, bulk approvals,
+// run reverts)
+// in the jobs table.
+//   queued → running → completed | failed | cancelled
+//   running → queued (paused with ctx.later, or retried after an error)
+//   failed | cancelled → queued (retry)
+// A worker in each server process claims queued jobs one at a time, so a job
+// that waits on something slow (a Shopify bulk export) pauses instead: it
+// gives the worker back and runs again later from its checkpoint. While a
+// job runs its lease (locked_until) is renewed; a job whose worker died is
+// picked up again once the lease runs out, and one whose handler threw is
+// queued again after a pause — either way up to max_attempts.
+import { createClient } from "@supabase/supabase-js";
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export const JOB_TYPES = [
+  "autopilot_run",
+  "autopilot_preview",
+  "product_sync",
+  "ai_bulk_update",
+  "price_revert_run",
+];
+export const JOB_STATUSES = ["queued", "running", "completed", "failed", "cancelled"];
+export const OPEN_JOB_STATUSES = ["queued", "running"];
+// Types a shop may only have one of queued or running at a time — enforced by
+// the jobs_one_open_key index (migrations/018_jobs.sql), keep the two in step
+export const SINGLE_OPEN_JOB_TYPES = ["autopilot_run", "product_sync"];
+
+const POLL_MS = parseInt(process.env.JOB_POLL_MS || "2000", 10);
+// How long a running job is ours without a heartbeat
+const LEASE_MS = 5 * 60 * 1000;
+const HEARTBEAT_MS = 60 * 1000;
+// Progress writes are throttled; the last one always lands with the result
+const PROGRESS_EVERY_MS = 2000;
+const DEFAULT_MAX_ATTEMPTS = 3;
+// A failed attempt waits this long before the next, doubling each time
+const RETRY_DELAY_MS = 30 * 1000;
+
+export class JobCancelledError extends Error {
+  constructor(id) {
+    super(`Job ${id} was cancelled`);
+    this.name = "JobCancelledError";
+  }
+}
+
+// Thrown by enqueueJob / retryJob; job is the open one in the way
+export class JobConflictError extends Error {
+  constructor(job) {
+    super(`A ${job.type} job is already ${job.status} for ${job.shop_domain}`);
+    this.name = "JobConflictError";
+    this.job = job;
+  }
+}
+
+// What ctx.later() hands back to the worker
+class JobPause {
+  constructor(delayMs, checkpoint) {
+    this.delayMs = delayMs;
+    this.checkpoint = checkpoint;
+  }
+}
+
+// type → async (job, ctx) => result
+const handlers = new Map();
+
+export function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+// Helper: lease expiry from now
+const leaseUntil = () => new Date(Date.now() + LEASE_MS).toISOString();
+
+// Helper: what to throw for a failed insert / update that queues a job. A
+// unique violation is jobs_one_open_key: JobConflictError with the open job
+// (unless it has closed since, then the original error)
+async function queueError(error, shop, type) {
+  if (error.code !== "23505") return error;
+  const open = await findOpenJob(shop, type);
+  return open ? new JobConflictError(open) : error;
+}
+
+// ➕ Queue a job; returns the new row (JobConflictError if one is in the way)
+export async function enqueueJob(shop, type, params = {}, { maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) {
+  const { data, error } = await supabase
+    .from("jobs")
+    .insert([
+      {
+        shop_domain: shop,
+        type,
+        params,
+        status: "queued",
+        attempts: 0,
+        max_attempts: maxAttempts,
+        run_after: new Date().toISOString(),
+      },
+    ])
+    .select()
+    .single();
+  if (error) throw await queueError(error, shop, type);
+
+  console.log(`📥 Job ${data.id} (${type}) queued for ${shop}`);
+  return data;
+}
+
+// The shop's queued or running job of this type, if any
+export async function findOpenJob(shop, type) {
+  const { data, error } = await supabase
+    .from("jobs")
+    .select("*")
+    .eq("shop_domain", shop)
+    .eq("type", type)
+    .in("status", OPEN_JOB_STATUSES)
+    .order("created_at", { ascending: true })
+    .limit(1)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Cancel a job. Queued jobs are cancelled right away; running ones are asked
+ * to stop and do so at their next checkpoint. A paused job may have left
+ * something going (a bulk operation), so it is asked too and run again at
+ * once to clean up. Returns the row, or null when the job doesn't exist or
+ * has already finished.
+ */
+export async function cancelJob(shop, id) {
+  const now = new Date().toISOString();
+  const { data: queued, error } = await supabase
+    .from("jobs")
+    .update({ status: "cancelled", finished_at: now, updated_at: now })
+    .eq("id", id)
+    .eq("shop_domain", shop)
+    .eq("status", "queued")
+    .is("checkpoint", null)
+    .select()
+    .maybeSingle();
+  if (error) throw error;
+  if (queued) return queued;
+
+  const { data: open, error: openErr } = await supabase
+    .from("jobs")
+    .update({ cancel_requested: true, run_after: now, updated_at: now })
+    .eq("id", id)
+    .eq("shop_domain", shop)
+    .in("status", OPEN_JOB_STATUSES)
+    .select()
+    .maybeSingle();
+  if (openErr) throw openErr;
+  return open;
+}
+
+// ⏰ Run a paused job now rather than when it's due (e.g. what it waits on
+// just finished). Returns false unless it was paused.
+export async function wakeJob(id) {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from("jobs")
+    .update({ run_after: now, updated_at: now })
+    .eq("id", id)
+    .eq("status", "queued")
+    .not("checkpoint", "is", null)
+    .select("id");
+  if (error) throw error;
+  return (data || []).length > 0;
+}
+
+// 🔁 Put a failed or cancelled job back in the queue (same id, fresh attempts).
+// Returns null when there's no such failed / cancelled job; JobConflictError
+// when the shop already has another one of its kind open.
+export async function retryJob(shop, id) {
+  const { data: job, error: findErr } = await supabase
+    .from("jobs")
+    .select("id, type")
+    .eq("id", id)
+    .eq("shop_domain", shop)
+    .in("status", ["failed", "cancelled"])
+    .maybeSingle();
+  if (findErr) throw findErr;
+  if (!job) return null;
+
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from("jobs")
+    .update({
+      status: "queued",
+      attempts: 0,
+      error: null,
+      result: null,
+      progress: null,
+      checkpoint: null,
+      cancel_requested: false,
+      started_at: null,
+      finished_at: null,
+      locked_until: null,
+      run_after: now,
+      updated_at: now,
+    })
+    .eq("id", id)
+    .eq("shop_domain", shop)
+    .in("status", ["failed", "cancelled"])
+    .select()
+    .maybeSingle();
+  if (error) throw await queueError(error, shop, job.type);
+  return data;
+}
+
+// ---- Worker ----
+
+let timer = null;
+let working = false;
+
+// Helper: finish a job we hold (guarded, so a lost lease can't overwrite anyone)
+async function finishJob(id, fields) {
+  const now = new Date().toISOString();
+  const { error } = await supabase
+    .from("jobs")
+    .update({ ...fields, locked_until: null, finished_at: now, updated_at: now })
+    .eq("id", id)
+    .eq("status", "running");
+  if (error) console.error(`⚠️ Failed to finish job ${id}:`, error.message);
+}
+
+// Helper: park a job that gave the worker back (ctx.later) until it's due
+// again. Waiting isn't an attempt, so the claim's count is undone.
+async function pauseJob(job, pause, progress) {
+  const now = new Date();
+  const { error } = await supabase
+    .from("jobs")
+    .update({
+      status: "queued",
+      checkpoint: pause.checkpoint,
+      attempts: job.attempts - 1,
+      ...(progress ? { progress } : {}),
+      locked_until: null,
+      run_after: new Date(now.getTime() + pause.delayMs).toISOString(),
+      updated_at: now.toISOString(),
+    })
+    .eq("id", job.id)
+    .eq("status", "running");
+  if (error) console.error(`⚠️ Failed to pause job ${job.id}:`, error.message);
+}
+
+// Helper: put a job whose attempt threw back in the queue, after a pause that
+// doubles with each attempt. The error stays on the row until it succeeds.
+async function retryLater(job, err, progress) {
+  const delay = RETRY_DELAY_MS * 2 ** (job.attempts - 1);
+  const now = new Date();
+  const { error } = await supabase
+    .from("jobs")
+    .update({
+      status: "queued",
+      error: err.message,
+      progress,
+      locked_until: null,
+      run_after: new Date(now.getTime() + delay).toISOString(),
+      updated_at: now.toISOString(),
+    })
+    .eq("id", job.id)
+    .eq("status", "running");
+  if (error) console.error(`⚠️ Failed to requeue job ${job.id}:`, error.message);
+  console.error(
+    `🔁 Job ${job.id} (${job.type}) attempt ${job.attempts}/${job.max_attempts} failed, retrying in ${delay / 1000}s:`,
+    err.message
+  );
+}
+
+// Jobs whose worker stopped renewing the lease: queue them again, or give up
+async function recoverStaleJobs() {
+  const { data, error } = await supabase
+    .from("jobs")
+    .select("id, attempts, max_attempts")
+    .eq("status", "running")
+    .lt("locked_until", new Date().toISOString());
+  if (error) throw error;
+
+  for (const job of data || []) {
+    const retry = job.attempts < job.max_attempts;
+    const { error: upErr } = await supabase
+      .from("jobs")
+      .update({
+        status: retry ? "queued" : "failed",
+        error: retry ? null : "Worker stopped responding",
+        locked_until: null,
+        updated_at: new Date().toISOString(),
+        ...(retry ? {} : { finished_at: new Date().toISOString() }),
+      })
+      .eq("id", job.id)
+      .eq("status", "running");
+    if (upErr) console.error(`⚠️ Failed to recover job ${job.id}:`, upErr.message);
+    else console.log(`🩹 Job ${job.id} lost its worker — ${retry ? "requeued" : "failed"}`);
+  }
+}
+
+// Oldest queued job we manage to claim, or null
+async function claimNextJob() {
+  const { data, error } = await supabase
+    .from("jobs")
+    .select("*")
+    .eq("status", "queued")
+    .lte("run_after", new Date().toISOString())
+    .order("created_at", { ascending: true })
+    .limit(5);
+  if (error) throw error;
+
+  for (const job of data || []) {
+    const now = new Date().toISOString();
+    const { data: claimed, error: claimErr } = await supabase
+      .from("jobs")
+      .update({
+        status: "running",
+        attempts: (job.attempts || 0) + 1,
+        started_at: now,
+        locked_until: leaseUntil(),
+        updated_at: now,
+      })
+      .eq("id", job.id)
+      .eq("status", "queued")
+      .select()
+      .maybeSingle();
+    if (claimErr) throw claimErr;
+    if (claimed) return claimed;
+  }
+  return null;
+}
+
+// What a handler gets to report progress, notice cancellation and pause
+function jobContext(job) {
+  let cancelled = Boolean(job.cancel_requested);
+  let latest = null;
+  let lastWrite = 0;
+
+  // Renew the lease; the same write tells us whether someone hit cancel
+  const touch = async (fields = {}) => {
+    const { data, error } = await supabase
+      .from("jobs")
+      .update({ ...fields, locked_until: leaseUntil(), updated_at: new Date().toISOString() })
+      .eq("id", job.id)
+      .eq("status", "running")
+      .select("cancel_requested")
+      .maybeSingle();
+    if (error) {
+      console.error(`⚠️ Failed to update job ${job.id}:`, error.message);
+      return;
+    }
+    if (data?.cancel_requested) cancelled = true;
+  };
+
+  return {
+    job,
+    get cancelled() {
+      return cancelled;
+    },
+    throwIfCancelled() {
+      if (cancelled) throw new JobCancelledError(job.id);
+    },
+    // progress: { phase, done, total, ... }
+    async progress(fields) {
+      latest = fields;
+      if (Date.now() - lastWrite < PROGRESS_EVERY_MS) return;
+      lastWrite = Date.now();
+      await touch({ progress: fields });
+    },
+    heartbeat: () => touch(),
+    // Return this from the handler to give the worker back and run again in
+    // delayMs; the next run finds `checkpoint` on job.checkpoint
+    later: (delayMs, checkpoint) => new JobPause(delayMs, checkpoint),
+    get latestProgress() {
+      return latest;
+    },
+  };
+}
+
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+  if (!handler) {
+    await finishJob(job.id, { status: "failed", error: `Unknown job type: ${job.type}` });
+    return;
+  }
+
+  console.log(`🏃 Job ${job.id} (${job.type}) started for ${job.shop_domain}`);
+  const ctx = jobContext(job);
+  const heartbeat = setInterval(() => ctx.heartbeat(), HEARTBEAT_MS);
+
+  try {
+    const result = await handler(job, ctx);
+    if (result instanceof JobPause) {
+      await pauseJob(job, result, ctx.latestProgress);
+      return;
+    }
+    await finishJob(job.id, {
+      status: "completed",
+      result: result ?? null,
+      // Clears what an earlier failed attempt left
+      error: null,
+      progress: ctx.latestProgress,
+    });
+    console.log(`✅ Job ${job.id} (${job.type}) completed`);
+  } catch (err) {
+    if (err instanceof JobCancelledError) {
+      await finishJob(job.id, { status: "cancelled", progress: ctx.latestProgress });
+      console.log(`🛑 Job ${job.id} (${job.type}) cancelled`);
+    } else if (job.attempts < job.max_attempts) {
+      await retryLater(job, err, ctx.latestProgress);
+    } else {
+      await finishJob(job.id, {
+        status: "failed",
+        error: err.message,
+        progress: ctx.latestProgress,
+      });
+      console.error(`❌ Job ${job.id} (${job.type}) failed:`, err.message);
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+async function tick() {
+  if (working) return;
+  working = true;
+
+  try {
+    await recoverStaleJobs();
+    let job;
+    while (timer && (job = await claimNextJob())) {
+      await runJob(job);
+    }
+  } catch (err) {
+    console.error("❌ Job worker tick failed:", err.message);
+  } finally {
+    working = false;
+  }
+}
+
+// 🧵 Start the in-process job worker (set JOB_WORKER_ENABLED=false to disable)
+export function startJobWorker() {
+  if (timer || process.env.JOB_WORKER_ENABLED === "false") return;
+
+  timer = setInterval(tick, POLL_MS);
+  tick();
+  console.log("🧵 Job worker started");
+}
+
+export function stopJobWorker() {
+  clearInterval(timer);
+  timer = null;
+}
@@ -0,0 +1,164 @@
+// jobsApi.js
+// Status, cancel and retry for background jobs (see jobQueue.js)
+import express from "express";
+import { createClient } from "@supabase/supabase-js";
+import {
+  JOB_STATUSES,
+  JOB_TYPES,
+  JobConflictError,
+  cancelJob,
+  retryJob,
+} from "./jobQueue.js";
+import { validate } from "./validation.js";
+import { ID, ROW, ROWS, SHOP, object, okResponse } from "./schemas.js";
+
+const router = express.Router();
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Helper: one job of this shop, or null
+async function findJob(shop, id) {
+  const { data, error } = await supabase
+    .from("jobs")
+    .select("*")
+    .eq("id", id)
+    .eq("shop_domain", shop)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// 📋 GET /api/jobs/list?shop=...&status=running&type=product_sync
+router.get(
+  "/list",
+  validate({
+    summary: "Recent jobs, newest first",
+    query: object({
+      shop: SHOP,
+      status: { type: "string", enum: JOB_STATUSES },
+      type: { type: "string", enum: JOB_TYPES },
+      limit: { type: "integer", minimum: 1, maximum: 100 },
+    }),
+    response: okResponse({ jobs: ROWS }),
+  }),
+  async (req, res) => {
+    const { shop, status, type, limit = 20 } = req.query;
+
+    try {
+      let query = supabase
+        .from("jobs")
+        .select("*")
+        .eq("shop_domain", shop)
+        .order("created_at", { ascending: false })
+        .limit(limit);
+      if (status) query = query.eq("status", status);
+      if (type) query = query.eq("type", type);
+
+      const { data, error } = await query;
+      if (error) throw error;
+
+      res.json({ ok: true, jobs: data });
+    } catch (err) {
+      console.error("❌ Job list error:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  }
+);
+
+// 🔎 GET /api/jobs/get?shop=...&id=... — status, progress, result, error
+router.get(
+  "/get",
+  validate({
+    summary: "One job: status, progress, result and error",
+    query: object({ shop: SHOP, id: ID }, ["id"]),
+    response: okResponse({ job: ROW }),
+  }),
+  async (req, res) => {
+    const { shop, id } = req.query;
+
+    try {
+      const job = await findJob(shop, id);
+      if (!job) return res.status(404).json({ ok: false, error: "Job not found" });
+
+      res.json({ ok: true, job });
+    } catch (err) {
+      console.error("❌ Job get error:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  }
+);
+
+// 🛑 POST /api/jobs/cancel { shop, id }
+router.post(
+  "/cancel",
+  validate({
+    summary:
+      "Cancel a job. Queued jobs stop at once; running ones at their next checkpoint, " +
+      "and paused ones (a bulk sync waiting on Shopify) when they next run, straight " +
+      "away (cancel_requested stays set until they do)",
+    body: object({ shop: SHOP, id: ID }, ["id"]),
+    response: okResponse({ job: ROW }),
+  }),
+  async (req, res) => {
+    const { shop, id } = req.body;
+
+    try {
+      const job = await cancelJob(shop, id);
+      if (!job) {
+        const existing = await findJob(shop, id);
+        if (!existing) return res.status(404).json({ ok: false, error: "Job not found" });
+        return res
+          .status(409)
+          .json({ ok: false, error: `Job is already ${existing.status}`, job: existing });
+      }
+
+      console.log(`🛑 Cancel requested for job ${id} (${shop})`);
+      res.json({ ok: true, job });
+    } catch (err) {
+      console.error("❌ Job cancel error:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  }
+);
+
+// 🔁 POST /api/jobs/retry { shop, id } — failed or cancelled jobs only, and not
+// while another autopilot run / product sync of the shop is open (409)
+router.post(
+  "/retry",
+  validate({
+    summary: "Queue a failed or cancelled job again",
+    status: 202,
+    body: object({ shop: SHOP, id: ID }, ["id"]),
+    response: okResponse({ job: ROW }),
+  }),
+  async (req, res) => {
+    const { shop, id } = req.body;
+
+    try {
+      const job = await retryJob(shop, id);
+      if (!job) {
+        const existing = await findJob(shop, id);
+        if (!existing) return res.status(404).json({ ok: false, error: "Job not found" });
+        return res.status(409).json({
+          ok: false,
+          error: `Only failed or cancelled jobs can be retried (this one is ${existing.status})`,
+          job: existing,
+        });
+      }
+
+      console.log(`🔁 Job ${id} (${job.type}) queued again for ${shop}`);
+      res.status(202).json({ ok: true, job });
+    } catch (err) {
+      if (err instanceof JobConflictError) {
+        return res.status(409).json({ ok: false, error: err.message, job: err.job });
+      }
+      console.error("❌ Job retry error:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,21 @@
+-- 001_shop_install.sql
+-- OAuth install: each shop's token, scopes and install date, plus the
+-- single-use state nonces /api/shopify/auth hands out.
+-- Run the files in this folder in order (Supabase SQL editor or psql).
+
+alter table shops add column if not exists access_token text;
+alter table shops add column if not exists scopes text;
+alter table shops add column if not exists installed_at timestamptz;
+
+-- /callback upserts on shop_domain
+create unique index if not exists shops_shop_domain_key on shops (shop_domain);
+
+create table if not exists oauth_states (
+  id bigint generated always as identity primary key,
+  shop_domain text not null,
+  nonce text not null,
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists oauth_states_shop_nonce_key
+  on oauth_states (shop_domain, nonce);
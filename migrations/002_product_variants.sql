@@ -0,0 +1,24 @@
+-- 002_product_variants.sql
+-- Every variant of every synced product (products keeps the first variant's
+-- price and the summed stock).
+
+create table if not exists product_variants (
+  id bigint generated always as identity primary key,
+  shop_domain text not null,
+  shopify_product_id bigint not null,
+  shopify_variant_id bigint not null,
+  title text,
+  sku text,
+  price numeric(12, 2),
+  compare_at_price numeric(12, 2),
+  inventory_item_id bigint,
+  inventory_quantity integer not null default 0,
+  position integer,
+  created_at timestamptz not null default now()
+);
+
+-- Sync upserts on this
+create unique index if not exists product_variants_shop_variant_key
+  on product_variants (shop_domain, shopify_variant_id);
+create index if not exists product_variants_shop_product_idx
+  on product_variants (shop_domain, shopify_product_id);
@@ -0,0 +1,6 @@
+-- 003_variant_decisions.sql
+-- Pricing decisions are made per variant: actions record which one, and
+-- performance can be kept per variant (variant_id null = the whole product).
+
+alter table ai_actions add column if not exists variant_id bigint;
+alter table product_performance add column if not exists variant_id bigint;
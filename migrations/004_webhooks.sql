@@ -0,0 +1,35 @@
+-- 004_webhooks.sql
+-- Webhook receiver: delivery ids we have processed (Shopify retries, the
+-- unique key makes a replay a 23505 we ignore), orders from orders/create,
+-- and the shop's uninstall date.
+
+create table if not exists webhook_events (
+  id bigint generated always as identity primary key,
+  webhook_id text not null,
+  shop_domain text not null,
+  topic text not null,
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists webhook_events_webhook_id_key
+  on webhook_events (webhook_id);
+
+create table if not exists orders (
+  id bigint generated always as identity primary key,
+  shop_domain text not null,
+  shopify_order_id bigint not null,
+  total_price numeric(12, 2),
+  currency text,
+  line_items jsonb not null default '[]',
+  ordered_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists orders_shop_order_key
+  on orders (shop_domain, shopify_order_id);
+
+alter table shops add column if not exists uninstalled_at timestamptz;
+
+-- inventory_levels/update finds variants by inventory item
+create index if not exists product_variants_shop_inventory_item_idx
+  on product_variants (shop_domain, inventory_item_id);
@@ -0,0 +1,60 @@
+-- 005_order_performance.sql
+-- Order ingestion and rolling performance windows computed from it.
+
+alter table shops add column if not exists orders_synced_at timestamptz;
+alter table orders add column if not exists cancelled_at timestamptz;
+alter table product_variants add column if not exists unit_cost numeric(12, 2);
+
+create table if not exists order_line_items (
+  id bigint generated always as identity primary key,
+  shop_domain text not null,
+  shopify_order_id bigint not null,
+  line_item_id bigint not null,
+  product_id bigint,
+  variant_id bigint,
+  quantity integer not null default 0,
+  price numeric(12, 2),
+  total_discount numeric(12, 2) not null default 0,
+  ordered_at timestamptz,
+  cancelled boolean not null default false
+);
+
+create unique index if not exists order_line_items_shop_line_item_key
+  on order_line_items (shop_domain, line_item_id);
+create index if not exists order_line_items_shop_ordered_at_idx
+  on order_line_items (shop_domain, ordered_at);
+
+-- Optional: stores that can feed sessions get a conversion rate
+create table if not exists product_sessions (
+  id bigint generated always as identity primary key,
+  shop_domain text not null,
+  product_id bigint not null,
+  date date not null,
+  sessions integer not null default 0
+);
+
+create unique index if not exists product_sessions_shop_product_date_key
+  on product_sessions (shop_domain, product_id, date);
+
+alter table product_performance add column if not exists window_days integer not null default 30;
+alter table product_performance add column if not exists units_sold integer;
+alter table product_performance add column if not exists orders_count integer;
+alter table product_performance add column if not exists revenue numeric(14, 2);
+alter table product_performance add column if not exists sessions integer;
+alter table product_performance add column if not exists computed_at timestamptz;
+
+-- One row per product (and sold variant) per window now: drop any older
+-- one-row-per-product unique constraint before adding the new key
+do $$
+declare c record;
+begin
+  for c in
+    select conname from pg_constraint
+    where conrelid = 'product_performance'::regclass and contype = 'u'
+  loop
+    execute format('alter table product_performance drop constraint %I', c.conname);
+  end loop;
+end $$;
+
+create unique index if not exists product_performance_shop_product_variant_window_key
+  on product_performance (shop_domain, product_id, variant_id, window_days);
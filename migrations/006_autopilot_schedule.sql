@@ -0,0 +1,16 @@
+-- 006_autopilot_schedule.sql
+-- Per-shop autopilot schedule (the shop's local time and weekdays) and the
+-- run lock that keeps two runs of one shop from overlapping.
+
+alter table shops add column if not exists schedule_enabled boolean not null default false;
+alter table shops add column if not exists schedule_time text;
+alter table shops add column if not exists schedule_days smallint[];
+alter table shops add column if not exists timezone text;
+alter table shops add column if not exists next_run_at timestamptz;
+alter table shops add column if not exists last_scheduled_run_at timestamptz;
+alter table shops add column if not exists autopilot_locked_until timestamptz;
+alter table shops add column if not exists autopilot_lock_owner uuid;
+
+-- The scheduler's tick: enabled shops that are due
+create index if not exists shops_schedule_due_idx
+  on shops (next_run_at) where schedule_enabled;
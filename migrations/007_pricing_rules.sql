@@ -0,0 +1,20 @@
+-- 007_pricing_rules.sql
+-- Per-shop pricing rules stored as data (see pricingRules.js for the shape).
+-- A shop with no rows gets the built-in DEFAULT_RULES.
+
+create table if not exists pricing_rules (
+  id bigint generated always as identity primary key,
+  shop_domain text not null,
+  name text not null,
+  kind text not null default 'price' check (kind in ('price', 'ad_boost')),
+  enabled boolean not null default true,
+  priority integer not null default 0,
+  condition jsonb,
+  adjustment jsonb,
+  stacking text not null default 'replace' check (stacking in ('replace', 'stack')),
+  reason text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists pricing_rules_shop_idx on pricing_rules (shop_domain);
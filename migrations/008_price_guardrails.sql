@@ -0,0 +1,21 @@
+-- 008_price_guardrails.sql
+-- Price guardrails: one shop-wide row (product_id null) and optional
+-- per-product overrides. Null fields fall back to the next level up.
+
+create table if not exists price_guardrails (
+  id bigint generated always as identity primary key,
+  shop_domain text not null,
+  product_id bigint,
+  min_margin numeric(6, 4),
+  floor_price numeric(12, 2),
+  ceiling_price numeric(12, 2),
+  max_change_day_pct numeric(6, 2),
+  max_change_week_pct numeric(6, 2),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists price_guardrails_shop_key
+  on price_guardrails (shop_domain) where product_id is null;
+create unique index if not exists price_guardrails_shop_product_key
+  on price_guardrails (shop_domain, product_id) where product_id is not null;
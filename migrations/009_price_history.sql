@@ -0,0 +1,32 @@
+-- 009_price_history.sql
+-- Ledger of every price change (ours, rollbacks and ones made in Shopify),
+-- and the links that let a run's changes be rolled back together.
+
+create table if not exists price_history (
+  id bigint generated always as identity primary key,
+  shop_domain text not null,
+  product_id bigint not null,
+  variant_id bigint,
+  old_price numeric(12, 2),
+  new_price numeric(12, 2) not null,
+  source text not null,
+  action_id bigint,
+  run_id bigint,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists price_history_shop_created_idx
+  on price_history (shop_domain, created_at);
+create index if not exists price_history_shop_product_idx
+  on price_history (shop_domain, product_id, variant_id);
+
+alter table ai_actions add column if not exists run_id bigint;
+create index if not exists ai_actions_shop_run_idx on ai_actions (shop_domain, run_id);
+
+alter table autopilot_runs add column if not exists status text;
+alter table autopilot_runs add column if not exists finished_at timestamptz;
+
+-- A revert is stronger negative feedback than a rejection
+alter table ai_feedback add column if not exists variant_id bigint;
+alter table ai_feedback add column if not exists weight numeric(6, 2) not null default 1;
+alter table ai_feedback add column if not exists reason text;
@@ -0,0 +1,7 @@
+-- 010_action_lifecycle.sql
+-- Approved suggestions are executed: actions move through
+-- approved → applying → completed | failed (see aiActionLifecycle.js).
+
+alter table ai_actions add column if not exists error text;
+alter table ai_actions add column if not exists applied_at timestamptz;
+alter table ai_actions add column if not exists updated_at timestamptz;
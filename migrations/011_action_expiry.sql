@@ -0,0 +1,10 @@
+-- 011_action_expiry.sql
+-- Open suggestions expire after SUGGESTION_TTL_HOURS and are superseded by
+-- newer suggestions for the same product/variant/action.
+
+alter table ai_actions add column if not exists expires_at timestamptz;
+alter table ai_actions add column if not exists superseded_by bigint references ai_actions (id);
+
+-- The scheduler's expiry sweep
+create index if not exists ai_actions_expires_at_idx
+  on ai_actions (expires_at) where expires_at is not null;
@@ -0,0 +1,9 @@
+-- 012_feedback_similarity.sql
+-- Feedback carries the size and direction of the change it judged, and
+-- products keep the attributes used to find similar products.
+
+alter table ai_feedback add column if not exists change_pct numeric(8, 4);
+
+alter table products add column if not exists product_type text;
+alter table products add column if not exists vendor text;
+alter table products add column if not exists tags text[] not null default '{}';
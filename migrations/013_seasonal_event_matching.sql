@@ -0,0 +1,18 @@
+-- 013_seasonal_event_matching.sql
+-- Dated events that may overlap, each with its own uplift, ramps and
+-- product matchers (see seasonalPricing.js), plus the shop's overlap mode.
+
+alter table seasonal_events add column if not exists uplift_pct numeric(6, 2);
+alter table seasonal_events add column if not exists priority integer not null default 0;
+alter table seasonal_events add column if not exists ramp_up_days integer not null default 0;
+alter table seasonal_events add column if not exists ramp_down_days integer not null default 0;
+alter table seasonal_events add column if not exists match_all boolean not null default false;
+alter table seasonal_events add column if not exists match_tags text[] not null default '{}';
+alter table seasonal_events add column if not exists match_product_types text[] not null default '{}';
+alter table seasonal_events add column if not exists match_collections text[] not null default '{}';
+
+alter table shops add column if not exists event_overlap text not null default 'strongest'
+  check (event_overlap in ('strongest', 'stack', 'priority'));
+
+-- Collection handles, filled by the product sync
+alter table products add column if not exists collections text[] not null default '{}';
@@ -0,0 +1,10 @@
+-- 014_shop_events.sql
+-- Events are per shop (null shop_domain = shared with every shop) and
+-- remember where they came from: manual, ics or library.
+
+alter table seasonal_events add column if not exists shop_domain text;
+alter table seasonal_events add column if not exists source text;
+alter table seasonal_events add column if not exists updated_at timestamptz;
+
+create index if not exists seasonal_events_shop_dates_idx
+  on seasonal_events (shop_domain, start_date, end_date);
@@ -0,0 +1,17 @@
+-- 015_api_keys.sql
+-- Server-to-server API keys (x-api-key). Only a SHA-256 of the key is kept;
+-- key_prefix is what the keys list shows.
+
+create table if not exists api_keys (
+  id bigint generated always as identity primary key,
+  shop_domain text not null,
+  name text not null,
+  key_hash text not null,
+  key_prefix text not null,
+  created_at timestamptz not null default now(),
+  last_used_at timestamptz,
+  revoked_at timestamptz
+);
+
+create unique index if not exists api_keys_key_hash_key on api_keys (key_hash);
+create index if not exists api_keys_shop_idx on api_keys (shop_domain, created_at);
@@ -0,0 +1,5 @@
+-- 016_run_timings.sql
+-- Per-phase timings of each autopilot run ({ load_ms, decide_ms, ..., total_ms }).
+
+alter table autopilot_runs add column if not exists timings jsonb;
+alter table autopilot_runs add column if not exists duration_ms integer;
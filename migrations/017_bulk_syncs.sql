@@ -0,0 +1,30 @@
+-- 017_bulk_syncs.sql
+-- GraphQL bulk product syncs: one row per bulk operation, claimed by the
+-- bulk_operations/finish webhook or the product_sync job that polls it.
+-- status: running → importing → completed | failed, or cancelled
+
+create table if not exists bulk_syncs (
+  id bigint generated always as identity primary key,
+  shop_domain text not null,
+  operation_id text not null,
+  status text not null default 'running'
+    check (status in ('running', 'importing', 'completed', 'failed', 'cancelled')),
+  object_count integer,
+  count integer,
+  created integer,
+  updated integer,
+  archived integer,
+  variants_removed integer,
+  orphans integer,
+  error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz,
+  finished_at timestamptz
+);
+
+create unique index if not exists bulk_syncs_operation_id_key on bulk_syncs (operation_id);
+create index if not exists bulk_syncs_shop_idx on bulk_syncs (shop_domain, created_at);
+
+-- The bulk import upserts products a batch at a time on this key
+create unique index if not exists products_shop_product_key
+  on products (shop_domain, shopify_product_id);
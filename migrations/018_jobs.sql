@@ -0,0 +1,39 @@
+-- 018_jobs.sql
+-- Background jobs (jobQueue.js): autopilot runs, previews, product syncs,
+-- bulk approvals and run reverts, with their progress, result and lease.
+-- status: queued → running → completed | failed | cancelled
+
+create table if not exists jobs (
+  id bigint generated always as identity primary key,
+  shop_domain text not null,
+  type text not null,
+  params jsonb not null default '{}',
+  status text not null default 'queued'
+    check (status in ('queued', 'running', 'completed', 'failed', 'cancelled')),
+  attempts integer not null default 0,
+  max_attempts integer not null default 3,
+  run_after timestamptz not null default now(),
+  locked_until timestamptz,
+  cancel_requested boolean not null default false,
+  progress jsonb,
+  -- Where a paused job (ctx.later) picks up, e.g. the bulk operation it waits on
+  checkpoint jsonb,
+  result jsonb,
+  error text,
+  started_at timestamptz,
+  finished_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+-- The worker claims the oldest queued job that is due
+create index if not exists jobs_status_run_after_idx on jobs (status, run_after);
+create index if not exists jobs_shop_idx on jobs (shop_domain, created_at);
+
+-- One open autopilot run / product sync per shop (SINGLE_OPEN_JOB_TYPES);
+-- enqueue and retry turn a violation into JobConflictError
+create unique index if not exists jobs_one_open_key
+  on jobs (shop_domain, type)
+  where status in ('queued', 'running') and type in ('autopilot_run', 'product_sync');
+
+alter table autopilot_runs add column if not exists job_id bigint references jobs (id);
@@ -0,0 +1,17 @@
+-- 019_run_events.sql
+-- Progress events of autopilot runs (runEvents.js), replayed by the run's
+-- event stream. seq is the per-run SSE event id that Last-Event-ID resumes from.
+
+create table if not exists autopilot_run_events (
+  id bigint generated always as identity primary key,
+  shop_domain text not null,
+  run_id bigint not null references autopilot_runs (id) on delete cascade,
+  seq integer not null,
+  type text not null,
+  data jsonb not null default '{}',
+  created_at timestamptz not null default now()
+);
+
+-- Replay reads a run's events in seq order after the last one seen
+create unique index if not exists autopilot_run_events_run_seq_key
+  on autopilot_run_events (run_id, seq);
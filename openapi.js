@@ -0,0 +1,123 @@
+// openapi.js
+// Builds the OpenAPI document from the specs that validate() attaches to each
+// route, so the docs can't drift from what the routes actually accept.
+import { ERROR_RESPONSE } from "./schemas.js";
+
+// Helper: Express "/:id" → OpenAPI "/{id}"
+function toOpenApiPath(path) {
+  return path.replace(/:(\w+)/g, "{$1}");
+}
+
+// Helper: the route layers of a Router (or of an app's own router)
+function routeLayers(router) {
+  const stack = (router._router || router).stack || [];
+  return stack.filter((layer) => layer.route);
+}
+
+function queryParameters(schema) {
+  const required = new Set(schema?.required || []);
+  return Object.entries(schema?.properties || {}).map(([name, sub]) => ({
+    name,
+    in: "query",
+    required: required.has(name),
+    schema: sub,
+  }));
+}
+
+function operation(spec) {
+  const op = {
+    summary: spec.summary,
+    ...(spec.tags ? { tags: spec.tags } : {}),
+    parameters: queryParameters(spec.query),
+    responses: {
+      ...(spec.redirect
+        ? { 302: { description: spec.redirect } }
+        : {
+            [spec.status || 200]: {
+              description: spec.status === 202 ? "Accepted" : "OK",
+              content: {
+                [spec.responseType || "application/json"]: {
+                  schema: spec.response || { type: "object" },
+                },
+              },
+            },
+          }),
+      400: {
+        description: "Invalid request",
+        content: { "application/json": { schema: ERROR_RESPONSE } },
+      },
+    },
+  };
+  if (spec.body) {
+    op.requestBody = {
+      required: true,
+      content: {
+        [spec.contentType || "application/json"]: { schema: spec.body },
+      },
+    };
+  }
+  if (!spec.public) {
+    op.security = [{ sessionToken: [] }, { apiKey: [] }];
+    if (spec.streamToken) op.security.push({ streamToken: [] });
+    op.responses[401] = {
+      description: "Not authenticated",
+      content: { "application/json": { schema: ERROR_RESPONSE } },
+    };
+    op.responses[403] = {
+      description: "Not allowed for this shop",
+      content: { "application/json": { schema: ERROR_RESPONSE } },
+    };
+  }
+  return op;
+}
+
+/**
+ * mounts: [[basePath, router, tag], ...] (an app works as a router too)
+ * Only routes that use validate(spec) appear in the document; every route
+ * needs auth unless its spec says public: true. spec.redirect (a description)
+ * documents a 302 instead of a JSON body; spec.responseType a non-JSON one;
+ * spec.status a success code other than 200 (e.g. 202 for queued jobs);
+ * spec.streamToken that a ?token= stream token works as well.
+ */
+export function buildOpenApi(mounts, info = {}) {
+  const paths = {};
+
+  for (const [base, router, tag] of mounts) {
+    for (const layer of routeLayers(router)) {
+      const spec = layer.route.stack.map((s) => s.handle.spec).find(Boolean);
+      if (!spec) continue;
+
+      const path = toOpenApiPath(`${base}${layer.route.path}`);
+      paths[path] = paths[path] || {};
+      for (const method of Object.keys(layer.route.methods)) {
+        paths[path][method] = operation({
+          ...spec,
+          tags: spec.tags || (tag ? [tag] : undefined),
+        });
+      }
+    }
+  }
+
+  return {
+    openapi: "3.0.3",
+    info: { title: "Autopilot API", version: "1.0.0", ...info },
+    paths,
+    components: {
+      securitySchemes: {
+        sessionToken: {
+          type: "http",
+          scheme: "bearer",
+          bearerFormat: "JWT",
+          description: "Shopify App Bridge session token",
+        },
+        apiKey: { type: "apiKey", in: "header", name: "X-Api-Key" },
+        streamToken: {
+          type: "apiKey",
+          in: "query",
+          name: "token",
+          description: "From POST /api/autopilot/runs/stream-token (for EventSource)",
+        },
+      },
+    },
+  };
+}
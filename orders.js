@@ -0,0 +1,268 @@
+// orders.js
+import { createClient } from "@supabase/supabase-js";
+import { shopifyGetAll } from "./shopifyClient.js";
+import { selectAll } from "./db.js";
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Rolling windows we keep in product_performance
+export const PERFORMANCE_WINDOWS = [7, 30, 90];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 🧾 Store one Shopify order (REST shape) and its line items
+export async function saveOrder(shop, order) {
+  const { error } = await supabase.from("orders").upsert(
+    [
+      {
+        shop_domain: shop,
+        shopify_order_id: order.id,
+        total_price: order.total_price,
+        currency: order.currency,
+        ordered_at: order.created_at,
+        cancelled_at: order.cancelled_at || null,
+      },
+    ],
+    { onConflict: "shop_domain,shopify_order_id" }
+  );
+  if (error) throw error;
+
+  const items = (order.line_items || []).map((li) => ({
+    shop_domain: shop,
+    shopify_order_id: order.id,
+    line_item_id: li.id,
+    product_id: li.product_id,
+    variant_id: li.variant_id,
+    quantity: li.quantity,
+    price: li.price,
+    total_discount: li.total_discount || 0,
+    ordered_at: order.created_at,
+    cancelled: Boolean(order.cancelled_at),
+  }));
+
+  if (items.length) {
+    const { error: itemsErr } = await supabase
+      .from("order_line_items")
+      .upsert(items, { onConflict: "shop_domain,line_item_id" });
+    if (itemsErr) throw itemsErr;
+  }
+}
+
+// 📥 Pull orders from Shopify: full backfill, or incremental since last sync
+export async function ingestOrders(shop, token, { backfillDays = null } = {}) {
+  const startedAt = new Date().toISOString();
+
+  const { data: shopRow, error: shopErr } = await supabase
+    .from("shops")
+    .select("orders_synced_at")
+    .eq("shop_domain", shop)
+    .single();
+  if (shopErr) throw shopErr;
+
+  const params = new URLSearchParams({ status: "any", limit: "250" });
+  if (backfillDays || !shopRow.orders_synced_at) {
+    const days = backfillDays || PERFORMANCE_WINDOWS.at(-1);
+    params.set("created_at_min", new Date(Date.now() - days * DAY_MS).toISOString());
+  } else {
+    // updated_at catches edits and cancellations on older orders too
+    params.set("updated_at_min", shopRow.orders_synced_at);
+  }
+
+  const orders = await shopifyGetAll(shop, token, `orders.json?${params}`, "orders");
+
+  for (const order of orders) {
+    await saveOrder(shop, order);
+  }
+
+  const { error: upErr } = await supabase
+    .from("shops")
+    .update({ orders_synced_at: startedAt })
+    .eq("shop_domain", shop);
+  if (upErr) throw upErr;
+
+  console.log(`📥 Ingested ${orders.length} orders for ${shop}`);
+  return orders.length;
+}
+
+// 💷 Copy unit cost from Shopify inventory items onto product_variants
+export async function refreshVariantCosts(shop, token) {
+  const variants = await selectAll(() =>
+    supabase
+      .from("product_variants")
+      .select("shopify_product_id, shopify_variant_id, inventory_item_id")
+      .eq("shop_domain", shop)
+      .not("inventory_item_id", "is", null)
+      .order("shopify_variant_id", { ascending: true })
+  );
+
+  let updated = 0;
+  for (let i = 0; i < variants.length; i += 100) {
+    const batch = variants.slice(i, i + 100);
+    const items = await shopifyGetAll(
+      shop,
+      token,
+      `inventory_items.json?limit=100&ids=${batch.map((v) => v.inventory_item_id).join(",")}`,
+      "inventory_items"
+    );
+    const costs = new Map(items.map((it) => [String(it.id), it.cost]));
+
+    const rows = batch
+      .filter((v) => costs.has(String(v.inventory_item_id)))
+      .map((v) => ({
+        shop_domain: shop,
+        shopify_product_id: v.shopify_product_id,
+        shopify_variant_id: v.shopify_variant_id,
+        unit_cost: costs.get(String(v.inventory_item_id)),
+      }));
+
+    if (rows.length) {
+      const { error } = await supabase
+        .from("product_variants")
+        .upsert(rows, { onConflict: "shop_domain,shopify_variant_id" });
+      if (error) throw error;
+      updated += rows.length;
+    }
+  }
+
+  return updated;
+}
+
+// 📊 Rebuild product_performance for every rolling window from stored orders:
+// one product-level row (variant_id null) per product, plus one row per
+// variant that sold. Sessions are only tracked per product, so conversion
+// rate is product-level only.
+export async function computePerformance(shop, now = new Date()) {
+  const longest = Math.max(...PERFORMANCE_WINDOWS);
+  const since = new Date(now.getTime() - longest * DAY_MS);
+
+  const items = await selectAll(() =>
+    supabase
+      .from("order_line_items")
+      .select("shopify_order_id, product_id, variant_id, quantity, price, total_discount, ordered_at")
+      .eq("shop_domain", shop)
+      .eq("cancelled", false)
+      .gte("ordered_at", since.toISOString())
+      .order("line_item_id", { ascending: true })
+  );
+
+  const variants = await selectAll(() =>
+    supabase
+      .from("product_variants")
+      .select("shopify_variant_id, unit_cost")
+      .eq("shop_domain", shop)
+      .order("shopify_variant_id", { ascending: true })
+  );
+  const unitCost = new Map(
+    variants
+      .filter((v) => v.unit_cost != null)
+      .map((v) => [String(v.shopify_variant_id), parseFloat(v.unit_cost)])
+  );
+
+  // Sessions are optional — only stores that feed product_sessions get a CR
+  const sessionsRows = await selectAll(() =>
+    supabase
+      .from("product_sessions")
+      .select("product_id, date, sessions")
+      .eq("shop_domain", shop)
+      .gte("date", since.toISOString().split("T")[0])
+      .order("product_id", { ascending: true })
+      .order("date", { ascending: true })
+  );
+
+  const rows = [];
+  for (const windowDays of PERFORMANCE_WINDOWS) {
+    const windowStart = now.getTime() - windowDays * DAY_MS;
+    const stats = new Map();
+    const statsFor = (productId, variantId = null) => {
+      const key = `${productId}:${variantId ?? ""}`;
+      if (!stats.has(key)) {
+        stats.set(key, {
+          productId: String(productId),
+          variantId: variantId == null ? null : String(variantId),
+          units: 0,
+          revenue: 0,
+          cost: 0,
+          costedRevenue: 0,
+          orders: new Set(),
+          sessions: 0,
+        });
+      }
+      return stats.get(key);
+    };
+
+    for (const li of items) {
+      if (!li.product_id || new Date(li.ordered_at).getTime() < windowStart) continue;
+
+      const revenue =
+        parseFloat(li.price) * li.quantity - parseFloat(li.total_discount || 0);
+      const cost = unitCost.get(String(li.variant_id));
+
+      const targets = [statsFor(li.product_id)];
+      if (li.variant_id) targets.push(statsFor(li.product_id, li.variant_id));
+      for (const s of targets) {
+        s.units += li.quantity;
+        s.revenue += revenue;
+        s.orders.add(String(li.shopify_order_id));
+
+        // Margin only counts revenue we know the cost for
+        if (cost != null) {
+          s.cost += cost * li.quantity;
+          s.costedRevenue += revenue;
+        }
+      }
+    }
+
+    for (const row of sessionsRows) {
+      if (new Date(row.date).getTime() < windowStart - DAY_MS) continue;
+      statsFor(row.product_id).sessions += row.sessions || 0;
+    }
+
+    for (const s of stats.values()) {
+      rows.push({
+        shop_domain: shop,
+        product_id: s.productId,
+        variant_id: s.variantId,
+        window_days: windowDays,
+        units_sold: s.units,
+        orders_count: s.orders.size,
+        revenue: Math.round(s.revenue * 100) / 100,
+        profit_margin:
+          s.costedRevenue > 0
+            ? Math.round(((s.costedRevenue - s.cost) / s.costedRevenue) * 10000) / 10000
+            : null,
+        sessions: s.sessions || null,
+        conversion_rate:
+          s.sessions > 0
+            ? Math.round((s.orders.size / s.sessions) * 10000) / 10000
+            : null,
+        computed_at: now.toISOString(),
+      });
+    }
+  }
+
+  // Product-level rows have a null variant_id, which never conflicts, so they
+  // are inserted afresh each time; the delete below clears the previous ones
+  for (let i = 0; i < rows.length; i += 500) {
+    const { error } = await supabase
+      .from("product_performance")
+      .upsert(rows.slice(i, i + 500), {
+        onConflict: "shop_domain,product_id,variant_id,window_days",
+      });
+    if (error) throw error;
+  }
+
+  // Older rows, and products with no sales left in any window, keep no stale numbers
+  const { error: staleErr } = await supabase
+    .from("product_performance")
+    .delete()
+    .eq("shop_domain", shop)
+    .in("window_days", PERFORMANCE_WINDOWS)
+    .lt("computed_at", now.toISOString());
+  if (staleErr) throw staleErr;
+
+  console.log(`📊 Performance computed for ${shop}: ${rows.length} rows`);
+  return rows.length;
+}
@@ -1,6 +1,15 @@
 // performance.js
 import express from "express";
 import { createClient } from "@supabase/supabase-js";
+import {
+  PERFORMANCE_WINDOWS,
+  ingestOrders,
+  refreshVariantCosts,
+  computePerformance,
+} from "./orders.js";
+import { statusForShopifyError } from "./shopifyClient.js";
+import { validate } from "./validation.js";
+import { ROWS, SHOP, object, okResponse } from "./schemas.js";
 
 const router = express.Router();
 
@@ -9,31 +18,94 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-// 📊 List performance metrics for a shop
-router.get("/list", async (req, res) => {
-  const shop = req.query.shop;
+// Helper: get token for shop
+async function getToken(shop_domain) {
+  const { data, error } = await supabase
+    .from("shops")
+    .select("access_token")
+    .eq("shop_domain", shop_domain)
+    .single();
+  if (error) throw error;
+  return data.access_token;
+}
 
-  if (!shop) {
-    return res.status(400).json({ ok: false, error: "Missing shop query param" });
+// 📊 List performance metrics for a shop (?window=7|30|90, default 30)
+router.get(
+  "/list",
+  validate({
+    summary:
+      "Performance metrics for a window: one row per product (variant_id null) and one per variant that sold",
+    query: object({
+      shop: SHOP,
+      window: { type: "integer", enum: PERFORMANCE_WINDOWS, description: "days, default 30" },
+    }),
+    response: okResponse({
+      window: { type: "integer" },
+      count: { type: "integer" },
+      performance: ROWS,
+    }),
+  }),
+  async (req, res) => {
+    const shop = req.query.shop;
+    const windowDays = req.query.window || 30;
+
+    try {
+      const { data, error } = await supabase
+        .from("product_performance")
+        .select("*")
+        .eq("shop_domain", shop)
+        .eq("window_days", windowDays);
+
+      if (error) throw error;
+
+      res.json({
+        ok: true,
+        window: windowDays,
+        count: data?.length || 0,
+        performance: data || [],
+      });
+    } catch (err) {
+      console.error("❌ Performance error:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
   }
+);
 
-  try {
-    const { data, error } = await supabase
-      .from("product_performance")
-      .select("*")
-      .eq("shop_domain", shop);
-
-    if (error) throw error;
-
-    res.json({
-      ok: true,
-      count: data?.length || 0,
-      performance: data || [],
-    });
-  } catch (err) {
-    console.error("❌ Performance error:", err.message);
-    res.status(500).json({ ok: false, error: err.message });
+// 🔄 Pull new orders + item costs from Shopify and rebuild performance
+// POST /api/performance/refresh { shop, backfill_days? }
+router.post(
+  "/refresh",
+  validate({
+    summary: "Pull new orders and costs from Shopify and rebuild performance",
+    body: object({
+      shop: SHOP,
+      backfill_days: { type: "integer", minimum: 1, maximum: 365, nullable: true },
+    }),
+    response: okResponse({
+      orders_ingested: { type: "integer" },
+      costs_updated: { type: "integer" },
+      performance_rows: { type: "integer" },
+    }),
+  }),
+  async (req, res) => {
+    const { shop, backfill_days } = req.body;
+
+    try {
+      const token = await getToken(shop);
+      if (!token) return res.status(401).json({ ok: false, error: "No token for this shop" });
+
+      const orders = await ingestOrders(shop, token, {
+        backfillDays: backfill_days || null,
+      });
+      const costs = await refreshVariantCosts(shop, token);
+      const rows = await computePerformance(shop);
+
+      res.json({ ok: true, orders_ingested: orders, costs_updated: costs, performance_rows: rows });
+    } catch (err) {
+      console.error("❌ Performance refresh error:", err.message);
+      res.status(statusForShopifyError(err)).json({ ok: false, error: err.message });
+    }
   }
-});
+);
 
 export default router;
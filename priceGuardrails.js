@@ -0,0 +1,104 @@
+// priceGuardrails.js
+// Pure clamping logic (no DB / network) for proposed prices.
+//
+// Guardrail fields (per shop, optionally overridden per product):
+//   min_margin           minimum (price - unit_cost) / price, e.g. 0.15
+//   floor_price          absolute lowest price
+//   ceiling_price        absolute highest price
+//   max_change_day_pct   max cumulative move vs. the price at the start of today
+//   max_change_week_pct  max cumulative move vs. the price 7 days ago
+
+export const GUARDRAIL_FIELDS = [
+  "min_margin",
+  "floor_price",
+  "ceiling_price",
+  "max_change_day_pct",
+  "max_change_week_pct",
+];
+
+// Never sell below cost unless a shop says otherwise
+export const DEFAULT_GUARDRAILS = {
+  min_margin: 0,
+  floor_price: null,
+  ceiling_price: null,
+  max_change_day_pct: null,
+  max_change_week_pct: null,
+};
+
+// Shop defaults, then shop row, then product row (non-null fields win)
+export function resolveGuardrails(shopRow, productRow) {
+  const resolved = { ...DEFAULT_GUARDRAILS };
+  for (const row of [shopRow, productRow]) {
+    if (!row) continue;
+    for (const field of GUARDRAIL_FIELDS) {
+      if (row[field] != null) resolved[field] = parseFloat(row[field]);
+    }
+  }
+  return resolved;
+}
+
+// Returns a list of problems (empty = valid)
+export function validateGuardrails(g) {
+  const errors = [];
+  const num = (v) => typeof v === "number" && Number.isFinite(v);
+
+  if (g.min_margin != null && (!num(g.min_margin) || g.min_margin < 0 || g.min_margin >= 1)) {
+    errors.push("min_margin must be a number from 0 up to (not including) 1");
+  }
+  for (const field of ["floor_price", "ceiling_price"]) {
+    if (g[field] != null && (!num(g[field]) || g[field] <= 0)) {
+      errors.push(`${field} must be a positive number`);
+    }
+  }
+  if (g.floor_price != null && g.ceiling_price != null && g.floor_price > g.ceiling_price) {
+    errors.push("floor_price cannot be above ceiling_price");
+  }
+  for (const field of ["max_change_day_pct", "max_change_week_pct"]) {
+    if (g[field] != null && (!num(g[field]) || g[field] <= 0 || g[field] > 100)) {
+      errors.push(`${field} must be between 0 and 100`);
+    }
+  }
+  return errors;
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Clamp a proposed price.
+ *   proposed   price from the pricing rules
+ *   guardrails resolved guardrail values
+ *   context    { unitCost, dayStartPrice, weekStartPrice }
+ * Returns { price, limited_by: [guardrail names that moved the price] }.
+ * Order: change limits, then floor/ceiling, then min margin — losing money
+ * is the one limit nothing else may override.
+ */
+export function applyGuardrails(proposed, guardrails, context = {}) {
+  const limitedBy = [];
+  let price = proposed;
+
+  const clamp = (name, lo, hi) => {
+    const next = Math.min(Math.max(price, lo ?? -Infinity), hi ?? Infinity);
+    if (next !== price) {
+      price = next;
+      limitedBy.push(name);
+    }
+  };
+
+  const bandFor = (ref, pct) =>
+    ref != null && pct != null
+      ? [ref * (1 - pct / 100), ref * (1 + pct / 100)]
+      : [null, null];
+
+  clamp("max_change_day", ...bandFor(context.dayStartPrice, guardrails.max_change_day_pct));
+  clamp("max_change_week", ...bandFor(context.weekStartPrice, guardrails.max_change_week_pct));
+  clamp("floor_price", guardrails.floor_price, null);
+  clamp("ceiling_price", null, guardrails.ceiling_price);
+
+  if (context.unitCost != null && guardrails.min_margin != null) {
+    // Round up to the cent so the margin really holds
+    const minPrice = Math.ceil((context.unitCost / (1 - guardrails.min_margin)) * 100) / 100;
+    clamp("min_margin", minPrice, null);
+  }
+
+  return { price: round2(price), limited_by: limitedBy };
+}
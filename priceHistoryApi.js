@@ -0,0 +1,272 @@
+// priceHistoryApi.js
+import express from "express";
+import { createClient } from "@supabase/supabase-js";
+import { updateVariantPrice } from "./shopify.js";
+import { transitionAction } from "./aiActionLifecycle.js";
+import { priceChangePct } from "./feedbackModel.js";
+import { enqueueJob } from "./jobQueue.js";
+import { selectAll } from "./db.js";
+import { validate } from "./validation.js";
+import { ID, ROW, ROWS, SHOP, SHOPIFY_ID, object, okResponse } from "./schemas.js";
+
+const router = express.Router();
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// A revert outweighs a plain rejection when learning from feedback
+const REVERT_FEEDBACK_WEIGHT = 3;
+
+const REVERT_RESULT = object({
+  ok: { type: "boolean" },
+  action_id: ID,
+  product_id: SHOPIFY_ID,
+  restored_price: { type: "number" },
+  error: { type: "string" },
+});
+
+// Helper: price we currently hold locally for the variant (or product)
+async function currentLocalPrice(shop, productId, variantId) {
+  const { data, error } = variantId
+    ? await supabase
+        .from("product_variants")
+        .select("price")
+        .eq("shop_domain", shop)
+        .eq("shopify_variant_id", variantId)
+        .maybeSingle()
+    : await supabase
+        .from("products")
+        .select("price")
+        .eq("shop_domain", shop)
+        .eq("shopify_product_id", productId)
+        .maybeSingle();
+  if (error) throw error;
+  return data ? parseFloat(data.price) : null;
+}
+
+// ⏪ Put one price_applied action back to its old price.
+// Returns { ok, action_id, status?, error?, restored_price? }
+async function revertAppliedAction(shop, action) {
+  const base = { action_id: action.id, product_id: action.product_id };
+
+  if (action.action !== "price_applied") {
+    return { ...base, ok: false, status: 400, error: "Only price_applied actions can be reverted" };
+  }
+  if (action.status === "reverted") {
+    return { ...base, ok: false, status: 409, error: "Action already reverted" };
+  }
+
+  const oldPrice = parseFloat(action.details?.old_price);
+  const appliedPrice = parseFloat(action.details?.new_price);
+  const variantId = action.variant_id ?? action.details?.variant_id ?? null;
+  if (!Number.isFinite(oldPrice)) {
+    return { ...base, ok: false, status: 422, error: "Action has no old_price to restore" };
+  }
+
+  // Don't clobber a price someone changed after autopilot did
+  const current = await currentLocalPrice(shop, action.product_id, variantId);
+  if (current != null && Number.isFinite(appliedPrice) && current !== appliedPrice) {
+    return {
+      ...base,
+      ok: false,
+      status: 409,
+      error: `Price changed since it was applied (now £${current})`,
+    };
+  }
+
+  const result = await updateVariantPrice({
+    shop,
+    product_id: action.product_id,
+    variant_id: variantId,
+    new_price: oldPrice,
+    expected_price: Number.isFinite(appliedPrice) ? appliedPrice : null,
+    source: "rollback",
+    action_id: action.id,
+    run_id: action.run_id ?? null,
+  });
+  if (!result.ok) {
+    return { ...base, ok: false, status: result.status, error: result.error };
+  }
+
+  if (!(await transitionAction(action.id, "reverted"))) {
+    console.error(`⚠️ Failed to mark action ${action.id} reverted`);
+  }
+
+  const { error: feedbackErr } = await supabase.from("ai_feedback").insert([
+    {
+      shop_domain: shop,
+      product_id: action.product_id,
+      variant_id: variantId,
+      action: "price_adjustment",
+      feedback: "rejected",
+      weight: REVERT_FEEDBACK_WEIGHT,
+      change_pct: priceChangePct(action.details),
+      reason: "Applied price change was reverted",
+    },
+  ]);
+  if (feedbackErr) console.error("⚠️ Failed to record revert feedback:", feedbackErr.message);
+
+  console.log(`⏪ Reverted ${action.product_id} to £${oldPrice} (action ${action.id})`);
+  return { ...base, ok: true, restored_price: oldPrice };
+}
+
+/**
+ * Revert every price change a run applied, one by one (the price_revert_run
+ * job). Each revert is a Shopify call, so a big run takes a while.
+ * job: optional job context for progress + cancellation between actions.
+ * Returns { run_id, total, reverted, failed, results }.
+ */
+export async function revertRun(shop, runId, { job = null } = {}) {
+  const actions = await selectAll(() =>
+    supabase
+      .from("ai_actions")
+      .select("*")
+      .eq("shop_domain", shop)
+      .eq("run_id", runId)
+      .eq("action", "price_applied")
+      .eq("status", "completed")
+      .order("id", { ascending: true })
+  );
+
+  const results = [];
+  for (const action of actions) {
+    // Progress writes also pick up a cancel, so check after reporting
+    await job?.progress({ phase: "reverting", done: results.length, total: actions.length });
+    job?.throwIfCancelled();
+
+    try {
+      const { status, ...result } = await revertAppliedAction(shop, action);
+      results.push(result);
+    } catch (err) {
+      results.push({
+        ok: false,
+        action_id: action.id,
+        product_id: action.product_id,
+        error: err.message,
+      });
+    }
+  }
+  await job?.progress({ phase: "done", done: results.length, total: actions.length });
+
+  const reverted = results.filter((r) => r.ok).length;
+  console.log(`⏪ Run ${runId}: reverted ${reverted}/${results.length} price changes`);
+  return {
+    run_id: runId,
+    total: results.length,
+    reverted,
+    failed: results.length - reverted,
+    results,
+  };
+}
+
+// 📜 GET /api/prices/history?shop=...&product_id=&variant_id=&limit=
+router.get(
+  "/history",
+  validate({
+    summary: "Price change history, newest first",
+    query: object({
+      shop: SHOP,
+      product_id: SHOPIFY_ID,
+      variant_id: SHOPIFY_ID,
+      limit: { type: "integer", minimum: 1, maximum: 500 },
+    }),
+    response: okResponse({ count: { type: "integer" }, history: ROWS }),
+  }),
+  async (req, res) => {
+    const { shop, product_id, variant_id } = req.query;
+    const limit = req.query.limit || 100;
+
+    try {
+      let query = supabase
+        .from("price_history")
+        .select("*")
+        .eq("shop_domain", shop)
+        .order("created_at", { ascending: false })
+        .limit(limit);
+      if (product_id) query = query.eq("product_id", product_id);
+      if (variant_id) query = query.eq("variant_id", variant_id);
+
+      const { data, error } = await query;
+      if (error) throw error;
+
+      res.json({ ok: true, count: data.length, history: data });
+    } catch (err) {
+      console.error("❌ Price history error:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  }
+);
+
+// ⏪ POST /api/prices/revert { shop, action_id }
+router.post(
+  "/revert",
+  validate({
+    summary: "Restore the price from before an applied action",
+    body: object({ shop: SHOP, action_id: ID }, ["action_id"]),
+    response: REVERT_RESULT,
+  }),
+  async (req, res) => {
+    const { shop, action_id } = req.body;
+
+    try {
+      const { data: action, error } = await supabase
+        .from("ai_actions")
+        .select("*")
+        .eq("id", action_id)
+        .eq("shop_domain", shop)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!action) {
+        return res.status(404).json({ ok: false, error: "Action not found" });
+      }
+
+      const { status, ...result } = await revertAppliedAction(shop, action);
+      res.status(result.ok ? 200 : status).json(result);
+    } catch (err) {
+      console.error("❌ Revert error:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  }
+);
+
+// ⏪ POST /api/prices/revert-run { shop, run_id } — undo everything one run
+// applied. Queued as a price_revert_run job; the outcome per action ends up
+// in the job's result (GET /api/jobs/get)
+router.post(
+  "/revert-run",
+  validate({
+    summary: "Queue reverting every applied price change from an autopilot run",
+    status: 202,
+    body: object({ shop: SHOP, run_id: ID }, ["run_id"]),
+    response: okResponse({ job: ROW }),
+  }),
+  async (req, res) => {
+    const { shop, run_id } = req.body;
+
+    try {
+      const { data: run, error } = await supabase
+        .from("autopilot_runs")
+        .select("id")
+        .eq("id", run_id)
+        .eq("shop_domain", shop)
+        .maybeSingle();
+      if (error) throw error;
+      if (!run) {
+        return res.status(404).json({ ok: false, error: "Run not found" });
+      }
+
+      // Each revert checks the live price first, but a retry after a partial
+      // failure is the caller's call — no automatic retries
+      const job = await enqueueJob(shop, "price_revert_run", { run_id }, { maxAttempts: 1 });
+      res.status(202).json({ ok: true, job });
+    } catch (err) {
+      console.error("❌ Run revert error:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,319 @@
+// pricingRules.js
+// Pure pricing logic (no DB / network) — shared by the engine and the backtest.
+//
+// A rule is data:
+//   {
+//     name: "low_inventory",
+//     kind: "price" | "ad_boost",
+//     enabled: true,
+//     priority: 30,               // applied in ascending order, higher = later
+//     condition: { all: [{ field: "inventory.quantity", op: "<", value: 5 }] },
+//     adjustment: { type: "percent" | "amount", value: 10 },   // price rules only
+//                 { type: "event" } uses the matching events' uplift (seasonalPricing.js)
+//     stacking: "replace" | "stack",
+//     reason: "Low inventory, increasing price slightly to protect margin.",
+//   }
+// "replace" throws away what earlier rules did (the old if-chain behaviour),
+// "stack" compounds on top of it. Reasons may use {field.path} placeholders.
+
+import { eventIsLive, resolveEventUplift } from "./seasonalPricing.js";
+
+export const RULE_KINDS = ["price", "ad_boost"];
+export const STACKING = ["replace", "stack"];
+export const ADJUSTMENT_TYPES = ["percent", "amount", "event"];
+export const OPERATORS = [">", ">=", "<", "<=", "==", "!=", "in", "contains", "exists"];
+export const FIELD_ROOTS = ["product", "performance", "inventory", "event"];
+
+// 🧩 The rules every shop gets until it saves its own (same as the old hard-coded logic)
+export const DEFAULT_RULES = [
+  {
+    name: "high_demand",
+    kind: "price",
+    enabled: true,
+    priority: 10,
+    condition: {
+      all: [
+        { field: "performance.profit_margin", op: ">", value: 0.25 },
+        { field: "performance.conversion_rate", op: ">", value: 0.08 },
+      ],
+    },
+    adjustment: { type: "percent", value: 8 },
+    stacking: "replace",
+    reason: "High conversion rate and good profit margin suggest strong demand.",
+  },
+  {
+    name: "low_conversion",
+    kind: "price",
+    enabled: true,
+    priority: 20,
+    condition: {
+      all: [{ field: "performance.conversion_rate", op: "<", value: 0.02 }],
+    },
+    adjustment: { type: "percent", value: -5 },
+    stacking: "replace",
+    reason: "Low conversion rate indicates price may be too high.",
+  },
+  {
+    name: "low_inventory",
+    kind: "price",
+    enabled: true,
+    priority: 30,
+    condition: { all: [{ field: "inventory.quantity", op: "<", value: 5 }] },
+    adjustment: { type: "percent", value: 10 },
+    stacking: "replace",
+    reason: "Low inventory, increasing price slightly to protect margin.",
+  },
+  {
+    name: "seasonal_event",
+    kind: "price",
+    enabled: true,
+    priority: 40,
+    condition: { all: [{ field: "event.matches", op: "==", value: true }] },
+    adjustment: { type: "event" },
+    stacking: "replace",
+    reason: "Relevant to {event.name}, adjusting price by {event.uplift_pct}% for the season.",
+  },
+  {
+    name: "ad_boost",
+    kind: "ad_boost",
+    enabled: true,
+    priority: 10,
+    condition: {
+      all: [
+        { field: "performance.conversion_rate", op: ">", value: 0.05 },
+        { field: "performance.profit_margin", op: ">", value: 0.2 },
+      ],
+    },
+    stacking: "replace",
+    reason: "Strong performance — recommend increasing ad budget for this product.",
+  },
+];
+
+// ---- Context + conditions ----
+
+// Everything a condition can look at, grouped by FIELD_ROOTS
+// events: every candidate event (or one, or null); options: { on, overlap }
+export function buildContext(product, performance, events, options = {}) {
+  const live = [].concat(events || []).filter((e) => eventIsLive(e, options.on));
+  const uplift = resolveEventUplift(live, product, options);
+
+  return {
+    product: {
+      title: product.title,
+      price: parseFloat(product.price),
+      product_type: product.product_type,
+      vendor: product.vendor,
+      tags: product.tags,
+      collections: product.collections,
+      status: product.status,
+    },
+    performance: performance || {},
+    inventory: { quantity: product.inventory_quantity },
+    event: {
+      active: live.length > 0,
+      name: uplift.name,
+      matches: uplift.matches,
+      uplift_pct: uplift.uplift_pct,
+      count: uplift.events.length,
+    },
+  };
+}
+
+function getField(ctx, path) {
+  return path.split(".").reduce((obj, key) => obj?.[key], ctx);
+}
+
+// Missing values never match a comparison (unknown CR is not a low CR)
+function testLeaf(ctx, { field, op, value }) {
+  const actual = getField(ctx, field);
+  if (op === "exists") return (actual != null) === (value !== false);
+  if (actual == null) return false;
+
+  switch (op) {
+    case ">": return actual > value;
+    case ">=": return actual >= value;
+    case "<": return actual < value;
+    case "<=": return actual <= value;
+    case "==": return actual === value;
+    case "!=": return actual !== value;
+    case "in": return Array.isArray(value) && value.includes(actual);
+    case "contains":
+      return Array.isArray(actual)
+        ? actual.includes(value)
+        : String(actual).toLowerCase().includes(String(value).toLowerCase());
+    default: return false;
+  }
+}
+
+export function testCondition(ctx, condition) {
+  if (!condition) return true;
+  if (condition.all) return condition.all.every((c) => testCondition(ctx, c));
+  if (condition.any) return condition.any.some((c) => testCondition(ctx, c));
+  return testLeaf(ctx, condition);
+}
+
+function interpolate(text, ctx) {
+  return String(text || "").replace(/\{([\w.]+)\}/g, (_m, path) =>
+    String(getField(ctx, path) ?? "")
+  );
+}
+
+// Enabled rules of one kind, in application order
+function activeRules(rules, kind) {
+  return rules
+    .map((rule, index) => ({ rule, index }))
+    .filter(({ rule }) => rule.enabled !== false && (rule.kind || "price") === kind)
+    .sort((a, b) => (a.rule.priority ?? 0) - (b.rule.priority ?? 0) || a.index - b.index)
+    .map(({ rule }) => rule);
+}
+
+// ---- Validation ----
+
+function validateCondition(condition, path, errors) {
+  if (!condition || typeof condition !== "object") {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  if (condition.all || condition.any) {
+    const list = condition.all || condition.any;
+    if (!Array.isArray(list) || !list.length) {
+      errors.push(`${path}.${condition.all ? "all" : "any"} must be a non-empty array`);
+      return;
+    }
+    list.forEach((c, i) =>
+      validateCondition(c, `${path}.${condition.all ? "all" : "any"}[${i}]`, errors)
+    );
+    return;
+  }
+
+  const root = String(condition.field || "").split(".")[0];
+  if (!FIELD_ROOTS.includes(root) || !String(condition.field).includes(".")) {
+    errors.push(`${path}.field must start with one of ${FIELD_ROOTS.join(", ")}`);
+  }
+  if (!OPERATORS.includes(condition.op)) {
+    errors.push(`${path}.op must be one of ${OPERATORS.join(" ")}`);
+  }
+  if (condition.op === "in" && !Array.isArray(condition.value)) {
+    errors.push(`${path}.value must be an array for "in"`);
+  }
+  if (condition.op !== "exists" && condition.value === undefined) {
+    errors.push(`${path}.value is required`);
+  }
+}
+
+// Returns a list of problems (empty = valid)
+export function validateRule(rule) {
+  const errors = [];
+  if (!rule || typeof rule !== "object") return ["rule must be an object"];
+
+  if (typeof rule.name !== "string" || !rule.name.trim()) {
+    errors.push("name is required");
+  }
+  const kind = rule.kind || "price";
+  if (!RULE_KINDS.includes(kind)) {
+    errors.push(`kind must be one of ${RULE_KINDS.join(", ")}`);
+  }
+  if (rule.priority != null && !Number.isInteger(rule.priority)) {
+    errors.push("priority must be an integer");
+  }
+  if (rule.stacking != null && !STACKING.includes(rule.stacking)) {
+    errors.push(`stacking must be one of ${STACKING.join(", ")}`);
+  }
+  validateCondition(rule.condition, "condition", errors);
+
+  if (kind === "price") {
+    const adj = rule.adjustment;
+    if (!adj || !ADJUSTMENT_TYPES.includes(adj.type)) {
+      errors.push(`adjustment.type must be one of ${ADJUSTMENT_TYPES.join(", ")}`);
+    } else if (adj.type === "event") {
+      // value comes from the events themselves
+    } else if (typeof adj.value !== "number" || !Number.isFinite(adj.value)) {
+      errors.push("adjustment.value must be a number");
+    } else if (adj.type === "percent" && (adj.value <= -90 || adj.value > 100)) {
+      errors.push("adjustment.value (percent) must be between -90 and 100");
+    }
+  }
+
+  return errors;
+}
+
+// Validate a whole rule set; names must be unique
+export function validateRuleSet(rules) {
+  if (!Array.isArray(rules)) return [{ index: null, errors: ["rules must be an array"] }];
+
+  const seen = new Set();
+  return rules
+    .map((rule, index) => {
+      const errors = validateRule(rule);
+      if (rule?.name && seen.has(rule.name)) errors.push(`duplicate rule name "${rule.name}"`);
+      if (rule?.name) seen.add(rule.name);
+      return { index, name: rule?.name ?? null, errors };
+    })
+    .filter((r) => r.errors.length);
+}
+
+// ---- Evaluation ----
+
+// 🧠 Generate a reasoning string from the rules that matched
+export function generateReason(matched, newPrice, oldPrice, ctx) {
+  const change = newPrice > oldPrice ? "increase" : "decrease";
+  const parts = [`Price ${change} from £${oldPrice} to £${newPrice}.`];
+  for (const rule of matched) {
+    if (rule.reason) parts.push(interpolate(rule.reason, ctx));
+  }
+  return parts.join(" ");
+}
+
+// 🧮 Calculate the optimal price (uses rules + performance + events + risk)
+// Returns { price, rule, matched, ctx } — rule is the last rule that changed
+// the price (or null), matched every price rule whose condition held.
+// options: { on = today, overlap } for the seasonal events
+export function calculateOptimalPrice(
+  product,
+  performance,
+  events,
+  risk_level,
+  rules = DEFAULT_RULES,
+  options = {}
+) {
+  const price = parseFloat(product.price);
+  const ctx = buildContext(product, performance, events, options);
+  let newPrice = price;
+  let rule = null;
+  const matched = [];
+
+  for (const r of activeRules(rules, "price")) {
+    if (!testCondition(ctx, r.condition)) continue;
+    matched.push(r);
+
+    const from = r.stacking === "stack" ? newPrice : price;
+    const pct =
+      r.adjustment.type === "event" ? ctx.event.uplift_pct : r.adjustment.value;
+    newPrice =
+      r.adjustment.type === "amount"
+        ? from + r.adjustment.value
+        : from * (1 + pct / 100);
+    rule = r.name;
+  }
+
+  // Risk tuning
+  if (risk_level === "safe") {
+    // Soften moves
+    newPrice = price + (newPrice - price) * 0.5;
+  } else if (risk_level === "aggressive") {
+    // Amplify moves
+    newPrice = price + (newPrice - price) * 1.5;
+  }
+
+  // Round to 2 decimals
+  return { price: Math.round(newPrice * 100) / 100, rule, matched, ctx };
+}
+
+// 📣 First matching ad-boost rule (or null)
+export function evaluateAdBoost(product, performance, rules = DEFAULT_RULES) {
+  const ctx = buildContext(product, performance, null);
+  const hit = activeRules(rules, "ad_boost").find((r) =>
+    testCondition(ctx, r.condition)
+  );
+  return hit ? { rule: hit.name, reason: interpolate(hit.reason, ctx) } : null;
+}
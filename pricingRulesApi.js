@@ -0,0 +1,252 @@
+// pricingRulesApi.js
+import express from "express";
+import { createClient } from "@supabase/supabase-js";
+import { DEFAULT_RULES, RULE_KINDS, STACKING, validateRuleSet } from "./pricingRules.js";
+import { validate } from "./validation.js";
+import { ID, ROW, ROWS, SHOP, SHOP_BODY, SHOP_QUERY, object, okResponse } from "./schemas.js";
+
+const router = express.Router();
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const RULE_FIELDS = [
+  "name",
+  "kind",
+  "enabled",
+  "priority",
+  "condition",
+  "adjustment",
+  "stacking",
+  "reason",
+];
+
+// Shape only; validateRuleSet() checks conditions and adjustments in depth
+const RULE = object({
+  name: { type: "string", minLength: 1 },
+  kind: { type: "string", enum: RULE_KINDS },
+  enabled: { type: "boolean" },
+  priority: { type: "integer" },
+  condition: { type: "object", nullable: true },
+  adjustment: { type: "object" },
+  stacking: { type: "string", enum: STACKING },
+  reason: { type: "string" },
+});
+
+// Helper: keep only the columns a rule is allowed to set
+function pickRule(body = {}) {
+  return Object.fromEntries(
+    RULE_FIELDS.filter((f) => body[f] !== undefined).map((f) => [f, body[f]])
+  );
+}
+
+// Helper: the shop's saved rules
+async function getShopRules(shop) {
+  const { data, error } = await supabase
+    .from("pricing_rules")
+    .select("*")
+    .eq("shop_domain", shop)
+    .order("kind", { ascending: true })
+    .order("priority", { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+// ✅ GET /api/rules/list?shop=... (built-in defaults when none saved)
+router.get(
+  "/list",
+  validate({
+    summary: "List the shop's pricing rules (built-in defaults when none saved)",
+    query: SHOP_QUERY,
+    response: okResponse({ defaults: { type: "boolean" }, rules: ROWS }),
+  }),
+  async (req, res) => {
+    const shop = req.query.shop;
+
+    try {
+      const rules = await getShopRules(shop);
+      res.json({
+        ok: true,
+        defaults: rules.length === 0,
+        rules: rules.length ? rules : DEFAULT_RULES,
+      });
+    } catch (err) {
+      console.error("❌ Rules list error:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  }
+);
+
+// 🔍 POST /api/rules/validate { rules: [...] } or { rule: {...} }
+router.post(
+  "/validate",
+  validate({
+    summary: "Check rules without saving them",
+    body: {
+      anyOf: [
+        object({ rules: { type: "array", items: RULE } }, ["rules"]),
+        object({ rule: RULE }, ["rule"]),
+      ],
+      description: "must have rules or rule",
+    },
+    response: okResponse({ valid: { type: "boolean" }, errors: { type: "array" } }),
+  }),
+  (req, res) => {
+    const rules = req.body.rules ?? [req.body.rule];
+    const errors = validateRuleSet(rules);
+    res.json({ ok: true, valid: errors.length === 0, errors });
+  }
+);
+
+// ➕ POST /api/rules/create { shop, rule }
+router.post(
+  "/create",
+  validate({
+    summary: "Add a pricing rule",
+    body: object({ shop: SHOP, rule: RULE }, ["rule"]),
+    response: okResponse({ rule: ROW }),
+  }),
+  async (req, res) => {
+    const { shop } = req.body;
+    const rule = pickRule(req.body.rule);
+
+    try {
+      // First custom rule: save the defaults too, so they keep applying alongside it
+      const existing = await getShopRules(shop);
+      const seed = existing.length ? [] : DEFAULT_RULES;
+      const errors = validateRuleSet([...existing, ...seed, rule]);
+      if (errors.length) {
+        return res.status(400).json({ ok: false, error: "Invalid rule", errors });
+      }
+
+      const rows = [
+        ...seed,
+        { kind: "price", stacking: "replace", priority: 0, enabled: true, ...rule },
+      ].map((r) => ({ ...r, shop_domain: shop }));
+
+      const { data: inserted, error } = await supabase
+        .from("pricing_rules")
+        .insert(rows)
+        .select();
+      if (error) throw error;
+
+      const data = inserted.find((r) => r.name === rule.name);
+
+      console.log(`📐 Rule "${data.name}" created for ${shop}`);
+      res.json({ ok: true, rule: data });
+    } catch (err) {
+      console.error("❌ Rule create error:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  }
+);
+
+// ✏️ POST /api/rules/update { shop, id, rule: { ...changed fields } }
+router.post(
+  "/update",
+  validate({
+    summary: "Change a saved pricing rule",
+    body: object({ shop: SHOP, id: ID, rule: RULE }, ["id", "rule"]),
+    response: okResponse({ rule: ROW }),
+  }),
+  async (req, res) => {
+    const { shop, id } = req.body;
+    const changes = pickRule(req.body.rule);
+
+    try {
+      const existing = await getShopRules(shop);
+      const current = existing.find((r) => String(r.id) === String(id));
+      if (!current) {
+        return res.status(404).json({ ok: false, error: "Rule not found" });
+      }
+
+      const merged = existing.map((r) => (r === current ? { ...r, ...changes } : r));
+      const errors = validateRuleSet(merged);
+      if (errors.length) {
+        return res.status(400).json({ ok: false, error: "Invalid rule", errors });
+      }
+
+      const { data, error } = await supabase
+        .from("pricing_rules")
+        .update({ ...changes, updated_at: new Date().toISOString() })
+        .eq("id", id)
+        .eq("shop_domain", shop)
+        .select()
+        .single();
+      if (error) throw error;
+
+      res.json({ ok: true, rule: data });
+    } catch (err) {
+      console.error("❌ Rule update error:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  }
+);
+
+// 🗑️ POST /api/rules/delete { shop, id }
+router.post(
+  "/delete",
+  validate({
+    summary: "Delete a saved pricing rule",
+    body: object({ shop: SHOP, id: ID }, ["id"]),
+    response: okResponse(),
+  }),
+  async (req, res) => {
+    const { shop, id } = req.body;
+
+    try {
+      const { data, error } = await supabase
+        .from("pricing_rules")
+        .delete()
+        .eq("id", id)
+        .eq("shop_domain", shop)
+        .select();
+      if (error) throw error;
+      if (!data?.length) {
+        return res.status(404).json({ ok: false, error: "Rule not found" });
+      }
+
+      res.json({ ok: true });
+    } catch (err) {
+      console.error("❌ Rule delete error:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  }
+);
+
+// ♻️ POST /api/rules/reset { shop } — replace the shop's rules with the defaults
+router.post(
+  "/reset",
+  validate({
+    summary: "Drop saved rules and go back to the built-in defaults",
+    body: SHOP_BODY,
+    response: okResponse({ rules: ROWS }),
+  }),
+  async (req, res) => {
+    const { shop } = req.body;
+
+    try {
+      const { error: delErr } = await supabase
+        .from("pricing_rules")
+        .delete()
+        .eq("shop_domain", shop);
+      if (delErr) throw delErr;
+
+      const { data, error } = await supabase
+        .from("pricing_rules")
+        .insert(DEFAULT_RULES.map((r) => ({ ...r, shop_domain: shop })))
+        .select();
+      if (error) throw error;
+
+      console.log(`♻️ Pricing rules reset to defaults for ${shop}`);
+      res.json({ ok: true, rules: data });
+    } catch (err) {
+      console.error("❌ Rule reset error:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  }
+);
+
+export default router;
@@ -1,7 +1,12 @@
 // products.js
 import express from "express";
-import fetch from "node-fetch";
 import { createClient } from "@supabase/supabase-js";
+import { shopifyGetAll } from "./shopifyClient.js";
+import { BULK_POLL_INTERVAL_MS, checkBulkSync, startBulkSync } from "./bulkSync.js";
+import { JobConflictError, enqueueJob } from "./jobQueue.js";
+import { selectAll } from "./db.js";
+import { validate } from "./validation.js";
+import { ROW, ROWS, SHOP, SHOP_QUERY, object, okResponse } from "./schemas.js";
 
 const router = express.Router();
 const supabase = createClient(
@@ -20,54 +25,297 @@ async function getToken(shop_domain) {
   return data.access_token;
 }
 
-// ---- Sync products from Shopify into Supabase ----
-router.get("/sync", async (req, res) => {
-  const shop = req.query.shop || "all-sorts-dropped.myshopify.com";
+function fetchAllProducts(shop, token) {
+  return shopifyGetAll(shop, token, "products.json", "products");
+}
 
-  try {
-    const token = await getToken(shop);
-    if (!token) return res.status(401).json({ ok: false, error: "No token for this shop" });
-
-    // Fetch products from Shopify
-    const response = await fetch(
-      `https://${shop}/admin/api/2025-10/products.json?limit=50`,
-      {
-        headers: {
-          "X-Shopify-Access-Token": token,
-          "Content-Type": "application/json",
-        },
-      }
+// Helper: product id → handles of the (custom + smart) collections it is in
+async function fetchProductCollections(shop, token) {
+  const collections = [
+    ...(await shopifyGetAll(shop, token, "custom_collections.json?fields=id,handle", "custom_collections")),
+    ...(await shopifyGetAll(shop, token, "smart_collections.json?fields=id,handle", "smart_collections")),
+  ];
+
+  const byProduct = new Map();
+  for (const c of collections) {
+    const members = await shopifyGetAll(
+      shop,
+      token,
+      `collections/${c.id}/products.json?fields=id`,
+      "products"
     );
+    for (const m of members) {
+      const key = String(m.id);
+      if (!byProduct.has(key)) byProduct.set(key, []);
+      byProduct.get(key).push(c.handle);
+    }
+  }
+  return byProduct;
+}
 
-    const { products } = await response.json();
-    if (!products) return res.status(404).json({ ok: false, error: "No products returned" });
+// One product_variants row for a Shopify variant payload (REST shape)
+export function variantRow(shop, productId, v) {
+  return {
+    shop_domain: shop,
+    shopify_product_id: productId,
+    shopify_variant_id: v.id,
+    title: v.title,
+    sku: v.sku || null,
+    price: v.price,
+    compare_at_price: v.compare_at_price || null,
+    inventory_item_id: v.inventory_item_id || null,
+    inventory_quantity: v.inventory_quantity || 0,
+    position: v.position,
+  };
+}
+
+// Helper: store every variant of a product and drop ones Shopify removed
+async function syncVariants(shop, product) {
+  const variants = product.variants || [];
+  const rows = variants.map((v) => variantRow(shop, product.id, v));
 
-    // Upsert each product into Supabase
-    for (const p of products) {
-      const price = p.variants?.[0]?.price || null;
-      const qty = p.variants?.[0]?.inventory_quantity || 0;
-      const img = p.image?.src || null;
+  if (rows.length) {
+    const { error } = await supabase
+      .from("product_variants")
+      .upsert(rows, { onConflict: "shop_domain,shopify_variant_id" });
+    if (error) throw error;
+  }
 
-      const { error } = await supabase.rpc("upsert_product", {
-  _shop_domain: shop,
-  _shopify_product_id: p.id,
-  _title: p.title,
-  _status: p.status,
-  _price: price,
-  _inventory_quantity: qty,
-  _image_url: img,
-});
+  const { error: delErr } = await supabase
+    .from("product_variants")
+    .delete()
+    .eq("shop_domain", shop)
+    .eq("shopify_product_id", product.id)
+    .not("shopify_variant_id", "in", `(${variants.map((v) => v.id).join(",") || 0})`);
+  if (delErr) throw delErr;
+}
 
-if (error) console.error("❌ Supabase error:", error.message);
+// Archive products we have locally that a full sync didn't see.
+// known: Map(product id → status) from before the sync; seen: Set of ids synced.
+export async function archiveMissingProducts(shop, known, seen) {
+  const gone = [...known.entries()]
+    .filter(([id, status]) => !seen.has(id) && status !== "archived")
+    .map(([id]) => id);
 
-    }
+  for (let i = 0; i < gone.length; i += 200) {
+    const { error } = await supabase
+      .from("products")
+      .update({ status: "archived" })
+      .eq("shop_domain", shop)
+      .in("shopify_product_id", gone.slice(i, i + 200));
+    if (error) console.error("❌ Archive error:", error.message);
+  }
+  return gone;
+}
+
+// One products row for a Shopify product payload (REST shape): what the
+// upsert_product RPC stores, plus the attributes the rules and the feedback
+// model group products by. collections (handles) are only known during a
+// full sync; omit them to keep the stored ones.
+export function productRow(shop, p, collections) {
+  return {
+    shop_domain: shop,
+    shopify_product_id: p.id,
+    title: p.title,
+    status: p.status,
+    price: p.variants?.[0]?.price || null,
+    inventory_quantity: (p.variants || []).reduce(
+      (sum, v) => sum + (v.inventory_quantity || 0),
+      0
+    ),
+    image_url: p.image?.src || null,
+    product_type: p.product_type || null,
+    vendor: p.vendor || null,
+    tags: (p.tags || "")
+      .split(",")
+      .map((t) => t.trim())
+      .filter(Boolean),
+    ...(collections ? { collections } : {}),
+  };
+}
+
+// Save one Shopify product payload (REST shape) + its variants into Supabase.
+export async function saveProduct(shop, p, collections) {
+  const { product_type, vendor, tags, ...row } = productRow(shop, p, collections);
+
+  const { error } = await supabase.rpc("upsert_product", {
+    _shop_domain: row.shop_domain,
+    _shopify_product_id: row.shopify_product_id,
+    _title: row.title,
+    _status: row.status,
+    _price: row.price,
+    _inventory_quantity: row.inventory_quantity,
+    _image_url: row.image_url,
+  });
+  if (error) throw error;
+
+  const { error: attrErr } = await supabase
+    .from("products")
+    .update({
+      product_type,
+      vendor,
+      tags,
+      ...(collections ? { collections } : {}),
+    })
+    .eq("shop_domain", shop)
+    .eq("shopify_product_id", p.id);
+  if (attrErr) throw attrErr;
+
+  await syncVariants(shop, p);
+}
+
+/**
+ * 🔄 Sync the catalog from Shopify into Supabase (archives products Shopify
+ * no longer has). mode "bulk" runs a GraphQL bulk operation and imports it
+ * once Shopify has built it (tracked in bulk_syncs too); it needs the job,
+ * which pauses between checks. `job` is the job context when run by the
+ * worker: progress is reported as it goes and a cancel stops before archiving.
+ */
+export async function syncProducts(shop, { mode = "rest", job = null } = {}) {
+  const token = await getToken(shop);
+  if (!token) throw new Error("No token for this shop");
+
+  // 📦 Very large catalogs: Shopify builds the export, we import it when it's
+  // ready. Until then the job gives the worker back, keeping the operation id.
+  if (mode === "bulk") {
+    const operationId =
+      job.job.checkpoint?.operation_id ?? (await startBulkSync(shop, token)).operation_id;
+    const sync = await checkBulkSync(shop, token, operationId, { job });
+    if (!sync) return job.later(BULK_POLL_INTERVAL_MS, { operation_id: operationId });
+    return { mode: "bulk", sync };
+  }
+
+  // What we already have locally (to tell created from updated, and find deletions)
+  const existing = await selectAll(() =>
+    supabase
+      .from("products")
+      .select("shopify_product_id, status")
+      .eq("shop_domain", shop)
+      .order("shopify_product_id", { ascending: true })
+  );
 
-    res.json({ ok: true, count: products.length });
+  const known = new Map(existing.map((r) => [String(r.shopify_product_id), r.status]));
 
+  // Fetch the whole catalog from Shopify
+  await job?.progress({ phase: "fetch" });
+  const products = await fetchAllProducts(shop, token);
+
+  // Collection membership feeds seasonal event matching; not worth failing the sync over
+  let collectionsByProduct = null;
+  try {
+    collectionsByProduct = await fetchProductCollections(shop, token);
   } catch (err) {
-    console.error("❌ Sync error:", err.message);
-    res.status(500).json({ ok: false, error: err.message });
+    console.error("⚠️ Could not fetch collections:", err.message);
   }
-});
+
+  let created = 0;
+  let updated = 0;
+  let failed = 0;
+  const seen = new Set();
+
+  // Upsert each product (+ its variants) into Supabase
+  for (const p of products) {
+    job?.throwIfCancelled();
+    await job?.progress({ phase: "save", done: seen.size, total: products.length });
+    seen.add(String(p.id));
+
+    try {
+      await saveProduct(
+        shop,
+        p,
+        collectionsByProduct && (collectionsByProduct.get(String(p.id)) || [])
+      );
+    } catch (err) {
+      failed += 1;
+      console.error(`❌ Supabase error for ${p.id}:`, err.message);
+      continue;
+    }
+
+    if (known.has(String(p.id))) updated += 1;
+    else created += 1;
+  }
+
+  // A cancelled sync hasn't seen the whole catalog, so it must not archive
+  job?.throwIfCancelled();
+  await job?.progress({ phase: "save", done: seen.size, total: products.length });
+
+  // Anything we still have that Shopify no longer returns was deleted there
+  const gone = await archiveMissingProducts(shop, known, seen);
+
+  console.log(
+    `🔄 Synced ${products.length} products for ${shop} — created: ${created}, updated: ${updated}, archived: ${gone.length}`
+  );
+
+  return {
+    mode: "rest",
+    count: products.length,
+    created,
+    updated,
+    archived: gone.length,
+    failed,
+  };
+}
+
+// ---- Queue a product sync (the job worker runs syncProducts) ----
+router.post(
+  "/sync",
+  validate({
+    summary:
+      "Queue a catalog sync from Shopify. Answers 202 with the job; follow it on " +
+      "/api/jobs/get. mode=bulk runs a GraphQL bulk operation; the job lasts until " +
+      "its import is done (see also /sync/status)",
+    status: 202,
+    body: object({
+      shop: SHOP,
+      mode: { type: "string", enum: ["rest", "bulk"], description: "default rest" },
+    }),
+    response: okResponse({ job: ROW }),
+  }),
+  async (req, res) => {
+    const { shop, mode = "rest" } = req.body;
+
+    try {
+      const job = await enqueueJob(shop, "product_sync", { mode });
+      res.status(202).json({ ok: true, job });
+    } catch (err) {
+      // One sync per shop at a time; hand back the one already in the queue
+      if (err instanceof JobConflictError) {
+        return res
+          .status(409)
+          .json({ ok: false, error: "A product sync is already queued or running", job: err.job });
+      }
+      console.error("❌ Sync enqueue error:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  }
+);
+
+// 📦 GET /api/products/sync/status?shop=... — latest bulk syncs, newest first
+router.get(
+  "/sync/status",
+  validate({
+    summary: "Progress of recent bulk syncs",
+    query: SHOP_QUERY,
+    response: okResponse({ syncs: ROWS }),
+  }),
+  async (req, res) => {
+    const shop = req.query.shop;
+
+    try {
+      const { data, error } = await supabase
+        .from("bulk_syncs")
+        .select("*")
+        .eq("shop_domain", shop)
+        .order("created_at", { ascending: false })
+        .limit(10);
+      if (error) throw error;
+
+      res.json({ ok: true, syncs: data });
+    } catch (err) {
+      console.error("❌ Sync status error:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  }
+);
 
 export default router;
@@ -1,6 +1,8 @@
 // routes/productsList.js
 import express from "express";
 import { createClient } from "@supabase/supabase-js";
+import { validate } from "./validation.js";
+import { ROWS, SHOP_QUERY, okResponse } from "./schemas.js";
 
 const router = express.Router();
 
@@ -10,25 +12,30 @@ const supabase = createClient(
 );
 
 // ✅  GET /api/products/list?shop=yourshop.myshopify.com
-router.get("/list", async (req, res) => {
-  try {
-    const shop = req.query.shop;
-    if (!shop) {
-      return res.status(400).json({ ok: false, error: "Missing ?shop parameter" });
-    }
+router.get(
+  "/list",
+  validate({
+    summary: "List synced products, newest first",
+    query: SHOP_QUERY,
+    response: okResponse({ count: { type: "integer" }, products: ROWS }),
+  }),
+  async (req, res) => {
+    try {
+      const shop = req.query.shop;
 
-    const { data, error } = await supabase
-      .from("products")
-      .select("*")
-      .eq("shop_domain", shop)
-      .order("created_at", { ascending: false });
+      const { data, error } = await supabase
+        .from("products")
+        .select("*")
+        .eq("shop_domain", shop)
+        .order("created_at", { ascending: false });
 
-    if (error) throw error;
-    res.json({ ok: true, count: data.length, products: data });
-  } catch (err) {
-    console.error("❌ List error:", err.message);
-    res.status(500).json({ ok: false, error: err.message });
+      if (error) throw error;
+      res.json({ ok: true, count: data.length, products: data });
+    } catch (err) {
+      console.error("❌ List error:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
   }
-});
+);
 
 export default router;
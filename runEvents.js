@@ -0,0 +1,123 @@
+// runEvents.js
+// Structured progress events for autopilot runs: run started, each product's
+// decision, prices applied / failed, feedback skips and the final summary.
+// Every event gets a per-run sequence number (the SSE event id) and is stored
+// in autopilot_run_events, written in batches. Subscribers in the process
+// doing the run get events live; anyone else reads them from the table.
+import { EventEmitter } from "events";
+import { createClient } from "@supabase/supabase-js";
+import { selectAll } from "./db.js";
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Events that end a run's stream
+export const TERMINAL_EVENTS = ["run_finished", "run_failed", "run_cancelled"];
+
+// Rows per insert, and how long an event may wait to be written
+const FLUSH_SIZE = 200;
+const FLUSH_MS = 1000;
+
+// runId → event log of a run going on in this process
+const live = new Map();
+
+// Helper: write what's buffered; writes are chained so rows land in order
+function flush(log) {
+  clearTimeout(log.timer);
+  log.timer = null;
+  const rows = log.pending;
+  log.pending = [];
+  log.written = log.written.then(async () => {
+    for (let i = 0; i < rows.length; i += FLUSH_SIZE) {
+      const { error } = await supabase
+        .from("autopilot_run_events")
+        .insert(rows.slice(i, i + FLUSH_SIZE));
+      if (error) console.error(`⚠️ Failed to store run ${log.runId} events:`, error.message);
+    }
+  });
+  return log.written;
+}
+
+/**
+ * Event log for one autopilot run. Nothing is recorded until open(runId),
+ * so previews (which have no run) can emit freely.
+ */
+export function createRunEvents(shop) {
+  let log = null;
+
+  const emit = (type, data = {}) => {
+    if (!log) return;
+    const event = { id: ++log.seq, type, data, at: new Date().toISOString() };
+    log.pending.push({
+      shop_domain: shop,
+      run_id: log.runId,
+      seq: event.id,
+      type,
+      data,
+      created_at: event.at,
+    });
+    log.emitter.emit("event", event);
+
+    if (log.pending.length >= FLUSH_SIZE) flush(log);
+    else log.timer ??= setTimeout(() => flush(log), FLUSH_MS);
+  };
+
+  return {
+    get runId() {
+      return log?.runId ?? null;
+    },
+    open(runId, data) {
+      if (!runId) return;
+      log = {
+        runId,
+        seq: 0,
+        pending: [],
+        timer: null,
+        written: Promise.resolve(),
+        emitter: new EventEmitter(),
+      };
+      live.set(String(runId), log);
+      emit("run_started", { run_id: runId, ...data });
+    },
+    emit,
+    // Last event of the run; resolves once everything is stored
+    async close(type, data) {
+      if (!log) return;
+      emit(type, data);
+      const closing = log;
+      log = null;
+      await flush(closing);
+      live.delete(String(closing.runId));
+    },
+  };
+}
+
+/**
+ * Follow a run going on in this process. Returns an unsubscribe function,
+ * or null when the run isn't live here (read autopilot_run_events instead).
+ */
+export function subscribeRunEvents(runId, listener) {
+  const log = live.get(String(runId));
+  if (!log) return null;
+  log.emitter.on("event", listener);
+  return () => log.emitter.off("event", listener);
+}
+
+// Stored events of a run after `afterId`, oldest first, as { id, type, data, at }
+export async function readRunEvents(shop, runId, afterId = 0) {
+  const log = live.get(String(runId));
+  if (log) await flush(log);
+
+  const rows = await selectAll(() =>
+    supabase
+      .from("autopilot_run_events")
+      .select("seq, type, data, created_at")
+      .eq("shop_domain", shop)
+      .eq("run_id", runId)
+      .gt("seq", afterId)
+      .order("seq", { ascending: true })
+  );
+  return rows.map((r) => ({ id: r.seq, type: r.type, data: r.data, at: r.created_at }));
+}
@@ -0,0 +1,60 @@
+// schemas.js
+// Shared request / response schema pieces (JSON Schema, OpenAPI 3.0 flavour).
+// Route-specific schemas live next to their routes; see validation.js.
+
+export const AUTOPILOT_MODES = ["manual", "assist", "full"];
+export const RISK_LEVELS = ["safe", "normal", "aggressive"];
+export const FEEDBACK_VALUES = ["approved", "rejected"];
+
+export const SHOP = {
+  type: "string",
+  pattern: "^[a-zA-Z0-9][a-zA-Z0-9-]*\\.myshopify\\.com$",
+  description: "a *.myshopify.com domain",
+};
+
+// Database ids: integers, or uuids/strings where the table uses them
+export const ID = {
+  anyOf: [{ type: "integer", minimum: 1 }, { type: "string", minLength: 1 }],
+  description: "must be an id",
+};
+
+// Shopify resource ids (JSON numbers; large ones may come as strings)
+export const SHOPIFY_ID = {
+  anyOf: [{ type: "integer", minimum: 1 }, { type: "string", pattern: "^\\d+$" }],
+  description: "must be a Shopify id",
+};
+
+export const PRICE = { type: "number", exclusiveMinimum: 0 };
+export const DATE = { type: "string", format: "date" };
+export const DATE_TIME = { type: "string", format: "date-time" };
+
+// Query with just ?shop (filled in from the session when omitted)
+export const SHOP_QUERY = { type: "object", properties: { shop: SHOP } };
+
+// Body with just { shop }
+export const SHOP_BODY = { type: "object", properties: { shop: SHOP } };
+
+// Helper: object schema shorthand
+export function object(properties, required = []) {
+  return { type: "object", properties, ...(required.length ? { required } : {}) };
+}
+
+// Helper: { ok: true, ...fields } response
+export function okResponse(properties = {}) {
+  return object({ ok: { type: "boolean", enum: [true] }, ...properties }, ["ok"]);
+}
+
+export const ROW = { type: "object", description: "database row" };
+export const ROWS = { type: "array", items: ROW };
+
+export const ERROR_RESPONSE = object(
+  {
+    ok: { type: "boolean", enum: [false] },
+    error: { type: "string" },
+    errors: {
+      type: "array",
+      items: object({ field: { type: "string" }, message: { type: "string" } }),
+    },
+  },
+  ["ok", "error"]
+);
@@ -6,16 +6,23 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
+// Helper: a shop sees its own events plus the shared ones (shop_domain null)
+function forShop(query, shop) {
+  return shop ? query.or(`shop_domain.eq.${shop},shop_domain.is.null`) : query;
+}
+
 // ✅ Fetch upcoming active events
-export async function getUpcomingEvents() {
+export async function getUpcomingEvents(shop) {
   const today = new Date().toISOString().split("T")[0];
 
-  const { data, error } = await supabase
-    .from("seasonal_events")
-    .select("*")
-    .eq("active", true)
-    .gte("end_date", today)
-    .order("start_date", { ascending: true });
+  const { data, error } = await forShop(
+    supabase
+      .from("seasonal_events")
+      .select("*")
+      .eq("active", true)
+      .gte("end_date", today),
+    shop
+  ).order("start_date", { ascending: true });
 
   if (error) {
     console.error("❌ Error fetching events:", error.message);
@@ -24,3 +31,25 @@ export async function getUpcomingEvents() {
 
   return data || [];
 }
+
+// ✅ Events live on a given day (inside their start/end dates)
+export async function getLiveEvents(on = new Date(), shop = null) {
+  const day = on.toISOString().split("T")[0];
+
+  const { data, error } = await forShop(
+    supabase
+      .from("seasonal_events")
+      .select("*")
+      .eq("active", true)
+      .lte("start_date", day)
+      .gte("end_date", day),
+    shop
+  );
+
+  if (error) {
+    console.error("❌ Error fetching live events:", error.message);
+    return [];
+  }
+
+  return data || [];
+}
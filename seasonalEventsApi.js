@@ -1,18 +1,454 @@
 // seasonalEventsApi.js
 import express from "express";
+import { createClient } from "@supabase/supabase-js";
 import { getUpcomingEvents } from "./seasonalEvents.js";
+import { EVENT_FIELDS, validateEvent } from "./seasonalPricing.js";
+import { parseIcs } from "./icsParser.js";
+import { EVENT_LIBRARY, LIBRARY_COUNTRIES, libraryEvent, libraryEvents } from "./eventLibrary.js";
+import { validate } from "./validation.js";
+import {
+  DATE,
+  ID,
+  ROW,
+  ROWS,
+  SHOP,
+  SHOP_QUERY,
+  object,
+  okResponse,
+} from "./schemas.js";
 
 const router = express.Router();
 
-// GET /api/events/next
-router.get("/next", async (req, res) => {
-  try {
-    const events = await getUpcomingEvents();
-    res.json({ ok: true, events });
-  } catch (err) {
-    console.error("❌ /api/events/next error:", err.message);
-    res.status(500).json({ ok: false, error: err.message });
-  }
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Imported calendars can be big; cap what one request may insert
+const MAX_IMPORT_EVENTS = 500;
+
+// Lists may be arrays or "a; b; c" strings (see toList)
+const MATCH_LIST = {
+  anyOf: [{ type: "array", items: { type: "string" } }, { type: "string" }],
+  nullable: true,
+  description: "must be a list of strings",
+};
+
+// Shape only; validateEvent() checks the event as it will be saved
+const EVENT = object({
+  name: { type: "string", minLength: 1 },
+  start_date: DATE,
+  end_date: DATE,
+  active: { type: "boolean" },
+  uplift_pct: { type: "number", nullable: true },
+  priority: { type: "integer", nullable: true },
+  ramp_up_days: { type: "integer", minimum: 0, nullable: true },
+  ramp_down_days: { type: "integer", minimum: 0, nullable: true },
+  match_all: { type: "boolean" },
+  product_keywords: MATCH_LIST,
+  match_tags: MATCH_LIST,
+  match_product_types: MATCH_LIST,
+  match_collections: MATCH_LIST,
 });
 
+const EVENT_TARGET = object({ shop: SHOP, id: ID }, ["id"]);
+const EVENT_RESPONSE = okResponse({ event: ROW });
+const YEAR = { type: "integer", minimum: 2000, maximum: 2100 };
+const COUNTRY = { type: "string", pattern: "^[A-Za-z]{2}$", description: "a 2-letter country code" };
+
+// Helper: keep only the columns an event is allowed to set
+function pickEvent(body = {}) {
+  return Object.fromEntries(
+    EVENT_FIELDS.filter((f) => body[f] !== undefined).map((f) => [f, body[f]])
+  );
+}
+
+// Helper: one of the shop's own events (shared events are read-only here)
+async function getShopEvent(shop, id) {
+  const { data, error } = await supabase
+    .from("seasonal_events")
+    .select("*")
+    .eq("id", id)
+    .eq("shop_domain", shop)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// Helper: insert events the shop doesn't already have (same name + start date)
+async function insertNewEvents(shop, events) {
+  const { data: existing, error: existingErr } = await supabase
+    .from("seasonal_events")
+    .select("name, start_date")
+    .eq("shop_domain", shop);
+  if (existingErr) throw existingErr;
+
+  const have = new Set((existing || []).map((e) => `${e.name}|${e.start_date}`));
+  const fresh = events.filter((e) => !have.has(`${e.name}|${e.start_date}`));
+  if (!fresh.length) return { inserted: [], duplicates: events.length };
+
+  const { data, error } = await supabase
+    .from("seasonal_events")
+    .insert(fresh.map((e) => ({ active: true, ...e, shop_domain: shop })))
+    .select();
+  if (error) throw error;
+
+  return { inserted: data, duplicates: events.length - fresh.length };
+}
+
+// GET /api/events/next?shop=...
+router.get(
+  "/next",
+  validate({
+    summary: "Upcoming seasonal events",
+    query: SHOP_QUERY,
+    response: okResponse({ events: ROWS }),
+  }),
+  async (req, res) => {
+    try {
+      const events = await getUpcomingEvents(req.query.shop);
+      res.json({ ok: true, events });
+    } catch (err) {
+      console.error("❌ /api/events/next error:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  }
+);
+
+// ✅ GET /api/events/list?shop=... (active and inactive, shop's own + shared)
+router.get(
+  "/list",
+  validate({
+    summary: "All events, the shop's own and shared ones",
+    query: SHOP_QUERY,
+    response: okResponse({ count: { type: "integer" }, events: ROWS }),
+  }),
+  async (req, res) => {
+    const shop = req.query.shop;
+
+    try {
+      const { data, error } = await supabase
+        .from("seasonal_events")
+        .select("*")
+        .or(`shop_domain.eq.${shop},shop_domain.is.null`)
+        .order("start_date", { ascending: true });
+      if (error) throw error;
+
+      res.json({ ok: true, count: data.length, events: data });
+    } catch (err) {
+      console.error("❌ Events list error:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  }
+);
+
+// ➕ POST /api/events/create { shop, event }
+router.post(
+  "/create",
+  validate({
+    summary: "Create an event",
+    body: object({ shop: SHOP, event: EVENT }, ["event"]),
+    response: EVENT_RESPONSE,
+  }),
+  async (req, res) => {
+    const { shop } = req.body;
+    const event = pickEvent(req.body.event);
+
+    const errors = validateEvent(event);
+    if (errors.length) {
+      return res.status(400).json({ ok: false, error: "Invalid event", errors });
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from("seasonal_events")
+        .insert([{ active: true, ...event, shop_domain: shop, source: "manual" }])
+        .select()
+        .single();
+      if (error) throw error;
+
+      console.log(`🗓️ Event "${data.name}" created for ${shop}`);
+      res.json({ ok: true, event: data });
+    } catch (err) {
+      console.error("❌ Event create error:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  }
+);
+
+// ✏️ POST /api/events/update { shop, id, event: { ...changed fields } }
+router.post(
+  "/update",
+  validate({
+    summary: "Change one of the shop's events",
+    body: object({ ...EVENT_TARGET.properties, event: EVENT }, ["id", "event"]),
+    response: EVENT_RESPONSE,
+  }),
+  async (req, res) => {
+    const { shop, id } = req.body;
+    const changes = pickEvent(req.body.event);
+
+    try {
+      const current = await getShopEvent(shop, id);
+      if (!current) {
+        return res.status(404).json({ ok: false, error: "Event not found" });
+      }
+
+      // Validate the event as it will be saved, not just the changed fields
+      const errors = validateEvent({ ...current, ...changes });
+      if (errors.length) {
+        return res.status(400).json({ ok: false, error: "Invalid event", errors });
+      }
+
+      const { data, error } = await supabase
+        .from("seasonal_events")
+        .update({ ...changes, updated_at: new Date().toISOString() })
+        .eq("id", id)
+        .eq("shop_domain", shop)
+        .select()
+        .single();
+      if (error) throw error;
+
+      res.json({ ok: true, event: data });
+    } catch (err) {
+      console.error("❌ Event update error:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  }
+);
+
+// 🗑️ POST /api/events/delete { shop, id }
+router.post(
+  "/delete",
+  validate({
+    summary: "Delete one of the shop's events",
+    body: EVENT_TARGET,
+    response: okResponse(),
+  }),
+  async (req, res) => {
+    const { shop, id } = req.body;
+
+    try {
+      const { data, error } = await supabase
+        .from("seasonal_events")
+        .delete()
+        .eq("id", id)
+        .eq("shop_domain", shop)
+        .select();
+      if (error) throw error;
+      if (!data?.length) {
+        return res.status(404).json({ ok: false, error: "Event not found" });
+      }
+
+      res.json({ ok: true });
+    } catch (err) {
+      console.error("❌ Event delete error:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  }
+);
+
+// ⏯️ POST /api/events/activate | /deactivate { shop, id }
+for (const [path, active] of [["/activate", true], ["/deactivate", false]]) {
+  router.post(
+    path,
+    validate({
+      summary: `${active ? "Activate" : "Deactivate"} one of the shop's events`,
+      body: EVENT_TARGET,
+      response: EVENT_RESPONSE,
+    }),
+    async (req, res) => {
+      const { shop, id } = req.body;
+
+      try {
+        const { data, error } = await supabase
+          .from("seasonal_events")
+          .update({ active, updated_at: new Date().toISOString() })
+          .eq("id", id)
+          .eq("shop_domain", shop)
+          .select()
+          .maybeSingle();
+        if (error) throw error;
+        if (!data) {
+          return res.status(404).json({ ok: false, error: "Event not found" });
+        }
+
+        res.json({ ok: true, event: data });
+      } catch (err) {
+        console.error(`❌ Event ${path.slice(1)} error:`, err.message);
+        res.status(500).json({ ok: false, error: err.message });
+      }
+    }
+  );
+}
+
+// 📥 POST /api/events/import-ics
+//   JSON: { shop, ics: "BEGIN:VCALENDAR...", defaults: { uplift_pct, match_all, ... } }
+//   or the raw file with Content-Type: text/calendar and ?shop=...
+// Every calendar entry becomes an event with the same defaults. Entries only
+// carry a name and dates, so they are imported switched off for review;
+// defaults.active = true needs defaults saying what they match and by how much.
+router.post(
+  "/import-ics",
+  express.text({ type: ["text/calendar", "text/plain"], limit: "2mb" }),
+  validate({
+    summary: "Import events from an iCalendar file (JSON, or a text/calendar body with ?shop=)",
+    query: SHOP_QUERY,
+    body: object({ shop: SHOP, ics: { type: "string", minLength: 1 }, defaults: EVENT }),
+    response: okResponse({
+      imported: { type: "integer" },
+      duplicates: { type: "integer" },
+      skipped: { type: "integer" },
+      events: ROWS,
+    }),
+  }),
+  async (req, res) => {
+    const raw = typeof req.body === "string";
+    const shop = raw ? req.query.shop : req.body.shop;
+    const ics = raw ? req.body : req.body.ics;
+    const defaults = pickEvent(raw ? {} : req.body.defaults);
+
+    // A text/calendar body isn't an object, so the schema can't require it
+    if (!ics) {
+      return res.status(400).json({ ok: false, error: "Missing ics" });
+    }
+
+    const { events: entries, skipped } = parseIcs(ics);
+    if (!entries.length) {
+      return res.status(400).json({ ok: false, error: "No usable VEVENT entries found" });
+    }
+    if (entries.length > MAX_IMPORT_EVENTS) {
+      return res.status(400).json({
+        ok: false,
+        error: `Calendar has ${entries.length} events, the limit is ${MAX_IMPORT_EVENTS}`,
+      });
+    }
+
+    const active = defaults.active === true;
+    if (active && defaults.uplift_pct == null) {
+      return res.status(400).json({
+        ok: false,
+        error: "defaults.uplift_pct is required to import events as active",
+      });
+    }
+
+    // Inactive imports match shop-wide until edited; active ones must say
+    // what they match themselves (validateEvent checks)
+    const base = { ...(active ? {} : { match_all: true }), ...defaults, active };
+    const events = entries.map((e) => ({
+      ...base,
+      name: e.name,
+      start_date: e.start_date,
+      end_date: e.end_date,
+      source: "ics",
+    }));
+
+    const invalid = events
+      .map((e, index) => ({ index, name: e.name, errors: validateEvent(e) }))
+      .filter((r) => r.errors.length);
+    if (invalid.length) {
+      return res.status(400).json({ ok: false, error: "Invalid events", errors: invalid });
+    }
+
+    try {
+      const { inserted, duplicates } = await insertNewEvents(shop, events);
+      console.log(`📥 Imported ${inserted.length} calendar events for ${shop}`);
+      res.json({
+        ok: true,
+        imported: inserted.length,
+        duplicates,
+        skipped,
+        events: inserted,
+      });
+    } catch (err) {
+      console.error("❌ ICS import error:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  }
+);
+
+// 📚 GET /api/events/library?country=GB&year=2026
+router.get(
+  "/library",
+  validate({
+    summary: "Retail events from the built-in library, dated for a year and country",
+    query: object({ year: YEAR, country: COUNTRY }),
+    response: okResponse({
+      year: { type: "integer" },
+      country: { type: "string" },
+      countries: { type: "array", items: { type: "string" } },
+      events: ROWS,
+    }),
+  }),
+  (req, res) => {
+    const year = req.query.year || new Date().getUTCFullYear();
+    const country = String(req.query.country || "US").toUpperCase();
+
+    res.json({
+      ok: true,
+      year,
+      country,
+      countries: LIBRARY_COUNTRIES,
+      events: libraryEvents({ year, country }),
+    });
+  }
+);
+
+// 📚 POST /api/events/library/add { shop, keys: ["black_friday", ...], year?, country?, overrides? }
+router.post(
+  "/library/add",
+  validate({
+    summary: "Add library events to the shop",
+    body: object(
+      {
+        shop: SHOP,
+        keys: {
+          type: "array",
+          minItems: 1,
+          items: { type: "string", enum: EVENT_LIBRARY.map((t) => t.key) },
+        },
+        year: YEAR,
+        country: COUNTRY,
+        overrides: EVENT,
+      },
+      ["keys"]
+    ),
+    response: okResponse({
+      added: { type: "integer" },
+      duplicates: { type: "integer" },
+      unavailable: { type: "array", items: { type: "string" } },
+      events: ROWS,
+    }),
+  }),
+  async (req, res) => {
+    const { shop, keys, overrides } = req.body;
+    const year = req.body.year || new Date().getUTCFullYear();
+    const country = String(req.body.country || "US").toUpperCase();
+
+    const events = [];
+    const unavailable = [];
+    for (const key of keys) {
+      const event = libraryEvent(key, { year, country });
+      if (!event) unavailable.push(key);
+      else events.push({ ...event, ...pickEvent(overrides), source: "library" });
+    }
+
+    const invalid = events
+      .map((e) => ({ name: e.name, errors: validateEvent(e) }))
+      .filter((r) => r.errors.length);
+    if (invalid.length) {
+      return res.status(400).json({ ok: false, error: "Invalid events", errors: invalid });
+    }
+
+    try {
+      const { inserted, duplicates } = await insertNewEvents(shop, events);
+      console.log(`📚 Added ${inserted.length} library events for ${shop}`);
+      res.json({ ok: true, added: inserted.length, duplicates, unavailable, events: inserted });
+    } catch (err) {
+      console.error("❌ Library add error:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  }
+);
+
 export default router;
@@ -0,0 +1,216 @@
+// seasonalPricing.js
+// Pure seasonal-event logic (no DB / network) — shared by the engine and the backtest.
+//
+// An event (seasonal_events row):
+//   {
+//     name: "Christmas",
+//     start_date: "2025-12-05", end_date: "2025-12-25",   // inclusive, UTC days
+//     uplift_pct: 15,              // negative = markdown (default 15, the old fixed boost)
+//     priority: 0,                 // used by the "priority" overlap mode
+//     ramp_up_days: 3,             // reach the full uplift over the first N days
+//     ramp_down_days: 2,           // and ease off over the last N days
+//     match_all: false,            // every product, e.g. a sitewide sale
+//     product_keywords: ["xmas"],  // title contains any of these...
+//     match_tags: [], match_product_types: [], match_collections: [],  // ...or any of these
+//   }
+
+export const DEFAULT_UPLIFT_PCT = 15;
+
+// How the uplifts of several events on the same product combine:
+//   strongest  largest |uplift| wins (default)
+//   stack      uplifts compound
+//   priority   highest priority event wins (ties: strongest)
+export const EVENT_OVERLAP = ["strongest", "stack", "priority"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Helper: "YYYY-MM-DD" for a Date or day string
+function isoDay(on) {
+  return typeof on === "string" ? on.slice(0, 10) : on.toISOString().split("T")[0];
+}
+
+function daysBetween(a, b) {
+  return Math.round((Date.parse(b) - Date.parse(a)) / DAY_MS);
+}
+
+// Lists may be arrays (JSON / Postgres) or "a;b;c" (CSV fixtures)
+export function toList(value) {
+  if (Array.isArray(value)) return value.map((v) => String(v).trim()).filter(Boolean);
+  return String(value ?? "")
+    .split(";")
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+const lower = (list) => toList(list).map((v) => v.toLowerCase());
+
+// Is `on` inside the event's dates?
+export function eventIsLive(event, on = new Date()) {
+  const day = isoDay(on);
+  return Boolean(
+    event &&
+      event.active !== false &&
+      event.start_date &&
+      event.end_date &&
+      event.start_date <= day &&
+      day <= event.end_date
+  );
+}
+
+// Does the event apply to the product? (title keywords, tags, type, collections)
+export function eventMatchesProduct(event, product) {
+  if (!event) return false;
+  if (event.match_all) return true;
+
+  const title = (product.title || "").toLowerCase();
+  if (lower(event.product_keywords).some((k) => title.includes(k))) return true;
+
+  const tags = lower(product.tags);
+  if (lower(event.match_tags).some((t) => tags.includes(t))) return true;
+
+  const type = String(product.product_type || "").toLowerCase();
+  if (type && lower(event.match_product_types).includes(type)) return true;
+
+  const collections = lower(product.collections);
+  return lower(event.match_collections).some((c) => collections.includes(c));
+}
+
+// 0..1 share of the uplift on `on` (ramps are linear, full in between)
+export function rampFactor(event, on = new Date()) {
+  const day = isoDay(on);
+  let factor = 1;
+
+  const up = event.ramp_up_days || 0;
+  const sinceStart = daysBetween(event.start_date, day);
+  if (up > 0 && sinceStart < up) factor = Math.min(factor, (sinceStart + 1) / (up + 1));
+
+  const down = event.ramp_down_days || 0;
+  const untilEnd = daysBetween(day, event.end_date);
+  if (down > 0 && untilEnd < down) factor = Math.min(factor, (untilEnd + 1) / (down + 1));
+
+  return Math.max(0, factor);
+}
+
+/**
+ * Combine the events that apply to a product on a day.
+ *   events    live events (anything not live on `on` is ignored)
+ *   product   { title, tags, product_type, collections }
+ *   options   { on = today, overlap = "strongest" }
+ * Returns { matches, uplift_pct, events: [{ name, uplift_pct }], name }
+ * where uplift_pct is already ramped and combined.
+ */
+export function resolveEventUplift(events, product, options = {}) {
+  const { on = new Date(), overlap = "strongest" } = options;
+
+  const hits = [].concat(events || [])
+    .filter((e) => eventIsLive(e, on) && eventMatchesProduct(e, product))
+    .map((e) => ({
+      name: e.name,
+      priority: e.priority ?? 0,
+      uplift_pct:
+        Math.round((e.uplift_pct ?? DEFAULT_UPLIFT_PCT) * rampFactor(e, on) * 100) / 100,
+    }));
+
+  if (!hits.length) return { matches: false, uplift_pct: 0, events: [], name: null };
+
+  let applied;
+  if (overlap === "stack") {
+    applied = hits;
+  } else {
+    const strongest = (a, b) => Math.abs(b.uplift_pct) - Math.abs(a.uplift_pct);
+    const sorted =
+      overlap === "priority"
+        ? [...hits].sort((a, b) => b.priority - a.priority || strongest(a, b))
+        : [...hits].sort(strongest);
+    applied = [sorted[0]];
+  }
+
+  const factor = applied.reduce((f, e) => f * (1 + e.uplift_pct / 100), 1);
+  return {
+    matches: true,
+    uplift_pct: Math.round((factor - 1) * 10000) / 100,
+    events: applied.map(({ name, uplift_pct }) => ({ name, uplift_pct })),
+    name: applied.map((e) => e.name).join(" & "),
+  };
+}
+
+// ---- Validation ----
+
+// Columns an event may set through the API
+export const EVENT_FIELDS = [
+  "name",
+  "start_date",
+  "end_date",
+  "active",
+  "uplift_pct",
+  "priority",
+  "ramp_up_days",
+  "ramp_down_days",
+  "match_all",
+  "product_keywords",
+  "match_tags",
+  "match_product_types",
+  "match_collections",
+];
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function validDay(value) {
+  return (
+    typeof value === "string" &&
+    DAY_RE.test(value) &&
+    new Date(`${value}T00:00:00Z`).toISOString().startsWith(value)
+  );
+}
+
+// Returns a list of problems (empty = valid)
+export function validateEvent(e) {
+  const errors = [];
+  if (!e || typeof e !== "object") return ["event must be an object"];
+
+  if (typeof e.name !== "string" || !e.name.trim()) errors.push("name is required");
+
+  for (const field of ["start_date", "end_date"]) {
+    if (!validDay(e[field])) errors.push(`${field} must be a YYYY-MM-DD date`);
+  }
+  if (validDay(e.start_date) && validDay(e.end_date) && e.start_date > e.end_date) {
+    errors.push("start_date cannot be after end_date");
+  }
+
+  if (e.uplift_pct != null) {
+    if (typeof e.uplift_pct !== "number" || !Number.isFinite(e.uplift_pct)) {
+      errors.push("uplift_pct must be a number");
+    } else if (e.uplift_pct <= -90 || e.uplift_pct > 100) {
+      errors.push("uplift_pct must be between -90 and 100");
+    }
+  }
+  for (const field of ["priority", "ramp_up_days", "ramp_down_days"]) {
+    if (e[field] != null && !Number.isInteger(e[field])) {
+      errors.push(`${field} must be an integer`);
+    }
+  }
+  for (const field of ["ramp_up_days", "ramp_down_days"]) {
+    if (Number.isInteger(e[field]) && e[field] < 0) errors.push(`${field} cannot be negative`);
+  }
+  if (
+    validDay(e.start_date) &&
+    validDay(e.end_date) &&
+    (e.ramp_up_days || 0) + (e.ramp_down_days || 0) > daysBetween(e.start_date, e.end_date) + 1
+  ) {
+    errors.push("ramp_up_days + ramp_down_days cannot be longer than the event");
+  }
+
+  const lists = ["product_keywords", "match_tags", "match_product_types", "match_collections"];
+  for (const field of lists) {
+    const v = e[field];
+    if (v == null) continue;
+    if (!Array.isArray(v) || v.some((k) => typeof k !== "string" || !k.trim())) {
+      errors.push(`${field} must be an array of non-empty strings`);
+    }
+  }
+  if (!e.match_all && !lists.some((f) => Array.isArray(e[f]) && e[f].length)) {
+    errors.push("event must match something: set match_all or at least one keyword/tag/type/collection");
+  }
+
+  return errors;
+}
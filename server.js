@@ -7,15 +7,41 @@ import path from "path";
 import { fileURLToPath } from "url";
 import { createClient } from "@supabase/supabase-js";
 import { runAutopilot } from "./autopilotEngine.js";
+import { runAutopilotLocked, startScheduler } from "./autopilotScheduler.js";
+import {
+  JobConflictError,
+  enqueueJob,
+  registerJobHandler,
+  startJobWorker,
+} from "./jobQueue.js";
 
 import shopify from "./shopify.js";
-import products from "./products.js";
+import products, { syncProducts } from "./products.js";
 import productsList from "./productsList.js";
-import aiActions from "./aiActions.js";
+import aiActions, { bulkDecideActions } from "./aiActions.js";
 import aiFeedback from "./aiFeedback.js";
 import performance from "./performance.js";
 import eventsApi from "./seasonalEventsApi.js";
 import aiAdvice from "./aiAdvice.js"; // 👈 NEW
+import webhooks from "./webhooks.js";
+import autopilotSchedule from "./autopilotScheduleApi.js";
+import autopilotRuns, { runEventsRouter } from "./autopilotRuns.js";
+import pricingRules from "./pricingRulesApi.js";
+import guardrails from "./guardrailsApi.js";
+import priceHistory, { revertRun } from "./priceHistoryApi.js";
+import apiKeys from "./apiKeysApi.js";
+import jobs from "./jobsApi.js";
+import { requireShop } from "./auth.js";
+import { validate } from "./validation.js";
+import { buildOpenApi } from "./openapi.js";
+import {
+  AUTOPILOT_MODES,
+  RISK_LEVELS,
+  ROW,
+  SHOP,
+  object,
+  okResponse,
+} from "./schemas.js";
 
 dotenv.config();
 
@@ -31,14 +57,22 @@ const supabase = createClient(
 
 const app = express();
 app.use(morgan("dev"));
+
+// ✅ Shopify webhooks (need the raw body for HMAC, so before express.json)
+app.use("/api/webhooks", webhooks);
+
 app.use(express.json());
 
 // ✅ Enable CORS (for dashboard frontend)
+// CORS_ORIGINS=https://a.example,https://b.example locks it down; requests are
+// authenticated by token either way (no cookies), so "*" is only the fallback
 app.use(
   cors({
-    origin: "*", // later you can lock this to your Vercel domain
+    origin: process.env.CORS_ORIGINS
+      ? process.env.CORS_ORIGINS.split(",").map((o) => o.trim())
+      : "*",
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-Api-Key"],
   })
 );
 
@@ -47,83 +81,198 @@ app.get("/", (_req, res) => {
   res.send(`
     <h1>🚀 Autopilot Final</h1>
     <p>Your app is installed and running!</p>
-    <a href="/api/shopify/test">Run Shopify Test</a> |
-    <a href="/api/products/sync?shop=all-sorts-dropped.myshopify.com">Sync Products</a> |
-    <a href="/api/products/list?shop=all-sorts-dropped.myshopify.com">View Products</a>
+    <p>API calls need an App Bridge session token or an X-Api-Key header.</p>
+    <a href="/api/status">Status</a>
   `);
 });
 
 // ✅ Health check route
-app.get("/api/status", (_req, res) => res.json({ ok: true }));
+app.get(
+  "/api/status",
+  validate({ summary: "Health check", public: true, tags: ["app"], response: okResponse() }),
+  (_req, res) => res.json({ ok: true })
+);
 
-// ✅ Shopify API routes
+// ✅ Shopify API routes (OAuth is public, the rest checks auth per route)
 app.use("/api/shopify", shopify);
 
+// 🔑 API keys for server-to-server calls
+app.use("/api/keys", requireShop, apiKeys);
+
 // 🧭 Update Autopilot Mode
-app.post("/api/shopify/mode", async (req, res) => {
-  const { shop, mode } = req.body;
-  try {
-    const { error } = await supabase
-      .from("shops")
-      .update({ autopilot_mode: mode })
-      .eq("shop_domain", shop);
-
-    if (error) throw error;
-    console.log(`🧭 Mode for ${shop} updated to: ${mode}`);
-    res.json({ ok: true });
-  } catch (err) {
-    console.error("❌ Failed to update mode:", err.message);
-    res.status(500).json({ ok: false, error: err.message });
+app.post(
+  "/api/shopify/mode",
+  requireShop,
+  validate({
+    summary: "Set the autopilot mode",
+    tags: ["shopify"],
+    body: object({ shop: SHOP, mode: { type: "string", enum: AUTOPILOT_MODES } }, ["mode"]),
+    response: okResponse(),
+  }),
+  async (req, res) => {
+    const { shop, mode } = req.body;
+    try {
+      const { error } = await supabase
+        .from("shops")
+        .update({ autopilot_mode: mode })
+        .eq("shop_domain", shop);
+
+      if (error) throw error;
+      console.log(`🧭 Mode for ${shop} updated to: ${mode}`);
+      res.json({ ok: true });
+    } catch (err) {
+      console.error("❌ Failed to update mode:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
   }
-});
+);
 
 // ⚠️ Update AI risk level
-app.post("/api/shopify/risk", async (req, res) => {
-  const { shop, risk_level } = req.body; // frontend sends risk_level now
-  try {
-    const { error } = await supabase
-      .from("shops")
-      .update({ risk_level })
-      .eq("shop_domain", shop);
-
-    if (error) throw error;
-    console.log(`⚖️ Risk level for ${shop} updated to: ${risk_level}`);
-    res.json({ ok: true });
-  } catch (err) {
-    console.error("❌ Failed to update risk level:", err.message);
-    res.status(500).json({ ok: false, error: err.message });
+app.post(
+  "/api/shopify/risk",
+  requireShop,
+  validate({
+    summary: "Set the AI risk level",
+    tags: ["shopify"],
+    body: object(
+      { shop: SHOP, risk_level: { type: "string", enum: RISK_LEVELS } },
+      ["risk_level"]
+    ),
+    response: okResponse(),
+  }),
+  async (req, res) => {
+    const { shop, risk_level } = req.body; // frontend sends risk_level now
+    try {
+      const { error } = await supabase
+        .from("shops")
+        .update({ risk_level })
+        .eq("shop_domain", shop);
+
+      if (error) throw error;
+      console.log(`⚖️ Risk level for ${shop} updated to: ${risk_level}`);
+      res.json({ ok: true });
+    } catch (err) {
+      console.error("❌ Failed to update risk level:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
   }
-});
+);
+
+// 🔐 Everything below acts on one shop: the caller must be signed in to it
 
 // ✅ Product API routes
-app.use("/api/products", products);
-app.use("/api/products", productsList);
+app.use("/api/products", requireShop, products, productsList);
 
-// ✅ AI actions routes
-app.use("/api/ai", aiActions);
+// ✅ AI actions + advice routes (advice adds /api/ai/advice)
+app.use("/api/ai", requireShop, aiActions, aiAdvice);
 
 // ✅ AI feedback routes
-app.use("/api/feedback", aiFeedback);
+app.use("/api/feedback", requireShop, aiFeedback);
 
-// ✅ AI advice routes (config suggestions)
-app.use("/api/ai", aiAdvice); // 👈 NEW (adds /api/ai/advice)
+// ✅ Pricing rules (per-shop rule set)
+app.use("/api/rules", requireShop, pricingRules);
+
+// 🛡️ Price guardrails (min margin, floor/ceiling, max change)
+app.use("/api/guardrails", requireShop, guardrails);
+
+// 📜 Price history + rollback
+app.use("/api/prices", requireShop, priceHistory);
 
 // ✅ Performance routes
-app.use("/api/performance", performance);
+app.use("/api/performance", requireShop, performance);
 
 // ✅ Seasonal events
-app.use("/api/events", eventsApi);
-
-// ✅ Autopilot AI Route
-app.get("/api/autopilot/run", async (req, res) => {
-  const shop = req.query.shop || "all-sorts-dropped.myshopify.com";
-  try {
-    const result = await runAutopilot(shop);
-    res.json({ ok: true, message: "Autopilot completed successfully", ...result });
-  } catch (err) {
-    console.error("❌ Autopilot error:", err.message);
-    res.status(500).json({ ok: false, error: err.message });
+app.use("/api/events", requireShop, eventsApi);
+
+// 🧵 Background jobs: what the worker runs for each job type
+registerJobHandler("autopilot_run", (job, ctx) =>
+  runAutopilotLocked(job.shop_domain, { job: ctx })
+);
+// 👀 Preview writes nothing, so it doesn't need the run lock
+registerJobHandler("autopilot_preview", (job, ctx) =>
+  runAutopilot(job.shop_domain, { ...job.params, preview: true, job: ctx })
+);
+registerJobHandler("product_sync", (job, ctx) =>
+  syncProducts(job.shop_domain, { mode: job.params?.mode, job: ctx })
+);
+registerJobHandler("ai_bulk_update", (job, ctx) =>
+  bulkDecideActions(job.shop_domain, job.params.status, job.params.ids, { job: ctx })
+);
+registerJobHandler("price_revert_run", (job, ctx) =>
+  revertRun(job.shop_domain, job.params.run_id, { job: ctx })
+);
+
+// 📋 Job status, cancel + retry
+app.use("/api/jobs", requireShop, jobs);
+
+// ✅ Autopilot AI Route — queues the run; follow it on /api/jobs/get
+app.post(
+  "/api/autopilot/run",
+  requireShop,
+  validate({
+    summary: "Queue an autopilot run (or a preview of what it would do)",
+    tags: ["autopilot"],
+    status: 202,
+    body: object({
+      shop: SHOP,
+      preview: { type: "boolean" },
+      risk: { type: "string", enum: RISK_LEVELS, description: "preview only" },
+      mode: { type: "string", enum: AUTOPILOT_MODES, description: "preview only" },
+    }),
+    response: okResponse({ job: ROW }),
+  }),
+  async (req, res) => {
+    const { shop, preview = false, risk, mode } = req.body;
+    try {
+      if (preview) {
+        const job = await enqueueJob(shop, "autopilot_preview", { risk, mode });
+        return res.status(202).json({ ok: true, job });
+      }
+
+      const job = await enqueueJob(shop, "autopilot_run", { source: "manual" });
+      res.status(202).json({ ok: true, job });
+    } catch (err) {
+      // One real run per shop in the queue at a time
+      if (err instanceof JobConflictError) {
+        return res
+          .status(409)
+          .json({ ok: false, error: `Autopilot is already queued or running for ${shop}`, job: err.job });
+      }
+      console.error("❌ Autopilot enqueue error:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
   }
+);
+
+// 📡 A run's live event stream (does its own auth: headers or a stream token)
+app.use("/api/autopilot", runEventsRouter);
+
+// ⏰ Autopilot schedule (view / change / pause) + past runs
+app.use("/api/autopilot", requireShop, autopilotSchedule, autopilotRuns);
+
+// 📘 OpenAPI description, built from the schemas the routes validate with
+let openApiDoc = null;
+app.get("/api/openapi.json", (_req, res) => {
+  openApiDoc ??= buildOpenApi([
+    ["", app],
+    ["/api/shopify", shopify, "shopify"],
+    ["/api/keys", apiKeys, "keys"],
+    ["/api/products", products, "products"],
+    ["/api/products", productsList, "products"],
+    ["/api/ai", aiActions, "ai"],
+    ["/api/ai", aiAdvice, "ai"],
+    ["/api/feedback", aiFeedback, "feedback"],
+    ["/api/rules", pricingRules, "rules"],
+    ["/api/guardrails", guardrails, "guardrails"],
+    ["/api/prices", priceHistory, "prices"],
+    ["/api/performance", performance, "performance"],
+    ["/api/events", eventsApi, "events"],
+    ["/api/autopilot", autopilotSchedule, "autopilot"],
+    ["/api/autopilot", autopilotRuns, "autopilot"],
+    ["/api/autopilot", runEventsRouter, "autopilot"],
+    ["/api/jobs", jobs, "jobs"],
+  ]);
+  res.json(openApiDoc);
 });
 
 // ✅ Start the server
@@ -134,4 +283,7 @@ app.listen(port, () => {
   console.log(
     `🧭 Using redirectUri: ${process.env.SHOPIFY_APP_URL}/api/shopify/callback`
   );
+
+  startScheduler();
+  startJobWorker();
 });
@@ -1,162 +1,441 @@
 // shopify.js
 import express from "express";
-import fetch from "node-fetch";
 import crypto from "crypto";
 import { createClient } from "@supabase/supabase-js";
+import { registerWebhooks } from "./webhooks.js";
+import { expireActionsForVariant } from "./aiActionLifecycle.js";
+import { requireShop } from "./auth.js";
+import {
+  ShopifyError,
+  shopifyGet,
+  shopifyRequest,
+  statusForShopifyError,
+} from "./shopifyClient.js";
+import { validate } from "./validation.js";
+import { ID, PRICE, ROW, SHOP, SHOPIFY_ID, SHOP_QUERY, object, okResponse } from "./schemas.js";
 
 const router = express.Router();
 
-// 🔗 Supabase client (for updating product prices in our DB)
+// 🔗 Supabase client (shop tokens + mirrored product prices)
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+// Helper: get token for shop
+async function getToken(shop_domain) {
+  const { data, error } = await supabase
+    .from("shops")
+    .select("access_token")
+    .eq("shop_domain", shop_domain)
+    .single();
+  if (error) throw error;
+  return data.access_token;
+}
+
+// Helper: constant-time compare of two hex digests
+function safeCompare(a, b) {
+  const bufA = Buffer.from(String(a), "utf8");
+  const bufB = Buffer.from(String(b), "utf8");
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Helper: consume the OAuth state nonce issued by /auth (single use)
+async function consumeState(shop, state) {
+  const { data, error } = await supabase
+    .from("oauth_states")
+    .delete()
+    .eq("shop_domain", shop)
+    .eq("nonce", state)
+    .select("created_at")
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) return false;
+  return Date.now() - new Date(data.created_at).getTime() < STATE_TTL_MS;
+}
+
 // 1️⃣ Start Shopify OAuth
-router.get("/auth", (req, res) => {
-  const shop = req.query.shop;
-  if (!shop) {
-    return res.status(400).send("Missing ?shop parameter");
-  }
+router.get(
+  "/auth",
+  validate({
+    summary: "Start the Shopify OAuth install",
+    public: true,
+    query: object({ shop: SHOP }, ["shop"]),
+    redirect: "To Shopify's install / consent screen",
+  }),
+  async (req, res) => {
+    const shop = req.query.shop;
 
-  const state = crypto.randomBytes(8).toString("hex");
-  const redirectUri = process.env.SHOPIFY_APP_URL + "/api/shopify/callback";
-  const scopes =
-    process.env.SCOPES ||
-    "read_products,write_products,read_orders,write_orders,read_inventory,write_inventory";
-
-  const installUrl =
-    "https://" +
-    shop +
-    "/admin/oauth/authorize?client_id=" +
-    process.env.SHOPIFY_API_KEY +
-    "&scope=" +
-    encodeURIComponent(scopes) +
-    "&redirect_uri=" +
-    encodeURIComponent(redirectUri) +
-    "&state=" +
-    state;
-
-  console.log("🧭 Redirecting to:", installUrl);
-  res.redirect(installUrl);
-});
+    const state = crypto.randomBytes(16).toString("hex");
 
-// 2️⃣ Handle Shopify callback
-router.get("/callback", async (req, res) => {
-  const shop = req.query.shop;
-  const hmac = req.query.hmac;
-  const code = req.query.code;
+    // Remember the nonce so /callback can prove the request started here
+    const { error } = await supabase
+      .from("oauth_states")
+      .insert([{ shop_domain: shop, nonce: state }]);
 
-  if (!shop || !hmac || !code) {
-    return res.status(400).send("Missing parameters");
-  }
+    if (error) {
+      console.error("❌ Failed to store OAuth state:", error.message);
+      return res.status(500).send("Could not start OAuth.");
+    }
 
-  // Verify HMAC
-  const message = Object.keys(req.query)
-    .filter((key) => key !== "hmac")
-    .sort()
-    .map((key) => key + "=" + req.query[key])
-    .join("&");
+    const redirectUri = process.env.SHOPIFY_APP_URL + "/api/shopify/callback";
+    const scopes =
+      process.env.SCOPES ||
+      "read_products,write_products,read_orders,write_orders,read_inventory,write_inventory";
 
-  const generatedHmac = crypto
-    .createHmac("sha256", process.env.SHOPIFY_API_SECRET)
-    .update(message)
-    .digest("hex");
+    const installUrl =
+      "https://" +
+      shop +
+      "/admin/oauth/authorize?client_id=" +
+      process.env.SHOPIFY_API_KEY +
+      "&scope=" +
+      encodeURIComponent(scopes) +
+      "&redirect_uri=" +
+      encodeURIComponent(redirectUri) +
+      "&state=" +
+      state;
 
-  if (generatedHmac !== hmac) {
-    return res.status(400).send("Invalid HMAC signature");
+    console.log("🧭 Redirecting to:", installUrl);
+    res.redirect(installUrl);
   }
+);
 
-  try {
-    const response = await fetch(
-      "https://" + shop + "/admin/oauth/access_token",
+// 2️⃣ Handle Shopify callback
+router.get(
+  "/callback",
+  validate({
+    summary: "Shopify OAuth callback (HMAC-signed by Shopify)",
+    public: true,
+    query: object(
       {
+        shop: SHOP,
+        code: { type: "string" },
+        hmac: { type: "string" },
+        state: { type: "string" },
+      },
+      ["shop", "code", "hmac", "state"]
+    ),
+    responseType: "text/plain",
+    response: { type: "string" },
+  }),
+  async (req, res) => {
+    const { shop, hmac, code, state } = req.query;
+
+    // Verify HMAC
+    const message = Object.keys(req.query)
+      .filter((key) => key !== "hmac" && key !== "signature")
+      .sort()
+      .map((key) => key + "=" + req.query[key])
+      .join("&");
+
+    const generatedHmac = crypto
+      .createHmac("sha256", process.env.SHOPIFY_API_SECRET)
+      .update(message)
+      .digest("hex");
+
+    if (!safeCompare(generatedHmac, hmac)) {
+      return res.status(400).send("Invalid HMAC signature");
+    }
+
+    try {
+      if (!(await consumeState(shop, state))) {
+        return res.status(403).send("Invalid or expired OAuth state");
+      }
+
+      const { data } = await shopifyRequest(shop, null, "/admin/oauth/access_token", {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
+        body: {
           client_id: process.env.SHOPIFY_API_KEY,
           client_secret: process.env.SHOPIFY_API_SECRET,
           code: code,
-        }),
+        },
+      });
+
+      if (!data.access_token) {
+        console.error("⚠️ Missing access token in response:", data.errors);
+        return res.status(500).send("Failed to retrieve access token.");
       }
-    );
 
-    const data = await response.json();
+      // 💾 Store the token per shop (never log it)
+      const { error } = await supabase.from("shops").upsert(
+        [
+          {
+            shop_domain: shop,
+            access_token: data.access_token,
+            scopes: data.scope,
+            installed_at: new Date().toISOString(),
+            uninstalled_at: null,
+          },
+        ],
+        { onConflict: "shop_domain" }
+      );
 
-    if (!data.access_token) {
-      console.error("⚠️ Missing access token in response:", data);
-      return res.status(500).send("Failed to retrieve access token.");
-    }
+      if (error) throw error;
 
-    // ⚠️ In production you should store this in Supabase, not in process.env
-    process.env.SHOPIFY_ACCESS_TOKEN = data.access_token;
-    console.log("✅ Shopify store successfully connected!");
-    console.log("🔑 Access Token:", data.access_token);
+      // 🔔 Keep local data fresh from now on (install still succeeds if this fails)
+      try {
+        await registerWebhooks(shop, data.access_token);
+      } catch (err) {
+        console.error("⚠️ Webhook registration failed:", err.message);
+      }
 
-    res.send("✅ Shopify store successfully connected!");
-  } catch (err) {
-    console.error("❌ Error exchanging code for token:", err);
-    res.status(500).send("Error exchanging code for token.");
+      console.log(`✅ Shopify store successfully connected: ${shop}`);
+      res.send("✅ Shopify store successfully connected!");
+    } catch (err) {
+      console.error("❌ Error exchanging code for token:", err.message);
+      res.status(500).send("Error exchanging code for token.");
+    }
   }
-});
+);
 
 // 3️⃣ Test Shopify API connection
-router.get("/test", async (_req, res) => {
-  try {
-    if (!process.env.SHOPIFY_ACCESS_TOKEN) {
-      return res
-        .status(401)
-        .json({ ok: false, error: "Missing Shopify access token" });
-    }
+router.get(
+  "/test",
+  requireShop,
+  validate({
+    summary: "Check the shop's Shopify API connection",
+    query: SHOP_QUERY,
+    response: okResponse({ shop: { type: "object", description: "Shopify shop resource" } }),
+  }),
+  async (req, res) => {
+    const shop = req.query.shop;
 
-    const response = await fetch(
-      "https://all-sorts-dropped.myshopify.com/admin/api/2023-10/shop.json",
-      {
-        headers: {
-          "X-Shopify-Access-Token": process.env.SHOPIFY_ACCESS_TOKEN,
-          "Content-Type": "application/json",
-        },
+    try {
+      const token = await getToken(shop);
+      if (!token) {
+        return res
+          .status(401)
+          .json({ ok: false, error: "Missing Shopify access token" });
       }
-    );
 
-    const data = await response.json();
-    res.json({ ok: true, shop: data.shop });
+      const data = await shopifyGet(shop, token, "shop.json");
+      res.json({ ok: true, shop: data.shop });
+    } catch (err) {
+      console.error(err);
+      res.status(statusForShopifyError(err)).json({ ok: false, error: err.message });
+    }
+  }
+);
+
+export const PRICE_SOURCES = [
+  "autopilot_run",
+  "manual_approval",
+  "webhook",
+  "rollback",
+  "manual",
+];
+
+// 🔎 The variant as Shopify has it now (first variant unless one is given).
+// Returns { ok: true, token, variant } or { ok: false, status, error }.
+export async function getLiveVariant(shop, product_id, variant_id = null) {
+  const token = await getToken(shop);
+  if (!token) {
+    return { ok: false, status: 401, error: "No token for this shop" };
+  }
+
+  let lookupData;
+  try {
+    lookupData = await shopifyGet(
+      shop,
+      token,
+      variant_id
+        ? `variants/${variant_id}.json`
+        : `products/${product_id}.json?fields=id,variants`
+    );
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ ok: false, error: err.message });
+    if (!(err instanceof ShopifyError)) throw err;
+    return { ok: false, status: err.status || 502, error: err.message };
+  }
+
+  const variant = variant_id
+    ? lookupData.variant
+    : lookupData.product?.variants?.[0];
+
+  if (!variant) {
+    return { ok: false, status: 404, error: "No variant found for this product" };
   }
-});
+  return { ok: true, token, variant };
+}
 
-// 4️⃣ Stub: Update price in Supabase (placeholder for real Shopify update)
-router.post("/update-price", async (req, res) => {
-  const { shop, product_id, new_price } = req.body;
+// 💲 Update a variant price in Shopify, mirror it in Supabase and record it in
+// price_history. With expected_price, refuses (409) if the live price differs.
+// Returns { ok: true, product, variant, old_price } or
+// { ok: false, status, error } — never throws for Shopify rejections.
+export async function updateVariantPrice({
+  shop,
+  product_id,
+  variant_id = null,
+  new_price,
+  expected_price = null,
+  source = "manual",
+  action_id = null,
+  run_id = null,
+}) {
+  const price = parseFloat(new_price);
+  if (!Number.isFinite(price) || price <= 0) {
+    return { ok: false, status: 400, error: "new_price must be a positive number" };
+  }
+
+  const live = await getLiveVariant(shop, product_id, variant_id);
+  if (!live.ok) return live;
+  const { token, variant } = live;
 
-  if (!shop || !product_id || new_price == null) {
-    return res
-      .status(400)
-      .json({ ok: false, error: "Missing shop, product_id, or new_price" });
+  const oldPrice = parseFloat(variant.price);
+  if (
+    expected_price != null &&
+    Math.abs(oldPrice - parseFloat(expected_price)) >= 0.005
+  ) {
+    return {
+      ok: false,
+      status: 409,
+      error: `Current price £${variant.price} no longer matches £${expected_price}`,
+    };
   }
 
+  // Keep an existing compare-at discount at the same ratio
+  const oldCompareAt = parseFloat(variant.compare_at_price);
+  const compareAt =
+    oldCompareAt > 0 && oldPrice > 0
+      ? (Math.round(oldCompareAt * (price / oldPrice) * 100) / 100).toFixed(2)
+      : variant.compare_at_price ?? null;
+
+  let result;
   try {
+    ({ data: result } = await shopifyRequest(shop, token, `variants/${variant.id}.json`, {
+      method: "PUT",
+      // Sets absolute values, so sending it twice changes nothing
+      idempotent: true,
+      body: {
+        variant: {
+          id: variant.id,
+          price: price.toFixed(2),
+          compare_at_price: compareAt,
+        },
+      },
+    }));
+  } catch (err) {
+    if (!(err instanceof ShopifyError)) throw err;
+    console.error(`❌ Shopify rejected price for ${product_id}:`, err.message);
+    return { ok: false, status: statusForShopifyError(err), error: err.message };
+  }
+
+  console.log(
+    `🛍️ Shopify price updated for ${product_id} (variant ${variant.id}): £${result.variant.price}`
+  );
+
+  // Shopify confirmed — now mirror it locally. The local rows are a cache
+  // (the next sync corrects them), so a failed write is logged, not thrown:
+  // the change happened and still gets its history row below.
+  const { error: variantErr } = await supabase
+    .from("product_variants")
+    .update({
+      price: result.variant.price,
+      compare_at_price: result.variant.compare_at_price,
+    })
+    .eq("shop_domain", shop)
+    .eq("shopify_variant_id", variant.id);
+
+  if (variantErr) {
+    console.error(`⚠️ Failed to store variant ${variant.id} price locally:`, variantErr.message);
+  }
+
+  // products.price mirrors the first variant (same as /api/products/sync)
+  let product = null;
+  if (result.variant.position === 1) {
     const { data, error } = await supabase
       .from("products")
-      .update({ price: String(new_price) })
+      .update({ price: result.variant.price })
       .eq("shop_domain", shop)
       .eq("shopify_product_id", product_id)
       .select()
       .maybeSingle();
 
-    if (error) throw error;
+    if (error) {
+      console.error(`⚠️ Failed to store product ${product_id} price locally:`, error.message);
+    }
+    product = data;
+  }
 
-    console.log(`💾 Supabase price updated for ${product_id}: £${new_price}`);
+  if (!variantErr) {
+    console.log(
+      `💾 Supabase price updated for ${product_id} (variant ${variant.id}): £${result.variant.price}`
+    );
+  }
 
-    // 🔮 Later: extend this to call Shopify Admin API to update the real store price.
+  // 📜 Ledger entry (a failure here must not undo a confirmed change)
+  const { error: historyErr } = await supabase.from("price_history").insert([
+    {
+      shop_domain: shop,
+      product_id,
+      variant_id: variant.id,
+      old_price: oldPrice,
+      new_price: parseFloat(result.variant.price),
+      source,
+      action_id,
+      run_id,
+    },
+  ]);
+  if (historyErr) {
+    console.error("⚠️ Failed to record price history:", historyErr.message);
+  }
 
-    res.json({ ok: true, product: data });
+  // ⌛ Open suggestions for this variant were priced off the old number
+  try {
+    await expireActionsForVariant(shop, product_id, variant.id, "Price changed");
   } catch (err) {
-    console.error("❌ /api/shopify/update-price error:", err.message);
-    res.status(500).json({ ok: false, error: err.message });
+    console.error("⚠️ Failed to expire stale actions:", err.message);
   }
-});
+
+  return { ok: true, product, variant: result.variant, old_price: oldPrice };
+}
+
+// 4️⃣ Update a variant price in Shopify, then mirror it in Supabase.
+// Always recorded as source "manual" — the other sources are set by the code
+// paths they name (runs, approvals, webhooks, rollbacks), never by callers.
+router.post(
+  "/update-price",
+  requireShop,
+  validate({
+    summary: "Change a variant price in Shopify and record it",
+    body: object(
+      {
+        shop: SHOP,
+        product_id: SHOPIFY_ID,
+        variant_id: { ...SHOPIFY_ID, nullable: true },
+        new_price: {
+          anyOf: [PRICE, { type: "string", pattern: "^\\d+(\\.\\d+)?$" }],
+          description: "must be a positive price",
+        },
+        action_id: { ...ID, nullable: true },
+        run_id: { ...ID, nullable: true },
+      },
+      ["product_id", "new_price"]
+    ),
+    response: okResponse({ product: ROW, variant: ROW, old_price: { type: "number" } }),
+  }),
+  async (req, res) => {
+    const { shop, product_id, variant_id, new_price, action_id, run_id } = req.body;
+
+    try {
+      const { status, ...result } = await updateVariantPrice({
+        shop,
+        product_id,
+        variant_id,
+        new_price,
+        source: "manual",
+        action_id,
+        run_id,
+      });
+
+      res.status(result.ok ? 200 : status).json(result);
+    } catch (err) {
+      console.error("❌ /api/shopify/update-price error:", err.message);
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  }
+);
 
 export default router;
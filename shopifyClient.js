@@ -0,0 +1,309 @@
+// shopifyClient.js
+// The one way we talk to the Shopify Admin API:
+//   • a single API version (SHOPIFY_API_VERSION) for every call
+//   • a per-shop leaky bucket, kept in step with Shopify's own counters
+//     (X-Shopify-Shop-Api-Call-Limit for REST, extensions.cost for GraphQL),
+//     so we slow down before Shopify starts answering 429
+//   • retries with exponential backoff for 429 (always: Shopify did nothing)
+//     and, for idempotent calls only, 5xx / network errors, waiting as long
+//     as Retry-After asks
+//   • typed errors, so callers can tell a revoked token from a missing
+//     resource from "Shopify is still throttling us"
+import fetch from "node-fetch";
+
+export const SHOPIFY_API_VERSION = process.env.SHOPIFY_API_VERSION || "2025-10";
+
+const MAX_RETRIES = parseInt(process.env.SHOPIFY_MAX_RETRIES || "4", 10);
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 30 * 1000;
+
+// Until a response tells us otherwise: standard-plan REST bucket (40 calls,
+// 2/s) and GraphQL bucket (1000 points, 50/s). Plus shops get 10x both.
+const BUCKET_DEFAULTS = {
+  rest: { size: 40, leakPerSec: 2 },
+  graphql: { size: 1000, leakPerSec: 50 },
+};
+
+// What we reserve for a GraphQL query before Shopify tells us its real cost
+const DEFAULT_GRAPHQL_COST = 50;
+
+export class ShopifyError extends Error {
+  constructor(message, { status = null, shop = null, body = null } = {}) {
+    super(message);
+    this.name = "ShopifyError";
+    this.status = status;
+    this.shop = shop;
+    this.body = body;
+  }
+}
+
+// 401/403: the token was revoked, the app uninstalled or a scope is missing
+export class ShopifyAuthError extends ShopifyError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "ShopifyAuthError";
+  }
+}
+
+export class ShopifyNotFoundError extends ShopifyError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "ShopifyNotFoundError";
+  }
+}
+
+// Still throttled after every retry
+export class ShopifyThrottledError extends ShopifyError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "ShopifyThrottledError";
+  }
+}
+
+// HTTP status for our own API when a Shopify call failed
+export function statusForShopifyError(err) {
+  if (err instanceof ShopifyAuthError) return 401;
+  if (err instanceof ShopifyNotFoundError) return 404;
+  if (err instanceof ShopifyThrottledError) return 503;
+  if (err instanceof ShopifyError) return 502;
+  return 500;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Helper: turn a Shopify error payload into a readable message
+function shopifyErrorMessage(data, status) {
+  const errors = data?.errors;
+  if (!errors) return `Shopify responded with ${status}`;
+  if (typeof errors === "string") return errors;
+  if (Array.isArray(errors)) return errors.map((e) => e.message || String(e)).join("; ");
+  return Object.entries(errors)
+    .map(([field, msgs]) => `${field} ${[].concat(msgs).join(", ")}`)
+    .join("; ");
+}
+
+// Helper: pull the rel="next" URL out of Shopify's Link header
+function nextPageUrl(linkHeader) {
+  if (!linkHeader) return null;
+  const match = linkHeader
+    .split(",")
+    .map((part) => part.match(/<([^>]+)>;\s*rel="next"/))
+    .find(Boolean);
+  return match ? match[1] : null;
+}
+
+// Helper: "products.json" → versioned Admin API URL; "/admin/..." and full
+// URLs (pagination links) are used as they are. SHOPIFY_ADMIN_ORIGIN points
+// every shop at one host instead, e.g. a local stand-in server in tests.
+function adminUrl(shop, path) {
+  if (/^https?:\/\//.test(path)) return path;
+  const origin = process.env.SHOPIFY_ADMIN_ORIGIN || `https://${shop}`;
+  if (path.startsWith("/admin/")) return `${origin}${path}`;
+  return `${origin}/admin/api/${SHOPIFY_API_VERSION}/${path.replace(/^\//, "")}`;
+}
+
+// ---- Per-shop leaky buckets ----
+
+const buckets = new Map();
+
+function bucketFor(shop, kind) {
+  const key = `${shop}:${kind}`;
+  if (!buckets.has(key)) {
+    buckets.set(key, {
+      ...BUCKET_DEFAULTS[kind],
+      level: 0,
+      at: Date.now(),
+      tail: Promise.resolve(),
+    });
+  }
+  return buckets.get(key);
+}
+
+// Helper: let the bucket leak for the time since we last looked
+function leak(bucket, now = Date.now()) {
+  bucket.level = Math.max(0, bucket.level - ((now - bucket.at) / 1000) * bucket.leakPerSec);
+  bucket.at = now;
+}
+
+// Wait until the shop's bucket has room for `cost`, then take it.
+// Callers queue up, so a burst drains at Shopify's rate instead of all at once.
+async function takeFromBucket(shop, kind, cost) {
+  const bucket = bucketFor(shop, kind);
+  const turn = bucket.tail.then(async () => {
+    leak(bucket);
+    const needed = Math.min(cost, bucket.size) - (bucket.size - bucket.level);
+    if (needed > 0) await sleep((needed / bucket.leakPerSec) * 1000);
+    leak(bucket);
+    bucket.level += cost;
+  });
+  bucket.tail = turn.catch(() => {});
+  return turn;
+}
+
+// REST: "32/40" = 32 of 40 calls used; the bucket leaks at size / 20 per second
+function noteRestLimit(shop, header) {
+  const match = /^(\d+)\/(\d+)$/.exec(header || "");
+  if (!match) return;
+  const bucket = bucketFor(shop, "rest");
+  bucket.size = Number(match[2]);
+  bucket.leakPerSec = bucket.size / 20;
+  bucket.level = Number(match[1]);
+  bucket.at = Date.now();
+}
+
+// GraphQL: extensions.cost.throttleStatus is the bucket as Shopify sees it
+function noteGraphqlCost(shop, cost) {
+  const status = cost?.throttleStatus;
+  if (!status) return;
+  const bucket = bucketFor(shop, "graphql");
+  bucket.size = status.maximumAvailable;
+  bucket.leakPerSec = status.restoreRate;
+  bucket.level = status.maximumAvailable - status.currentlyAvailable;
+  bucket.at = Date.now();
+}
+
+// Helper: Retry-After (seconds or an HTTP date) → ms, or null
+function retryAfterMs(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(header);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+// Helper: 500ms, 1s, 2s, ... with jitter so retries from parallel calls spread out
+function backoffMs(attempt) {
+  const base = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt);
+  return Math.round(base / 2 + Math.random() * (base / 2));
+}
+
+function errorFor(status, data, shop) {
+  const message = shopifyErrorMessage(data, status);
+  const options = { status, shop, body: data };
+  if (status === 401 || status === 403) return new ShopifyAuthError(message, options);
+  if (status === 404) return new ShopifyNotFoundError(message, options);
+  if (status === 429) return new ShopifyThrottledError(message, options);
+  return new ShopifyError(message, options);
+}
+
+async function readJson(response) {
+  const text = await response.text();
+  if (!text) return {};
+  try {
+    return JSON.parse(text);
+  } catch {
+    return { errors: text.slice(0, 200) };
+  }
+}
+
+/**
+ * Call the Admin API. `path` is relative to /admin/api/<version>/ (or an
+ * /admin/... path, or a full URL from a Link header).
+ * `idempotent` (default: GET only) says a 5xx or dropped connection may be
+ * retried — the first attempt may have gone through, so a POST that creates
+ * something must not be sent twice.
+ * Returns { data, headers, status }; throws a ShopifyError subclass when
+ * Shopify says no, after retrying what is worth retrying.
+ */
+export async function shopifyRequest(
+  shop,
+  token,
+  path,
+  { method = "GET", body, kind = "rest", cost = 1, idempotent = method === "GET" } = {}
+) {
+  const url = adminUrl(shop, path);
+  const headers = { "Content-Type": "application/json" };
+  if (token) headers["X-Shopify-Access-Token"] = token;
+
+  for (let attempt = 0; ; attempt++) {
+    await takeFromBucket(shop, kind, cost);
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+    } catch (err) {
+      if (idempotent && attempt < MAX_RETRIES) {
+        const wait = backoffMs(attempt);
+        console.log(`⏳ Shopify request for ${shop} failed (${err.message}), retrying in ${wait}ms`);
+        await sleep(wait);
+        continue;
+      }
+      throw new ShopifyError(`Could not reach Shopify: ${err.message}`, { shop });
+    }
+
+    if (kind === "rest") {
+      noteRestLimit(shop, response.headers.get("x-shopify-shop-api-call-limit"));
+    }
+    const data = await readJson(response);
+    if (kind === "graphql") noteGraphqlCost(shop, data.extensions?.cost);
+
+    // GraphQL reports throttling in the body of a 200
+    const throttled =
+      response.status === 429 ||
+      (kind === "graphql" && data.errors?.some?.((e) => e.extensions?.code === "THROTTLED"));
+
+    if (response.ok && !throttled) {
+      return { data, headers: response.headers, status: response.status };
+    }
+
+    const retryable = throttled || (idempotent && response.status >= 500);
+    if (retryable && attempt < MAX_RETRIES) {
+      if (throttled && kind === "rest") {
+        const bucket = bucketFor(shop, "rest");
+        bucket.level = bucket.size;
+        bucket.at = Date.now();
+      }
+      const wait = retryAfterMs(response.headers.get("retry-after")) ?? backoffMs(attempt);
+      console.log(`⏳ Shopify ${throttled ? "throttled" : response.status} for ${shop}, retrying in ${wait}ms`);
+      await sleep(wait);
+      continue;
+    }
+
+    throw errorFor(throttled ? 429 : response.status, data, shop);
+  }
+}
+
+// GET one REST resource, e.g. shopifyGet(shop, token, "shop.json").shop
+export async function shopifyGet(shop, token, path) {
+  const { data } = await shopifyRequest(shop, token, path);
+  return data;
+}
+
+// GET every page of a REST list using cursor (page_info) pagination
+export async function shopifyGetAll(shop, token, path, key) {
+  const all = [];
+  const sep = path.includes("?") ? "&" : "?";
+  let url = /[?&]limit=/.test(path) ? path : `${path}${sep}limit=250`;
+
+  while (url) {
+    const { data, headers } = await shopifyRequest(shop, token, url);
+    all.push(...(data[key] || []));
+    url = nextPageUrl(headers.get("link"));
+  }
+
+  return all;
+}
+
+/**
+ * Run a GraphQL Admin query. `cost` is what to reserve up front (the real
+ * cost comes back in extensions.cost). Queries are retried like GETs,
+ * mutations only when throttled. Returns `data`; GraphQL errors throw.
+ */
+export async function shopifyGraphql(shop, token, query, variables = {}, { cost } = {}) {
+  const { data } = await shopifyRequest(shop, token, "graphql.json", {
+    method: "POST",
+    body: { query, variables },
+    kind: "graphql",
+    cost: cost ?? DEFAULT_GRAPHQL_COST,
+    idempotent: !/^\s*mutation\b/.test(query),
+  });
+
+  if (data.errors?.length) {
+    throw new ShopifyError(shopifyErrorMessage(data, 200), { status: 200, shop, body: data });
+  }
+  return data.data;
+}
@@ -0,0 +1,68 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { startFakeSupabase } from "./helpers/fakeSupabase.js";
+import { startFakeShopify } from "./helpers/fakeShopify.js";
+
+const SHOP = "demo.myshopify.com";
+
+const supabase = await startFakeSupabase();
+const shopify = await startFakeShopify();
+process.env.SUPABASE_URL = supabase.url;
+process.env.SUPABASE_SERVICE_ROLE_KEY = "test";
+process.env.SHOPIFY_ADMIN_ORIGIN = shopify.origin;
+
+const { canTransition, recoverStaleApplyingActions } = await import("../aiActionLifecycle.js");
+
+after(() => Promise.all([supabase.close(), shopify.close()]));
+
+const NOW = new Date("2026-03-02T12:00:00Z");
+
+// Helper: a price_adjustment (12.00 → 15.00) claimed for applying at `updatedAt`
+const applying = (id, variantId, updatedAt = "2026-03-02T11:00:00Z") => ({
+  id,
+  shop_domain: SHOP,
+  product_id: 1001,
+  variant_id: variantId,
+  action: "price_adjustment",
+  status: "applying",
+  details: { old_price: 12, new_price: 15 },
+  updated_at: updatedAt,
+});
+
+test("stuck applies are settled from the live price", async () => {
+  const { db } = supabase;
+  db.shops = [{ shop_domain: SHOP, access_token: "tok" }];
+  db.ai_actions = [
+    applying(1, 2001),
+    applying(2, 2002),
+    applying(3, 2003),
+    // Still within the apply window: left alone
+    applying(4, 2001, "2026-03-02T11:55:00Z"),
+  ];
+  const live = { 2001: "15.00", 2002: "12.00", 2003: "13.50" };
+  for (const [id, price] of Object.entries(live)) {
+    shopify.state.rest[`${id}.json`] = { variant: { id: Number(id), price } };
+  }
+
+  const recovered = await recoverStaleApplyingActions(NOW);
+
+  assert.equal(recovered, 3);
+  const byId = (id) => db.ai_actions.find((a) => a.id === id);
+  assert.deepEqual([1, 2, 3, 4].map((id) => byId(id).status), [
+    "completed",
+    "failed",
+    "failed",
+    "applying",
+  ]);
+  assert.match(byId(2).error, /before the price changed/);
+  assert.match(byId(3).error, /now £13\.50/);
+
+  // Rollback needs the price_applied row for the one that went through
+  const logged = db.ai_actions.filter((a) => a.action === "price_applied");
+  assert.deepEqual(logged.map((a) => [a.variant_id, a.details.applied_from]), [[2001, 1]]);
+});
+
+test("a failed action can only be closed, not re-applied", () => {
+  assert.equal(canTransition("failed", "applying"), false);
+  assert.equal(canTransition("failed", "rejected"), true);
+});
@@ -0,0 +1,61 @@
+import "./helpers/env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+
+const { AuthError, verifySessionToken } = await import("../auth.js");
+
+const NOW = Date.parse("2025-06-01T12:00:00Z");
+const seconds = Math.floor(NOW / 1000);
+
+// Helper: HS256 JWT like App Bridge issues
+function sign(payload, { secret = process.env.SHOPIFY_API_SECRET, alg = "HS256" } = {}) {
+  const part = (obj) => Buffer.from(JSON.stringify(obj)).toString("base64url");
+  const body = `${part({ alg, typ: "JWT" })}.${part(payload)}`;
+  const sig = crypto.createHmac("sha256", secret).update(body).digest("base64url");
+  return `${body}.${sig}`;
+}
+
+const claims = (extra = {}) => ({
+  iss: "https://demo.myshopify.com/admin",
+  dest: "https://demo.myshopify.com",
+  aud: process.env.SHOPIFY_API_KEY,
+  sub: "42",
+  exp: seconds + 60,
+  nbf: seconds - 60,
+  ...extra,
+});
+
+const rejects = (token, message) =>
+  assert.throws(() => verifySessionToken(token, NOW), (err) => {
+    assert.ok(err instanceof AuthError);
+    assert.equal(err.message, message);
+    return true;
+  });
+
+test("accepts a valid token", () => {
+  assert.deepEqual(verifySessionToken(sign(claims()), NOW), {
+    shop: "demo.myshopify.com",
+    user_id: "42",
+  });
+});
+
+test("rejects expired tokens (beyond the clock skew)", () => {
+  rejects(sign(claims({ exp: seconds - 10 })), "Session token expired");
+  assert.ok(verifySessionToken(sign(claims({ exp: seconds - 3 })), NOW));
+});
+
+test("rejects tokens signed with another secret or tampered with", () => {
+  rejects(sign(claims(), { secret: "other" }), "Invalid session token signature");
+
+  const [header, , sig] = sign(claims()).split(".");
+  const forged = Buffer.from(JSON.stringify(claims({ dest: "https://evil.myshopify.com" })))
+    .toString("base64url");
+  rejects(`${header}.${forged}.${sig}`, "Invalid session token signature");
+});
+
+test("rejects other algorithms, other apps and malformed tokens", () => {
+  rejects(sign(claims(), { alg: "none" }), "Unsupported token algorithm");
+  rejects(sign(claims({ aud: "other-app" })), "Session token is for another app");
+  rejects("not-a-token", "Malformed session token");
+});
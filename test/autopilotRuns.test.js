@@ -0,0 +1,82 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { startFakeSupabase } from "./helpers/fakeSupabase.js";
+
+const SHOP = "demo.myshopify.com";
+const types = ["run_started", "product_evaluated", "product_evaluated", "run_finished"];
+
+const supabase = await startFakeSupabase({
+  autopilot_runs: [
+    { id: 7, shop_domain: SHOP, status: "completed" },
+    { id: 8, shop_domain: SHOP, status: "completed" },
+  ],
+  autopilot_run_events: types.map((type, i) => ({
+    shop_domain: SHOP,
+    run_id: 7,
+    seq: i + 1,
+    type,
+    data: { n: i + 1 },
+    created_at: new Date(Date.UTC(2025, 5, 1, 0, 0, i)).toISOString(),
+  })),
+});
+process.env.SUPABASE_URL = supabase.url;
+process.env.SUPABASE_SERVICE_ROLE_KEY = "test";
+process.env.SHOPIFY_API_SECRET = "test-secret";
+process.env.SHOPIFY_API_KEY = "test-key";
+
+const { runEventsRouter } = await import("../autopilotRuns.js");
+const { signStreamToken } = await import("../auth.js");
+
+const app = express();
+app.use("/api/autopilot", runEventsRouter);
+const server = app.listen(0);
+const base = `http://localhost:${server.address().port}/api/autopilot/runs/events`;
+
+after(() => Promise.all([new Promise((resolve) => server.close(resolve)), supabase.close()]));
+
+const tokenFor = (run_id, now) => signStreamToken({ shop: SHOP, run_id }, now).token;
+
+// Helper: the SSE ids in a response body
+const ids = (body) => [...body.matchAll(/^id: (\d+)$/gm)].map((m) => Number(m[1]));
+
+test("a stream token opens the run's stream and Last-Event-ID resumes it", async () => {
+  const response = await fetch(`${base}?run_id=7&token=${tokenFor(7)}`, {
+    headers: { "Last-Event-ID": "2" },
+  });
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get("content-type"), /text\/event-stream/);
+
+  const body = await response.text();
+  assert.deepEqual(ids(body), [3, 4]);
+  assert.match(body, /event: run_finished\ndata: \{"n":4\}/);
+});
+
+test("?last_event_id= works like the header; without one the whole run replays", async () => {
+  const resumed = await fetch(`${base}?run_id=7&last_event_id=3&token=${tokenFor(7)}`);
+  assert.deepEqual(ids(await resumed.text()), [4]);
+
+  const full = await fetch(`${base}?run_id=7&token=${tokenFor(7)}`);
+  assert.deepEqual(ids(await full.text()), [1, 2, 3, 4]);
+});
+
+test("tokens for another run, expired or tampered with are refused", async () => {
+  assert.equal((await fetch(`${base}?run_id=7&token=${tokenFor(8)}`)).status, 403);
+
+  const expired = tokenFor(7, Date.now() - 10 * 60 * 1000);
+  assert.equal((await fetch(`${base}?run_id=7&token=${expired}`)).status, 401);
+
+  const [, sig] = tokenFor(7).split(".");
+  const forged = Buffer.from(JSON.stringify({ shop: "evil.myshopify.com", run_id: "7", exp: 9e9 }))
+    .toString("base64url");
+  assert.equal((await fetch(`${base}?run_id=7&token=${forged}.${sig}`)).status, 401);
+});
+
+test("without a token or auth headers the stream is refused", async () => {
+  const response = await fetch(`${base}?run_id=7`);
+  assert.equal(response.status, 401);
+  assert.deepEqual(await response.json(), {
+    ok: false,
+    error: "Missing session token or API key",
+  });
+});
@@ -0,0 +1,31 @@
+import "./helpers/env.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+const { nextRunAfter } = await import("../autopilotScheduler.js");
+
+const at = (schedule_time) => ({ timezone: "Europe/London", schedule_time });
+const next = (schedule, after) => nextRunAfter(schedule, new Date(after)).toISOString();
+
+// London: 30 March 2025 01:00 GMT → 02:00 BST, 26 October 2025 02:00 BST → 01:00 GMT
+
+test("keeps the local time when the UTC offset changes", () => {
+  assert.equal(next(at("09:00"), "2025-03-29T12:00:00Z"), "2025-03-30T08:00:00.000Z");
+  assert.equal(next(at("09:00"), "2025-10-25T12:00:00Z"), "2025-10-26T09:00:00.000Z");
+});
+
+test("a time skipped by spring-forward runs an hour later that day", () => {
+  assert.equal(next(at("01:30"), "2025-03-29T12:00:00Z"), "2025-03-30T01:30:00.000Z");
+  assert.equal(next(at("01:30"), "2025-03-30T12:00:00Z"), "2025-03-31T00:30:00.000Z");
+});
+
+test("a time repeated by fall-back runs once, on its second occurrence", () => {
+  assert.equal(next(at("01:30"), "2025-10-25T12:00:00Z"), "2025-10-26T01:30:00.000Z");
+  assert.equal(next(at("01:30"), "2025-10-26T01:30:00Z"), "2025-10-27T01:30:00.000Z");
+});
+
+test("skips days not in schedule_days", () => {
+  // Friday 31 October 2025 → next Monday
+  const schedule = { timezone: "America/New_York", schedule_time: "09:00", schedule_days: [1] };
+  assert.equal(next(schedule, "2025-10-31T20:00:00Z"), "2025-11-03T14:00:00.000Z");
+});
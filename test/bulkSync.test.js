@@ -0,0 +1,180 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { startFakeSupabase } from "./helpers/fakeSupabase.js";
+import { startFakeShopify } from "./helpers/fakeShopify.js";
+
+const SHOP = "demo.myshopify.com";
+
+const supabase = await startFakeSupabase();
+const shopify = await startFakeShopify();
+process.env.SUPABASE_URL = supabase.url;
+process.env.SUPABASE_SERVICE_ROLE_KEY = "test";
+process.env.SHOPIFY_ADMIN_ORIGIN = shopify.origin;
+
+const { checkBulkSync, finishBulkSync, startBulkSync } = await import("../bulkSync.js");
+const { JobCancelledError } = await import("../jobQueue.js");
+
+after(() => Promise.all([supabase.close(), shopify.close()]));
+
+// Helper: fresh tables for one sync of fixtures/bulk/<name>.jsonl
+function seed(name) {
+  const { db } = supabase;
+  db.shops = [{ shop_domain: SHOP, access_token: "tok" }];
+  db.bulk_syncs = [
+    { id: 1, shop_domain: SHOP, operation_id: `gid://shopify/BulkOperation/${name}`, status: "running" },
+  ];
+  db.products = [
+    { shop_domain: SHOP, shopify_product_id: 1001, title: "Old", status: "active", collections: ["old"] },
+    { shop_domain: SHOP, shopify_product_id: 1099, title: "Gone", status: "active" },
+  ];
+  db.product_variants = [
+    { shop_domain: SHOP, shopify_product_id: 1001, shopify_variant_id: 2001, price: "30.00", position: 1 },
+    { shop_domain: SHOP, shopify_product_id: 1001, shopify_variant_id: 2002, price: "30.00", position: 2 },
+    { shop_domain: SHOP, shopify_product_id: 1099, shopify_variant_id: 2999, price: "9.00", position: 1 },
+  ];
+  return `gid://shopify/BulkOperation/${name}`;
+}
+
+// Helper: the bits of a job context the sync uses
+function fakeJob() {
+  return {
+    cancelled: false,
+    phases: [],
+    throwIfCancelled() {
+      if (this.cancelled) throw new JobCancelledError(1);
+    },
+    async progress(fields) {
+      this.phases.push(fields.phase);
+    },
+  };
+}
+
+const product = (id) =>
+  supabase.db.products.find((p) => String(p.shopify_product_id) === String(id));
+const variantIds = () =>
+  supabase.db.product_variants.map((v) => Number(v.shopify_variant_id)).sort();
+
+test("imports the bulk file: creates, updates, archives and removes variants", async () => {
+  const sync = await finishBulkSync(SHOP, seed("products"));
+
+  assert.equal(sync.status, "completed");
+  assert.deepEqual(
+    [sync.count, sync.created, sync.updated, sync.archived, sync.variants_removed, sync.orphans],
+    [2, 1, 1, 1, 1, 0]
+  );
+  assert.equal(sync.error, null);
+
+  assert.equal(product(1001).title, "Linen Shirt");
+  assert.equal(product(1001).price, "39.00");
+  assert.equal(product(1001).inventory_quantity, 16);
+  assert.deepEqual(product(1001).tags, ["summer", "linen"]);
+  assert.deepEqual(product(1001).collections, ["summer"]);
+  assert.equal(product(1002).status, "draft");
+  assert.equal(product(1099).status, "archived");
+  assert.deepEqual(variantIds(), [2001, 2002, 2003]);
+  assert.equal(supabase.db.bulk_syncs[0].status, "completed");
+});
+
+test("a batch is saved with one products upsert and one variants upsert", async () => {
+  const operationId = seed("products");
+  supabase.calls.length = 0;
+
+  await finishBulkSync(SHOP, operationId);
+
+  const writes = supabase.calls.filter((c) => /^(POST|rpc) (products|product_variants|upsert_product)$/.test(c));
+  assert.deepEqual(writes, ["POST products", "POST product_variants"]);
+});
+
+test("children that come before their product are still stored", async () => {
+  const sync = await finishBulkSync(SHOP, seed("products-out-of-order"));
+
+  assert.deepEqual(
+    [sync.created, sync.updated, sync.archived, sync.variants_removed, sync.orphans],
+    [1, 1, 1, 1, 0]
+  );
+  assert.deepEqual(variantIds(), [2001, 2002, 2003]);
+  const late = supabase.db.product_variants.find((v) => v.shopify_variant_id === 2002);
+  assert.equal(late.price, "41.00");
+  assert.equal(product(1001).price, "39.00");
+  assert.equal(product(1001).inventory_quantity, 16);
+  assert.deepEqual(product(1001).collections, ["summer", "shirts"]);
+});
+
+test("rows whose product is missing stop archiving and variant removal", async () => {
+  const sync = await finishBulkSync(SHOP, seed("products-orphans"));
+
+  assert.equal(sync.status, "completed");
+  assert.deepEqual([sync.count, sync.archived, sync.variants_removed, sync.orphans], [1, 0, 0, 1]);
+  assert.match(sync.error, /1 bulk rows belong to products missing from the file/);
+  assert.equal(product(1001).status, "active");
+  assert.equal(product(1099).status, "active");
+  assert.deepEqual(variantIds(), [2001, 2002, 2003, 2999]);
+  assert.match(supabase.db.bulk_syncs[0].error, /nothing was archived/);
+});
+
+test("a bulk sync job checks on the operation without waiting, then imports it", async () => {
+  seed("unused");
+  supabase.db.bulk_syncs = [];
+  shopify.state.nextOperation = "products";
+  shopify.state.status = "RUNNING";
+  const job = fakeJob();
+
+  const started = await startBulkSync(SHOP, "tok");
+  assert.equal(started.status, "running");
+  assert.equal(await checkBulkSync(SHOP, "tok", started.operation_id, { job }), null);
+  assert.equal(supabase.db.bulk_syncs[0].status, "running");
+
+  shopify.state.status = "COMPLETED";
+  const sync = await checkBulkSync(SHOP, "tok", started.operation_id, { job });
+
+  assert.equal(sync.status, "completed");
+  assert.deepEqual([sync.created, sync.updated, sync.archived], [1, 1, 1]);
+  assert.deepEqual([...new Set(job.phases)], ["bulk", "save"]);
+});
+
+test("cancelling the job cancels the bulk operation and imports nothing", async () => {
+  seed("unused");
+  supabase.db.bulk_syncs = [];
+  shopify.state.status = "RUNNING";
+  const job = fakeJob();
+
+  const started = await startBulkSync(SHOP, "tok");
+  assert.equal(await checkBulkSync(SHOP, "tok", started.operation_id, { job }), null);
+  job.cancelled = true;
+  await assert.rejects(
+    checkBulkSync(SHOP, "tok", started.operation_id, { job }),
+    JobCancelledError
+  );
+
+  assert.ok(shopify.state.calls.some((q) => q.includes("bulkOperationCancel")));
+  assert.equal(supabase.db.bulk_syncs[0].status, "cancelled");
+  assert.equal(product(1001).title, "Old");
+  assert.equal(product(1099).status, "active");
+});
+
+test("a sync the webhook finished is the job's result", async () => {
+  seed("unused");
+  supabase.db.bulk_syncs = [];
+  shopify.state.status = "RUNNING";
+
+  const started = await startBulkSync(SHOP, "tok");
+  Object.assign(supabase.db.bulk_syncs[0], { status: "completed", count: 7 });
+  const sync = await checkBulkSync(SHOP, "tok", started.operation_id, { job: fakeJob() });
+
+  assert.equal(sync.count, 7);
+  assert.equal(product(1001).title, "Old");
+});
+
+test("an operation still running after the time limit fails the job", async () => {
+  seed("unused");
+  supabase.db.bulk_syncs = [];
+  shopify.state.status = "RUNNING";
+
+  const started = await startBulkSync(SHOP, "tok");
+  supabase.db.bulk_syncs[0].created_at = new Date(Date.now() - 3 * 60 * 60 * 1000).toISOString();
+
+  await assert.rejects(
+    checkBulkSync(SHOP, "tok", started.operation_id, { job: fakeJob() }),
+    /still running after 120 minutes/
+  );
+});
@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { SCOPE_WEIGHTS, indexFeedback, scoreSuggestion } from "../feedbackModel.js";
+
+const NOW = new Date("2025-06-01T00:00:00Z");
+
+const products = [
+  { shopify_product_id: 1, product_type: "Mugs", vendor: "Acme", tags: ["kitchen"] },
+  { shopify_product_id: 2, product_type: "mugs", vendor: "Other", tags: [] },
+  { shopify_product_id: 3, product_type: "Lamps", vendor: "ACME", tags: "Kitchen, home" },
+  { shopify_product_id: 4, product_type: "Chairs", vendor: "Else", tags: [] },
+];
+const productsById = new Map(products.map((p) => [String(p.shopify_product_id), p]));
+
+const row = (product_id, feedback, extra = {}) => ({
+  product_id,
+  action: "price_adjustment",
+  feedback,
+  change_pct: 0.1,
+  created_at: NOW.toISOString(),
+  ...extra,
+});
+
+const score = (feedback, product) =>
+  scoreSuggestion(indexFeedback(feedback, productsById), product, 0.1, { now: NOW });
+
+test("rows count once, with their best scope", () => {
+  // Product 3 shares vendor and tag with product 1: vendor (0.35) wins
+  const result = score([row(3, "rejected")], products[0]);
+  assert.equal(result.rejected, SCOPE_WEIGHTS.vendor);
+  assert.equal(score([row(2, "approved")], products[0]).approved, SCOPE_WEIGHTS.product_type);
+  assert.equal(score([row(1, "approved")], products[0]).approved, SCOPE_WEIGHTS.product);
+});
+
+test("unrelated products, other actions and other decisions are ignored", () => {
+  const result = score(
+    [
+      row(4, "rejected"),
+      row(1, "rejected", { action: "ad_boost" }),
+      row(1, "expired"),
+    ],
+    products[0]
+  );
+  assert.equal(result.evidence, 0);
+  assert.equal(result.confidence, 0.5);
+});
+
+test("feedback on a product missing from the catalogue still counts for itself", () => {
+  const unknown = { shopify_product_id: 9, product_type: "Mugs" };
+  assert.equal(score([row(9, "rejected")], unknown).rejected, 1);
+  assert.equal(score([row(9, "rejected")], products[0]).evidence, 0);
+});
+
+test("one recent rejection of the same change suppresses it", () => {
+  assert.equal(score([row(1, "rejected")], products[0]).suppressed, true);
+});
@@ -0,0 +1,7 @@
+// test/helpers/env.js
+// Modules create their Supabase client on import — import this first so they
+// get a URL that is never called by the pure functions under test.
+process.env.SUPABASE_URL ||= "http://localhost:1";
+process.env.SUPABASE_SERVICE_ROLE_KEY ||= "test";
+process.env.SHOPIFY_API_SECRET ||= "test-secret";
+process.env.SHOPIFY_API_KEY ||= "test-key";
@@ -0,0 +1,81 @@
+// test/helpers/fakeShopify.js
+// Stand-in Admin API for the tests (point SHOPIFY_ADMIN_ORIGIN at it).
+// Operation "gid://shopify/BulkOperation/<name>" completes with the file
+// fixtures/bulk/<name>.jsonl; the next operation started gets the name in
+// `state.nextOperation`, and its status comes from `state.status`. Every
+// query received is kept in `state.calls`. REST GETs answer with
+// `state.rest[<resource>.json]` and PUTs echo their body (their URLs are kept
+// in `state.calls` too).
+import http from "http";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "../../fixtures/bulk");
+
+export async function startFakeShopify() {
+  const state = { nextOperation: "products", status: "COMPLETED", calls: [], rest: {} };
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const send = (data) => {
+        res.writeHead(200, { "content-type": "application/json" });
+        res.end(JSON.stringify(data));
+      };
+
+      if (req.url.startsWith("/files/")) {
+        res.writeHead(200, { "content-type": "application/jsonl" });
+        return fs.createReadStream(path.join(FIXTURES, req.url.slice(7))).pipe(res);
+      }
+
+      if (req.method === "GET") {
+        state.calls.push(req.url);
+        const resource = new URL(req.url, origin).pathname.split("/").pop();
+        return send(state.rest[resource] || {});
+      }
+      // REST updates are echoed back, as Shopify returns the saved resource
+      if (req.method === "PUT") {
+        state.calls.push(`PUT ${req.url}`);
+        return send(JSON.parse(body));
+      }
+
+      const { query, variables } = JSON.parse(body || "{}");
+      state.calls.push(query);
+      if (query.includes("bulkOperationRunQuery")) {
+        const id = `gid://shopify/BulkOperation/${state.nextOperation}`;
+        return send({
+          data: { bulkOperationRunQuery: { bulkOperation: { id, status: "CREATED" }, userErrors: [] } },
+        });
+      }
+      if (query.includes("bulkOperationCancel")) {
+        state.status = "CANCELED";
+        return send({
+          data: { bulkOperationCancel: { bulkOperation: { id: variables.id }, userErrors: [] } },
+        });
+      }
+      if (query.includes("BulkOperation")) {
+        const name = variables.id.split("/").pop();
+        const done = state.status === "COMPLETED";
+        return send({
+          data: {
+            node: {
+              id: variables.id,
+              status: state.status,
+              errorCode: null,
+              objectCount: "0",
+              url: done ? `${origin}/files/${name}.jsonl` : null,
+              partialDataUrl: null,
+            },
+          },
+        });
+      }
+      send({ errors: [{ message: `fake shopify: unexpected query ${query}` }] });
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, resolve));
+  const origin = `http://localhost:${server.address().port}`;
+  return { origin, state, close: () => new Promise((resolve) => server.close(resolve)) };
+}
@@ -0,0 +1,181 @@
+// test/helpers/fakeSupabase.js
+// In-memory stand-in for the PostgREST calls the code under test makes:
+// select (eq / in / not.in / is / lt / lte / gt / gte and a flat or=(...),
+// order, offset + limit), insert, upsert, update, delete and the
+// upsert_product RPC. Tables are plain arrays in `db`; every request is kept
+// in `calls` as "METHOD table" (or "rpc name"). Inserts and updates that break
+// one of the `unique` indexes given get Postgres' 23505, as a 409.
+import http from "http";
+
+// Helper: "in.(1,2)" / "eq.x" / "is.null" against one cell
+function matches(cell, expr) {
+  const negate = expr.startsWith("not.");
+  const [op, ...rest] = (negate ? expr.slice(4) : expr).split(".");
+  const value = rest.join(".");
+
+  let hit;
+  if (op === "eq") hit = String(cell) === value;
+  else if (op === "neq") hit = String(cell) !== value;
+  else if (op === "is") hit = value === "null" ? cell == null : String(cell) === value;
+  else if (op === "in") {
+    hit = value
+      .slice(1, -1)
+      .split(",")
+      .map((v) => v.replace(/^"|"$/g, ""))
+      .includes(String(cell));
+  } else if (op === "lt") hit = cell != null && cell < value;
+  else if (op === "lte") hit = cell != null && cell <= value;
+  else if (op === "gt") hit = cell != null && cell > value;
+  else if (op === "gte") hit = cell != null && cell >= value;
+  else throw new Error(`fake supabase: unsupported filter ${expr}`);
+  return negate ? !hit : hit;
+}
+
+const RESERVED = ["select", "order", "limit", "offset", "on_conflict", "columns"];
+
+function sortRows(rows, order) {
+  const keys = order.split(",").map((part) => {
+    const [column, dir] = part.split(".");
+    return { column, sign: dir === "desc" ? -1 : 1 };
+  });
+  return [...rows].sort((a, b) => {
+    for (const { column, sign } of keys) {
+      if (a[column] === b[column]) continue;
+      const an = Number(a[column]);
+      const bn = Number(b[column]);
+      const cmp = Number.isFinite(an) && Number.isFinite(bn) ? an - bn : a[column] > b[column] ? 1 : -1;
+      return cmp * sign;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Start the fake on a free port. tables: { name: [rows] } to seed.
+ * unique: { table: [{ name, columns, where? }] } — where(row) makes it partial.
+ * Returns { url, db, calls, close }.
+ */
+export async function startFakeSupabase(tables = {}, { unique = {} } = {}) {
+  const db = structuredClone(tables);
+  const calls = [];
+  let nextId = 1;
+
+  // Helper: the unique index `row` would break next to `others`, if any
+  const violated = (table, others, row) =>
+    (unique[table] || []).find(
+      ({ columns, where = () => true }) =>
+        where(row) &&
+        others.some((r) => where(r) && columns.every((c) => String(r[c]) === String(row[c])))
+    );
+
+  const upsertRow = (rows, row, conflict) => {
+    const existing = rows.find((r) => conflict.every((c) => String(r[c]) === String(row[c])));
+    if (existing) return Object.assign(existing, row);
+    const created = { id: nextId++, ...row };
+    rows.push(created);
+    return created;
+  };
+
+  const rpc = {
+    upsert_product(args) {
+      const row = Object.fromEntries(
+        Object.entries(args).map(([key, value]) => [key.replace(/^_/, ""), value])
+      );
+      upsertRow((db.products ||= []), row, ["shop_domain", "shopify_product_id"]);
+      return null;
+    },
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const url = new URL(req.url, "http://localhost");
+      const parts = url.pathname.split("/");
+      const name = parts.pop();
+      const json = body ? JSON.parse(body) : null;
+
+      const send = (status, data) => {
+        res.writeHead(status, { "content-type": "application/json" });
+        res.end(JSON.stringify(data));
+      };
+
+      if (parts.pop() === "rpc") {
+        calls.push(`rpc ${name}`);
+        return send(200, rpc[name](json));
+      }
+      calls.push(`${req.method} ${name}`);
+
+      const rows = (db[name] ||= []);
+      const filters = [...url.searchParams].filter(([key]) => !RESERVED.includes(key));
+      const hit = (row) =>
+        filters.every(([key, expr]) =>
+          key === "or"
+            ? expr
+                .slice(1, -1)
+                .split(",")
+                .some((part) => {
+                  const [column, ...rest] = part.split(".");
+                  return matches(row[column], rest.join("."));
+                })
+            : matches(row[key], expr)
+        );
+      const prefer = req.headers.prefer || "";
+      const conflict = (index) =>
+        send(409, {
+          code: "23505",
+          message: `duplicate key value violates unique constraint "${index.name}"`,
+        });
+
+      let out;
+      if (req.method === "GET") {
+        out = rows.filter(hit);
+        if (url.searchParams.get("order")) out = sortRows(out, url.searchParams.get("order"));
+        const offset = Number(url.searchParams.get("offset") || 0);
+        const limit = url.searchParams.get("limit");
+        out = out.slice(offset, limit ? offset + Number(limit) : undefined);
+      } else if (req.method === "POST" && prefer.includes("resolution=merge-duplicates")) {
+        const conflict = url.searchParams.get("on_conflict").split(",");
+        out = [].concat(json).map((row) => upsertRow(rows, row, conflict));
+      } else if (req.method === "POST") {
+        out = [];
+        for (const row of [].concat(json)) {
+          const index = violated(name, [...rows, ...out], row);
+          if (index) return conflict(index);
+          out.push({ id: nextId++, created_at: new Date().toISOString(), ...row });
+        }
+        rows.push(...out);
+      } else if (req.method === "PATCH") {
+        out = rows.filter(hit);
+        for (const row of out) {
+          const index = violated(name, rows.filter((r) => r !== row), { ...row, ...json });
+          if (index) return conflict(index);
+        }
+        out.forEach((row) => Object.assign(row, json));
+      } else if (req.method === "DELETE") {
+        out = rows.filter(hit);
+        db[name] = rows.filter((row) => !hit(row));
+      }
+
+      if ((req.headers.accept || "").includes("vnd.pgrst.object")) {
+        if (out.length !== 1) {
+          return send(406, {
+            code: "PGRST116",
+            message: "JSON object requested, multiple (or no) rows returned",
+            details: `The result contains ${out.length} rows`,
+          });
+        }
+        out = out[0];
+      }
+      send(200, out);
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, resolve));
+  return {
+    url: `http://localhost:${server.address().port}`,
+    db,
+    calls,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
@@ -0,0 +1,5 @@
+// test/helpers/logToStderr.js
+// Preloaded by `npm test`: the app logs a lot through console.log, and Node
+// 20's test runner can misread a test file's stdout when a log line arrives
+// in the same chunk as its own messages. stderr is passed through as is.
+console.log = console.error;
@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseIcs } from "../icsParser.js";
+
+const ics = [
+  "BEGIN:VCALENDAR",
+  "BEGIN:VEVENT",
+  "UID:xmas@example.com",
+  "SUMMARY:Christmas\\, Boxing Day\; and",
+  "  more",
+  "DESCRIPTION:Line one\\nLine two with a \\\\ backslash",
+  "DTSTART;VALUE=DATE:20251225",
+  "DTEND;VALUE=DATE:20251227",
+  "END:VEVENT",
+  "BEGIN:VEVENT",
+  "SUMMARY:Timed",
+  "DTSTART:20250301T090000Z",
+  "DTEND:20250301T170000Z",
+  "END:VEVENT",
+  "BEGIN:VEVENT",
+  "DTSTART;VALUE=DATE:20250101",
+  "END:VEVENT",
+  "END:VCALENDAR",
+].join("\r\n");
+
+test("folded lines are unfolded and TEXT escapes undone", () => {
+  const { events } = parseIcs(ics);
+  assert.equal(events[0].name, "Christmas, Boxing Day; and more");
+  assert.equal(events[0].description, "Line one\nLine two with a \\ backslash");
+  assert.equal(events[0].uid, "xmas@example.com");
+});
+
+test("all-day DTEND is exclusive; timed events keep their day", () => {
+  const { events } = parseIcs(ics);
+  assert.deepEqual([events[0].start_date, events[0].end_date], ["2025-12-25", "2025-12-26"]);
+  assert.deepEqual([events[1].start_date, events[1].end_date], ["2025-03-01", "2025-03-01"]);
+});
+
+test("events without a summary are skipped; LF-only files work too", () => {
+  const { events, skipped } = parseIcs(ics.replace(/\r\n/g, "\n"));
+  assert.equal(events.length, 2);
+  assert.equal(skipped, 1);
+});
@@ -0,0 +1,146 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { startFakeSupabase } from "./helpers/fakeSupabase.js";
+
+const SHOP = "demo.myshopify.com";
+
+// Same as jobs_one_open_key in migrations/018_jobs.sql
+const ONE_OPEN_JOB = {
+  name: "jobs_one_open_key",
+  columns: ["shop_domain", "type"],
+  where: (job) =>
+    ["queued", "running"].includes(job.status) &&
+    ["autopilot_run", "product_sync"].includes(job.type),
+};
+
+const supabase = await startFakeSupabase({}, { unique: { jobs: [ONE_OPEN_JOB] } });
+process.env.SUPABASE_URL = supabase.url;
+process.env.SUPABASE_SERVICE_ROLE_KEY = "test";
+process.env.JOB_POLL_MS = "10";
+
+const {
+  JobConflictError,
+  cancelJob,
+  enqueueJob,
+  registerJobHandler,
+  retryJob,
+  startJobWorker,
+  stopJobWorker,
+  wakeJob,
+} = await import("../jobQueue.js");
+
+after(() => {
+  stopJobWorker();
+  return supabase.close();
+});
+
+// Helper: resolves once check() is true (polls the fake's tables)
+async function waitFor(check, ms = 3000) {
+  const deadline = Date.now() + ms;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error("timed out waiting");
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+test("a second open autopilot run is refused with the one already queued", async () => {
+  supabase.db.jobs = [];
+
+  const first = await enqueueJob(SHOP, "autopilot_run", { source: "manual" });
+  await assert.rejects(enqueueJob(SHOP, "autopilot_run", { source: "schedule" }), (err) => {
+    assert.ok(err instanceof JobConflictError);
+    assert.equal(err.job.id, first.id);
+    return true;
+  });
+
+  // Other types can have several open
+  await enqueueJob(SHOP, "autopilot_preview");
+  await enqueueJob(SHOP, "autopilot_preview");
+  assert.equal(supabase.db.jobs.length, 3);
+});
+
+test("retrying a failed sync while another one is open is a conflict", async () => {
+  supabase.db.jobs = [
+    { id: 50, shop_domain: SHOP, type: "product_sync", status: "failed", attempts: 3 },
+    { id: 51, shop_domain: SHOP, type: "product_sync", status: "queued", attempts: 0 },
+  ];
+
+  await assert.rejects(retryJob(SHOP, 50), (err) => err instanceof JobConflictError && err.job.id === 51);
+  assert.equal(supabase.db.jobs[0].status, "failed");
+});
+
+test("a handler that throws is queued again until max_attempts, then fails", async () => {
+  supabase.db.jobs = [];
+  let calls = 0;
+  registerJobHandler("autopilot_preview", async () => {
+    calls += 1;
+    throw new Error(`boom ${calls}`);
+  });
+
+  const { id } = await enqueueJob(SHOP, "autopilot_preview", {}, { maxAttempts: 2 });
+  const job = () => supabase.db.jobs.find((j) => j.id === id);
+  startJobWorker();
+
+  try {
+    await waitFor(() => job().status === "queued" && job().error === "boom 1");
+    assert.ok(new Date(job().run_after) > new Date(), "waits before the next attempt");
+
+    // Skip the wait
+    job().run_after = new Date(Date.now() - 1000).toISOString();
+    await waitFor(() => job().status === "failed");
+  } finally {
+    stopJobWorker();
+  }
+
+  assert.equal(calls, 2);
+  assert.equal(job().attempts, 2);
+  assert.equal(job().error, "boom 2");
+});
+
+// Pauses on its first run, like a bulk sync waiting on Shopify
+registerJobHandler("product_sync", async (job, ctx) => {
+  ctx.throwIfCancelled();
+  if (!job.checkpoint) return ctx.later(60 * 1000, { step: 1 });
+  return { resumed_from: job.checkpoint.step };
+});
+registerJobHandler("ai_bulk_update", async () => ({ done: true }));
+
+test("a paused job gives the worker back and picks up from its checkpoint", async () => {
+  supabase.db.jobs = [];
+  const sync = await enqueueJob(SHOP, "product_sync");
+  const other = await enqueueJob(SHOP, "ai_bulk_update");
+  const job = (id) => supabase.db.jobs.find((j) => j.id === id);
+  startJobWorker();
+
+  try {
+    // The other job runs while the sync waits
+    await waitFor(() => job(other.id).status === "completed" && job(sync.id).checkpoint);
+    assert.equal(job(sync.id).status, "queued");
+    assert.deepEqual(job(sync.id).checkpoint, { step: 1 });
+    assert.equal(job(sync.id).attempts, 0, "a pause isn't an attempt");
+
+    assert.equal(await wakeJob(sync.id), true);
+    await waitFor(() => job(sync.id).status === "completed");
+  } finally {
+    stopJobWorker();
+  }
+
+  assert.deepEqual(job(sync.id).result, { resumed_from: 1 });
+  assert.equal(job(sync.id).attempts, 1);
+});
+
+test("cancelling a paused job runs it once more so it can clean up", async () => {
+  supabase.db.jobs = [];
+  const { id } = await enqueueJob(SHOP, "product_sync");
+  const job = () => supabase.db.jobs.find((j) => j.id === id);
+  startJobWorker();
+
+  try {
+    await waitFor(() => job().checkpoint);
+    const asked = await cancelJob(SHOP, id);
+    assert.equal(asked.cancel_requested, true);
+    await waitFor(() => job().status === "cancelled");
+  } finally {
+    stopJobWorker();
+  }
+});
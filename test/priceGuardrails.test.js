@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { applyGuardrails, resolveGuardrails } from "../priceGuardrails.js";
+
+test("min_margin raises the price to cover cost, rounded up to the cent", () => {
+  const g = resolveGuardrails({ min_margin: 0.3 }, null);
+  const result = applyGuardrails(10, g, { unitCost: 10 });
+  assert.equal(result.price, 14.29);
+  assert.deepEqual(result.limited_by, ["min_margin"]);
+});
+
+test("max change limits the move against the day and week start prices", () => {
+  const g = resolveGuardrails({ max_change_day_pct: 5, max_change_week_pct: 8 }, null);
+  assert.deepEqual(applyGuardrails(120, g, { dayStartPrice: 100, weekStartPrice: 100 }), {
+    price: 105,
+    limited_by: ["max_change_day"],
+  });
+  assert.deepEqual(applyGuardrails(80, g, { dayStartPrice: 100, weekStartPrice: 110 }), {
+    price: 101.2,
+    limited_by: ["max_change_day", "max_change_week"],
+  });
+});
+
+test("min_margin overrides the change limits", () => {
+  const g = resolveGuardrails({ min_margin: 0.5, max_change_day_pct: 5 }, null);
+  const result = applyGuardrails(60, g, { dayStartPrice: 100, unitCost: 60 });
+  assert.equal(result.price, 120);
+  assert.deepEqual(result.limited_by, ["max_change_day", "min_margin"]);
+});
+
+test("product values override the shop's; untouched prices report no limits", () => {
+  const g = resolveGuardrails({ min_margin: 0.5, floor_price: 10 }, { min_margin: "0.1" });
+  assert.equal(g.min_margin, 0.1);
+  assert.deepEqual(applyGuardrails(20, g, { unitCost: 10 }), { price: 20, limited_by: [] });
+});
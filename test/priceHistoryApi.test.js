@@ -0,0 +1,103 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { startFakeSupabase } from "./helpers/fakeSupabase.js";
+import { startFakeShopify } from "./helpers/fakeShopify.js";
+
+const SHOP = "demo.myshopify.com";
+
+const supabase = await startFakeSupabase();
+const shopify = await startFakeShopify();
+process.env.SUPABASE_URL = supabase.url;
+process.env.SUPABASE_SERVICE_ROLE_KEY = "test";
+process.env.SHOPIFY_ADMIN_ORIGIN = shopify.origin;
+
+const { revertRun } = await import("../priceHistoryApi.js");
+const { JobCancelledError } = await import("../jobQueue.js");
+
+after(() => Promise.all([supabase.close(), shopify.close()]));
+
+// Helper: one price_applied action of run 5 (12.00 → 15.00 on the variant)
+const applied = (id, variantId, extra = {}) => ({
+  id,
+  shop_domain: SHOP,
+  product_id: 1001,
+  variant_id: variantId,
+  run_id: 5,
+  action: "price_applied",
+  status: "completed",
+  details: { old_price: 12, new_price: 15 },
+  ...extra,
+});
+
+function seed() {
+  const { db } = supabase;
+  db.shops = [{ shop_domain: SHOP, access_token: "tok" }];
+  db.ai_actions = [
+    applied(1, 2001),
+    applied(2, 2002),
+    applied(3, 2003),
+    applied(4, 2001, { run_id: 6 }),
+    applied(5, 2002, { status: "reverted" }),
+  ];
+  db.ai_feedback = [];
+  db.price_history = [];
+  db.product_variants = [2001, 2002, 2003].map((id, i) => ({
+    shop_domain: SHOP,
+    shopify_product_id: 1001,
+    shopify_variant_id: id,
+    // 2003 was changed again after the run
+    price: id === 2003 ? "17.00" : "15.00",
+    position: i + 1,
+  }));
+  for (const v of db.product_variants) {
+    shopify.state.rest[`${v.shopify_variant_id}.json`] = {
+      variant: { id: v.shopify_variant_id, price: v.price, compare_at_price: null, position: v.position },
+    };
+  }
+}
+
+// Helper: the bits of a job context the revert uses
+function fakeJob(onProgress = () => {}) {
+  return {
+    cancelled: false,
+    throwIfCancelled() {
+      if (this.cancelled) throw new JobCancelledError(1);
+    },
+    async progress(fields) {
+      onProgress(this, fields);
+    },
+  };
+}
+
+test("reverts every completed change of the run and reports each one", async () => {
+  seed();
+
+  const result = await revertRun(SHOP, 5, { job: fakeJob() });
+
+  assert.deepEqual([result.total, result.reverted, result.failed], [3, 2, 1]);
+  assert.deepEqual(
+    result.results.map((r) => [r.action_id, r.ok]),
+    [[1, true], [2, true], [3, false]]
+  );
+  assert.match(result.results[2].error, /Price changed since it was applied/);
+
+  const status = (id) => supabase.db.ai_actions.find((a) => a.id === id).status;
+  assert.deepEqual([1, 2, 3, 4].map(status), ["reverted", "reverted", "completed", "completed"]);
+  assert.deepEqual(
+    supabase.db.price_history.map((h) => [h.variant_id, h.new_price, h.source]),
+    [[2001, 12, "rollback"], [2002, 12, "rollback"]]
+  );
+  assert.equal(supabase.db.ai_feedback.length, 2);
+});
+
+test("a cancelled job stops between actions", async () => {
+  seed();
+  const job = fakeJob((current, fields) => {
+    if (fields.done === 1) current.cancelled = true;
+  });
+
+  await assert.rejects(revertRun(SHOP, 5, { job }), JobCancelledError);
+
+  const status = (id) => supabase.db.ai_actions.find((a) => a.id === id).status;
+  assert.deepEqual([1, 2].map(status), ["reverted", "completed"]);
+});
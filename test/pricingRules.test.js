@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { calculateOptimalPrice } from "../pricingRules.js";
+
+const product = { title: "Mug", price: "100", inventory_quantity: 50 };
+
+const rule = (name, priority, value, extra = {}) => ({
+  name,
+  priority,
+  condition: { field: "product.price", op: ">", value: 0 },
+  adjustment: { type: "percent", value },
+  ...extra,
+});
+
+test("replace rules start from the original price; the last one wins", () => {
+  const rules = [rule("a", 10, 10), rule("b", 20, -5)];
+  const result = calculateOptimalPrice(product, {}, null, "balanced", rules);
+  assert.equal(result.price, 95);
+  assert.equal(result.rule, "b");
+  assert.deepEqual(result.matched.map((r) => r.name), ["a", "b"]);
+});
+
+test("stack rules compound on the price so far", () => {
+  const rules = [rule("a", 10, 10), rule("b", 20, 10, { stacking: "stack" })];
+  assert.equal(calculateOptimalPrice(product, {}, null, "balanced", rules).price, 121);
+});
+
+test("rules apply by priority, not by list order (ties keep list order)", () => {
+  const rules = [rule("late", 20, -5), rule("early", 10, 10), rule("tie", 20, 3)];
+  const result = calculateOptimalPrice(product, {}, null, "balanced", rules);
+  assert.equal(result.rule, "tie");
+  assert.deepEqual(result.matched.map((r) => r.name), ["early", "late", "tie"]);
+  assert.equal(result.price, 103);
+});
+
+test("disabled and non-matching rules are skipped", () => {
+  const rules = [
+    rule("off", 10, 50, { enabled: false }),
+    rule("miss", 20, 50, { condition: { field: "performance.conversion_rate", op: "<", value: 0.01 } }),
+    rule("amount", 30, 7, { adjustment: { type: "amount", value: 7 } }),
+  ];
+  const result = calculateOptimalPrice(product, {}, null, "balanced", rules);
+  assert.equal(result.price, 107);
+  assert.deepEqual(result.matched.map((r) => r.name), ["amount"]);
+});
+
+test("risk level softens or amplifies the move", () => {
+  const rules = [rule("a", 10, 10)];
+  assert.equal(calculateOptimalPrice(product, {}, null, "safe", rules).price, 105);
+  assert.equal(calculateOptimalPrice(product, {}, null, "aggressive", rules).price, 115);
+});
@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { rampFactor, resolveEventUplift } from "../seasonalPricing.js";
+
+const event = {
+  name: "Christmas",
+  start_date: "2025-12-01",
+  end_date: "2025-12-10",
+  uplift_pct: 20,
+  ramp_up_days: 3,
+  ramp_down_days: 1,
+  match_all: true,
+};
+
+test("ramp up starts partway on the first day and is full after the ramp", () => {
+  assert.equal(rampFactor(event, "2025-12-01"), 1 / 4);
+  assert.equal(rampFactor(event, "2025-12-03"), 3 / 4);
+  assert.equal(rampFactor(event, "2025-12-04"), 1);
+});
+
+test("ramp down eases off on the last days", () => {
+  assert.equal(rampFactor(event, "2025-12-09"), 1);
+  assert.equal(rampFactor(event, "2025-12-10"), 1 / 2);
+});
+
+test("no ramps means the full uplift on both edges", () => {
+  const flat = { ...event, ramp_up_days: 0, ramp_down_days: 0 };
+  assert.equal(rampFactor(flat, "2025-12-01"), 1);
+  assert.equal(rampFactor(flat, "2025-12-10"), 1);
+});
+
+test("the uplift is ramped, and nothing applies outside the dates", () => {
+  const product = { title: "Mug" };
+  assert.equal(resolveEventUplift([event], product, { on: "2025-12-01" }).uplift_pct, 5);
+  assert.equal(resolveEventUplift([event], product, { on: "2025-12-05" }).uplift_pct, 20);
+  assert.equal(resolveEventUplift([event], product, { on: "2025-11-30" }).matches, false);
+  assert.equal(resolveEventUplift([event], product, { on: "2025-12-11" }).matches, false);
+});
@@ -0,0 +1,55 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+
+// Answers each request with the next status in `replies` (then 200)
+const replies = [];
+const calls = [];
+const server = http.createServer((req, res) => {
+  calls.push(req.method);
+  const status = replies.shift() ?? 200;
+  res.writeHead(status, { "content-type": "application/json", "retry-after": "0" });
+  res.end(JSON.stringify(status === 200 ? { ok: true } : { errors: `status ${status}` }));
+});
+await new Promise((resolve) => server.listen(0, resolve));
+process.env.SHOPIFY_ADMIN_ORIGIN = `http://localhost:${server.address().port}`;
+
+const { ShopifyError, shopifyRequest } = await import("../shopifyClient.js");
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+// Helper: queue replies and forget earlier calls
+function reply(...statuses) {
+  replies.splice(0, replies.length, ...statuses);
+  calls.length = 0;
+}
+
+test("a GET is retried after a 5xx", async () => {
+  reply(502);
+  const { data } = await shopifyRequest("a.myshopify.com", "tok", "shop.json");
+  assert.deepEqual(data, { ok: true });
+  assert.equal(calls.length, 2);
+});
+
+test("a POST is not retried after a 5xx: it may have gone through", async () => {
+  reply(502);
+  await assert.rejects(
+    shopifyRequest("b.myshopify.com", "tok", "webhooks.json", { method: "POST", body: {} }),
+    (err) => err instanceof ShopifyError && err.status === 502
+  );
+  assert.equal(calls.length, 1);
+});
+
+test("a POST is retried when throttled, or when marked idempotent", async () => {
+  reply(429);
+  await shopifyRequest("c.myshopify.com", "tok", "webhooks.json", { method: "POST", body: {} });
+  assert.equal(calls.length, 2);
+
+  reply(503);
+  await shopifyRequest("c.myshopify.com", "tok", "variants/1.json", {
+    method: "PUT",
+    body: {},
+    idempotent: true,
+  });
+  assert.equal(calls.length, 2);
+});
@@ -0,0 +1,134 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import express from "express";
+import { startFakeSupabase } from "./helpers/fakeSupabase.js";
+import { startFakeShopify } from "./helpers/fakeShopify.js";
+
+const SHOP = "demo.myshopify.com";
+
+const supabase = await startFakeSupabase();
+const shopify = await startFakeShopify();
+process.env.SUPABASE_URL = supabase.url;
+process.env.SUPABASE_SERVICE_ROLE_KEY = "test";
+process.env.SHOPIFY_API_SECRET = "test-secret";
+process.env.SHOPIFY_ADMIN_ORIGIN = shopify.origin;
+
+const { default: webhooks } = await import("../webhooks.js");
+
+const app = express();
+app.use("/api/webhooks", webhooks);
+const server = app.listen(0);
+const url = `http://localhost:${server.address().port}/api/webhooks`;
+
+after(() =>
+  Promise.all([new Promise((resolve) => server.close(resolve)), supabase.close(), shopify.close()])
+);
+
+let deliveries = 0;
+
+// Helper: deliver a signed webhook the way Shopify does
+function deliver(topic, body) {
+  const raw = typeof body === "string" ? body : JSON.stringify(body);
+  return fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "X-Shopify-Topic": topic,
+      "X-Shopify-Shop-Domain": SHOP,
+      "X-Shopify-Webhook-Id": `wh-${++deliveries}`,
+      "X-Shopify-Hmac-Sha256": crypto
+        .createHmac("sha256", process.env.SHOPIFY_API_SECRET)
+        .update(raw)
+        .digest("base64"),
+    },
+    body: raw,
+  });
+}
+
+function seed() {
+  const { db } = supabase;
+  db.shops = [{ shop_domain: SHOP, access_token: "tok" }];
+  db.webhook_events = [];
+  db.products = [{ shop_domain: SHOP, shopify_product_id: 1001, inventory_quantity: 9 }];
+  db.product_variants = [
+    { shop_domain: SHOP, shopify_product_id: 1001, shopify_variant_id: 2001, inventory_item_id: 3001, inventory_quantity: 5 },
+    { shop_domain: SHOP, shopify_product_id: 1001, shopify_variant_id: 2002, inventory_item_id: 3002, inventory_quantity: 4 },
+  ];
+}
+
+test("inventory_levels/update stores the stock summed over every location", async () => {
+  seed();
+  shopify.state.rest["inventory_levels.json"] = {
+    inventory_levels: [
+      { inventory_item_id: 3001, location_id: 1, available: 2 },
+      { inventory_item_id: 3001, location_id: 2, available: 7 },
+      { inventory_item_id: 3001, location_id: 3, available: null },
+    ],
+  };
+
+  const res = await deliver("inventory_levels/update", {
+    inventory_item_id: 3001,
+    location_id: 1,
+    available: 2,
+  });
+
+  assert.equal(res.status, 200);
+  assert.ok(shopify.state.calls.at(-1).includes("inventory_item_ids=3001"));
+  assert.equal(supabase.db.product_variants[0].inventory_quantity, 9);
+  assert.equal(supabase.db.products[0].inventory_quantity, 13);
+});
+
+test("bulk_operations/finish wakes the product_sync job waiting on the operation", async () => {
+  seed();
+  const operationId = "gid://shopify/BulkOperation/products";
+  const later = new Date(Date.now() + 60 * 1000).toISOString();
+  supabase.db.bulk_syncs = [{ id: 1, shop_domain: SHOP, operation_id: operationId, status: "running" }];
+  supabase.db.jobs = [
+    {
+      id: 7,
+      shop_domain: SHOP,
+      type: "product_sync",
+      status: "queued",
+      checkpoint: { operation_id: operationId },
+      run_after: later,
+      created_at: new Date().toISOString(),
+    },
+  ];
+
+  const res = await deliver("bulk_operations/finish", {
+    admin_graphql_api_id: operationId,
+    type: "query",
+    status: "completed",
+  });
+
+  assert.equal(res.status, 200);
+  assert.ok(supabase.db.jobs[0].run_after < later);
+  // The job imports it, not the webhook
+  assert.equal(supabase.db.bulk_syncs[0].status, "running");
+});
+
+test("a malformed body is acknowledged without claiming the delivery", async () => {
+  seed();
+
+  const res = await deliver("products/update", "{not json");
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), { ok: true, ignored: true });
+  assert.equal(supabase.db.webhook_events.length, 0);
+});
+
+test("a bad signature is refused", async () => {
+  seed();
+  const res = await fetch(url, {
+    method: "POST",
+    headers: {
+      "X-Shopify-Topic": "products/update",
+      "X-Shopify-Shop-Domain": SHOP,
+      "X-Shopify-Webhook-Id": "wh-forged",
+      "X-Shopify-Hmac-Sha256": "bm9wZQ==",
+    },
+    body: "{}",
+  });
+  assert.equal(res.status, 401);
+});
@@ -0,0 +1,155 @@
+// validation.js
+// Request validation from plain JSON-Schema objects (the OpenAPI 3.0 subset we
+// use), so the same schemas drive both the 400s and /api/openapi.json.
+//
+//   router.post("/create", validate({ summary, body, response }), handler)
+//
+// Supported keywords: type, enum, required, properties, items, nullable,
+// minimum, maximum, exclusiveMinimum, minLength, maxLength, pattern, format
+// (date, date-time), minItems, maxItems, anyOf.
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Helper: human-readable list for messages
+const list = (values) => values.map(String).join(", ");
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(type, value) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+/**
+ * Check `value` against `schema`.
+ * Returns [{ field, message }] (empty = valid); `field` is a dotted path.
+ */
+export function validateSchema(schema, value, field = "") {
+  if (!schema) return [];
+  const errors = [];
+  const fail = (message) => errors.push({ field, message });
+
+  if (value === null && schema.nullable) return errors;
+
+  if (schema.anyOf) {
+    const ok = schema.anyOf.some((s) => validateSchema(s, value, field).length === 0);
+    if (!ok) fail(schema.description || "has the wrong shape");
+    return errors;
+  }
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    fail(`must be ${schema.type === "integer" ? "an integer" : `a ${schema.type}`}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${list(schema.enum)}`);
+    return errors;
+  }
+
+  if (typeof value === "number") {
+    if (!Number.isFinite(value)) fail("must be a finite number");
+    if (schema.minimum != null && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+    if (schema.exclusiveMinimum != null && value <= schema.exclusiveMinimum) {
+      fail(`must be > ${schema.exclusiveMinimum}`);
+    }
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength != null && value.trim().length < schema.minLength) {
+      fail(schema.minLength === 1 ? "must not be empty" : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength != null && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(schema.description ? `must be ${schema.description}` : "has the wrong format");
+    }
+    if (
+      schema.format === "date" &&
+      !(DAY_RE.test(value) && new Date(`${value}T00:00:00Z`).toISOString().startsWith(value))
+    ) {
+      fail("must be a YYYY-MM-DD date");
+    }
+    if (schema.format === "date-time" && isNaN(Date.parse(value))) {
+      fail("must be a date/time");
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems != null && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${field}[${i}]`)));
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === "") {
+        errors.push({ field: field ? `${field}.${key}` : key, message: "is required" });
+      }
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] === undefined) continue;
+      errors.push(...validateSchema(sub, value[key], field ? `${field}.${key}` : key));
+    }
+  }
+
+  return errors;
+}
+
+// Helper: query strings arrive as text — turn "7" / "true" into what the schema wants
+function coerceQuery(schema, query) {
+  const out = { ...query };
+  for (const [key, sub] of Object.entries(schema?.properties || {})) {
+    const raw = out[key];
+    if (typeof raw !== "string" || raw === "") continue;
+
+    if ((sub.type === "integer" || sub.type === "number") && /^-?\d+(\.\d+)?$/.test(raw)) {
+      out[key] = Number(raw);
+    } else if (sub.type === "boolean" && (raw === "true" || raw === "false")) {
+      out[key] = raw === "true";
+    }
+  }
+  return out;
+}
+
+/**
+ * Middleware: validate req.query / req.body against spec.query / spec.body.
+ * Invalid requests get 400 { ok: false, error: "Invalid request", errors: [...] }.
+ * The spec is kept on the middleware for openapi.js.
+ */
+export function validate(spec) {
+  const middleware = (req, res, next) => {
+    const errors = [];
+
+    if (spec.query) {
+      const query = coerceQuery(spec.query, req.query);
+      errors.push(...validateSchema(spec.query, query, "query"));
+      // Only hand typed values on when the whole query is valid
+      if (!errors.length) Object.assign(req.query, query);
+    }
+    if (spec.body) {
+      const body = req.body && typeof req.body === "object" ? req.body : {};
+      errors.push(...validateSchema(spec.body, body, "body"));
+    }
+
+    if (errors.length) {
+      return res.status(400).json({ ok: false, error: "Invalid request", errors });
+    }
+    next();
+  };
+  middleware.spec = spec;
+  return middleware;
+}
@@ -0,0 +1,298 @@
+// webhooks.js
+import express from "express";
+import crypto from "crypto";
+import { createClient } from "@supabase/supabase-js";
+import { ShopifyError, shopifyGetAll, shopifyRequest } from "./shopifyClient.js";
+import { saveProduct } from "./products.js";
+import { saveOrder } from "./orders.js";
+import { finishBulkSync } from "./bulkSync.js";
+import { findOpenJob, wakeJob } from "./jobQueue.js";
+import { expireActionsForVariant } from "./aiActionLifecycle.js";
+
+const router = express.Router();
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Topics we subscribe every shop to at install time
+export const WEBHOOK_TOPICS = [
+  "products/create",
+  "products/update",
+  "products/delete",
+  "orders/create",
+  "inventory_levels/update",
+  "app/uninstalled",
+  "bulk_operations/finish",
+];
+
+// Helper: verify X-Shopify-Hmac-Sha256 (base64) against the raw body
+function verifyWebhook(rawBody, hmacHeader) {
+  if (!hmacHeader || !Buffer.isBuffer(rawBody)) return false;
+
+  const digest = crypto
+    .createHmac("sha256", process.env.SHOPIFY_API_SECRET)
+    .update(rawBody)
+    .digest();
+  const received = Buffer.from(hmacHeader, "base64");
+
+  return (
+    received.length === digest.length &&
+    crypto.timingSafeEqual(received, digest)
+  );
+}
+
+// Helper: the shop's token (null once the app is uninstalled)
+async function getToken(shop_domain) {
+  const { data, error } = await supabase
+    .from("shops")
+    .select("access_token")
+    .eq("shop_domain", shop_domain)
+    .maybeSingle();
+  if (error) throw error;
+  return data?.access_token || null;
+}
+
+// Helper: keep products.inventory_quantity equal to the sum of its variants
+async function refreshProductInventory(shop, productId) {
+  const { data, error } = await supabase
+    .from("product_variants")
+    .select("inventory_quantity")
+    .eq("shop_domain", shop)
+    .eq("shopify_product_id", productId);
+  if (error) throw error;
+
+  const total = (data || []).reduce(
+    (sum, v) => sum + (v.inventory_quantity || 0),
+    0
+  );
+
+  const { error: upErr } = await supabase
+    .from("products")
+    .update({ inventory_quantity: total })
+    .eq("shop_domain", shop)
+    .eq("shopify_product_id", productId);
+  if (upErr) throw upErr;
+}
+
+// Helper: ledger entries for price changes made outside the app (Shopify admin etc.)
+// Our own updates already wrote product_variants, so they show no difference here.
+async function recordExternalPriceChanges(shop, payload) {
+  const { data, error } = await supabase
+    .from("product_variants")
+    .select("shopify_variant_id, price")
+    .eq("shop_domain", shop)
+    .eq("shopify_product_id", payload.id);
+  if (error) throw error;
+
+  const known = new Map(
+    (data || []).map((v) => [String(v.shopify_variant_id), parseFloat(v.price)])
+  );
+  const rows = (payload.variants || [])
+    .filter((v) => {
+      const before = known.get(String(v.id));
+      return before != null && before !== parseFloat(v.price);
+    })
+    .map((v) => ({
+      shop_domain: shop,
+      product_id: payload.id,
+      variant_id: v.id,
+      old_price: known.get(String(v.id)),
+      new_price: parseFloat(v.price),
+      source: "webhook",
+    }));
+
+  if (rows.length) {
+    const { error: insErr } = await supabase.from("price_history").insert(rows);
+    if (insErr) throw insErr;
+  }
+
+  // Housekeeping only — must not fail (and replay) the webhook
+  for (const row of rows) {
+    await expireActionsForVariant(
+      shop,
+      row.product_id,
+      row.variant_id,
+      "Price changed in Shopify"
+    ).catch((err) => console.error("⚠️ Failed to expire stale actions:", err.message));
+  }
+}
+
+// 🧩 One handler per topic
+const handlers = {
+  "products/create": (shop, payload) => saveProduct(shop, payload),
+
+  "products/update": async (shop, payload) => {
+    await recordExternalPriceChanges(shop, payload);
+    await saveProduct(shop, payload);
+  },
+
+  "products/delete": async (shop, payload) => {
+    const { error } = await supabase
+      .from("products")
+      .update({ status: "archived" })
+      .eq("shop_domain", shop)
+      .eq("shopify_product_id", payload.id);
+    if (error) throw error;
+  },
+
+  "orders/create": (shop, payload) => saveOrder(shop, payload),
+
+  // Our bulk product sync is ready (polling may have got there first).
+  // The product_sync job waiting on it does the import in the worker.
+  "bulk_operations/finish": async (shop, payload) => {
+    if (payload.type && payload.type !== "query") return;
+    const operationId = payload.admin_graphql_api_id;
+
+    const job = await findOpenJob(shop, "product_sync");
+    if (job?.checkpoint?.operation_id === operationId) {
+      // Running right now: it sees the operation is done on this check
+      if (job.status === "queued") await wakeJob(job.id);
+      return;
+    }
+
+    // No job waiting (it gave up): import here. Big imports outlast
+    // Shopify's webhook timeout, so don't make it wait.
+    finishBulkSync(shop, operationId).catch((err) =>
+      console.error(`❌ Bulk sync for ${shop} failed:`, err.message)
+    );
+  },
+
+  // The payload only has the level at one location; a variant's stock is
+  // the sum over every location stocking its inventory item
+  "inventory_levels/update": async (shop, payload) => {
+    const token = await getToken(shop);
+    if (!token) return;
+
+    const levels = await shopifyGetAll(
+      shop,
+      token,
+      `inventory_levels.json?inventory_item_ids=${payload.inventory_item_id}`,
+      "inventory_levels"
+    );
+    const available = levels.reduce((sum, level) => sum + (level.available || 0), 0);
+
+    const { data: before, error: beforeErr } = await supabase
+      .from("product_variants")
+      .select("shopify_variant_id, shopify_product_id, inventory_quantity")
+      .eq("shop_domain", shop)
+      .eq("inventory_item_id", payload.inventory_item_id);
+    if (beforeErr) throw beforeErr;
+
+    const { data, error } = await supabase
+      .from("product_variants")
+      .update({ inventory_quantity: available })
+      .eq("shop_domain", shop)
+      .eq("inventory_item_id", payload.inventory_item_id)
+      .select("shopify_product_id");
+    if (error) throw error;
+
+    const productIds = [...new Set((data || []).map((v) => v.shopify_product_id))];
+    for (const id of productIds) {
+      await refreshProductInventory(shop, id);
+    }
+
+    // Suggestions were based on the old stock level
+    for (const v of before || []) {
+      if (v.inventory_quantity === available) continue;
+      await expireActionsForVariant(
+        shop,
+        v.shopify_product_id,
+        v.shopify_variant_id,
+        "Inventory changed"
+      ).catch((err) => console.error("⚠️ Failed to expire stale actions:", err.message));
+    }
+  },
+
+  "app/uninstalled": async (shop) => {
+    const { error } = await supabase
+      .from("shops")
+      .update({
+        access_token: null,
+        autopilot_mode: "manual",
+        // Nothing left to run against: stop the scheduler queueing runs
+        schedule_enabled: false,
+        uninstalled_at: new Date().toISOString(),
+      })
+      .eq("shop_domain", shop);
+    if (error) throw error;
+  },
+};
+
+// 📬 POST /api/webhooks (mounted before express.json so we get the raw body)
+router.post("/", express.raw({ type: "*/*" }), async (req, res) => {
+  const topic = req.get("X-Shopify-Topic");
+  const shop = req.get("X-Shopify-Shop-Domain");
+  const webhookId = req.get("X-Shopify-Webhook-Id");
+
+  if (!verifyWebhook(req.body, req.get("X-Shopify-Hmac-Sha256"))) {
+    return res.status(401).json({ ok: false, error: "Invalid webhook signature" });
+  }
+
+  const handler = handlers[topic];
+  if (!handler || !shop || !webhookId) {
+    // Acknowledge anything we don't handle so Shopify stops retrying
+    return res.json({ ok: true, ignored: true });
+  }
+
+  // A body we can't read won't read any better on a retry: acknowledge it
+  let payload;
+  try {
+    payload = JSON.parse(req.body.toString("utf8"));
+  } catch (err) {
+    console.error(`❌ Webhook ${webhookId} (${topic}) has a malformed body:`, err.message);
+    return res.json({ ok: true, ignored: true });
+  }
+
+  // Claim the webhook id first — Shopify retries, we only process once
+  const { error: claimErr } = await supabase
+    .from("webhook_events")
+    .insert([{ webhook_id: webhookId, shop_domain: shop, topic }]);
+
+  if (claimErr) {
+    if (claimErr.code === "23505") {
+      console.log(`🔁 Duplicate webhook ${webhookId} (${topic}) ignored`);
+      return res.json({ ok: true, duplicate: true });
+    }
+    console.error("❌ Failed to record webhook:", claimErr.message);
+    return res.status(500).json({ ok: false, error: claimErr.message });
+  }
+
+  try {
+    await handler(shop, payload);
+    console.log(`📬 Webhook ${topic} processed for ${shop}`);
+    res.json({ ok: true });
+  } catch (err) {
+    // Release the claim so Shopify's retry gets processed
+    await supabase.from("webhook_events").delete().eq("webhook_id", webhookId);
+    console.error(`❌ Webhook ${topic} failed:`, err.message);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+// 🔔 Subscribe a shop to all WEBHOOK_TOPICS (called after OAuth)
+export async function registerWebhooks(shop, token) {
+  const address = `${process.env.SHOPIFY_APP_URL}/api/webhooks`;
+  const results = [];
+
+  for (const topic of WEBHOOK_TOPICS) {
+    let ok = true;
+    try {
+      await shopifyRequest(shop, token, "webhooks.json", {
+        method: "POST",
+        body: { webhook: { topic, address, format: "json" } },
+      });
+    } catch (err) {
+      // 422 = already registered for this address
+      ok = err instanceof ShopifyError && err.status === 422;
+      if (!ok) console.error(`⚠️ Failed to register ${topic} webhook: ${err.message}`);
+    }
+    results.push({ topic, ok });
+  }
+
+  console.log(`🔔 Webhooks registered for ${shop}`);
+  return results;
+}
+
+export default router;